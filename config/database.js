@@ -31,6 +31,7 @@ const connectDB = async () => {
         name: 'dummy',
         version: '0.0.0',
         repositoryManager: 'npm',
+        os: 'linux',
         fileName: 'dummy',
         fileSize: 0
       });
@@ -38,6 +39,30 @@ const connectDB = async () => {
       await Executable.deleteOne({ _id: dummy._id });
       console.log('Created missing collection: executables');
     }
+
+    // Executables stored before os/arch were tracked only carry the os in their file name;
+    // they were all built for x64. Where the name does not tell the os it stays null.
+    const legacyExecutables = await Executable.find({ os: { $exists: false } });
+    let backfilled = 0;
+    for (const executable of legacyExecutables) {
+      const match = executable.fileName.match(/_(windows|macos|linux)_\d+_[a-z0-9]+(\.exe)?$/);
+      await Executable.updateOne({ _id: executable._id }, { os: match ? match[1] : null, arch: 'x64' });
+      if (match) {
+        backfilled++;
+      }
+    }
+    if (backfilled > 0) {
+      console.log(`Backfilled os/arch for ${backfilled} executables`);
+    }
+    if (legacyExecutables.length > backfilled) {
+      console.warn(`Could not tell the os of ${legacyExecutables.length - backfilled} executables from their file name`);
+    }
+
+    // npm executables built before the Node runtime was configurable used Node 16
+    await Executable.updateMany(
+      { repositoryManager: 'npm', nodeVersion: { $exists: false } },
+      { nodeVersion: 16 }
+    );
   } catch (error) {
     console.error('MongoDB connection error:', error.message);
     process.exit(1);
@@ -0,0 +1,101 @@
+// License policy applied to the dependencies bundled into every executable
+import fs from 'fs';
+
+/*
+ * The policy is read from the LICENSE_POLICY environment variable (JSON) or
+ * from the JSON file named by LICENSE_POLICY_FILE:
+ *
+ *   {
+ *     "deny": ["AGPL-*", "SSPL-1.0"],
+ *     "allow": ["MIT", "ISC", "BSD-*", "Apache-2.0"],
+ *     "onDenied": "fail",
+ *     "onUnlisted": "flag",
+ *     "onUnknown": "flag"
+ *   }
+ *
+ * Patterns are matched case-insensitively against SPDX ids or license names
+ * and may contain * wildcards. Without "allow" every license that is not
+ * denied is allowed; with it, licenses matching neither list are "unlisted".
+ * Each action is "fail" (the build fails), "flag" (the executable is built
+ * and annotated) or "ignore".
+ */
+
+const ACTIONS = ['fail', 'flag', 'ignore'];
+
+const DEFAULT_POLICY = {
+  deny: [],
+  allow: null,
+  onDenied: 'fail',
+  onUnlisted: 'flag',
+  onUnknown: 'flag'
+};
+
+const loadPolicy = () => {
+  let source = process.env.LICENSE_POLICY;
+  if (!source && process.env.LICENSE_POLICY_FILE) {
+    source = fs.readFileSync(process.env.LICENSE_POLICY_FILE, 'utf8');
+  }
+  if (!source) {
+    return DEFAULT_POLICY;
+  }
+
+  const policy = { ...DEFAULT_POLICY, ...JSON.parse(source) };
+  for (const list of ['deny', 'allow']) {
+    if (policy[list] !== null && (!Array.isArray(policy[list]) || policy[list].some(pattern => typeof pattern !== 'string'))) {
+      throw new Error(`License policy "${list}" must be an array of license patterns`);
+    }
+  }
+  for (const action of ['onDenied', 'onUnlisted', 'onUnknown']) {
+    if (!ACTIONS.includes(policy[action])) {
+      throw new Error(`License policy "${action}" must be one of: ${ACTIONS.join(', ')}`);
+    }
+  }
+  return policy;
+};
+
+const LICENSE_POLICY = loadPolicy();
+
+const toRegExp = (pattern) => new RegExp(
+  `^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`,
+  'i'
+);
+
+const DENY_PATTERNS = LICENSE_POLICY.deny.map(toRegExp);
+const ALLOW_PATTERNS = LICENSE_POLICY.allow ? LICENSE_POLICY.allow.map(toRegExp) : null;
+
+/**
+ * Classify a single license id or name under the policy
+ * @param {string} license - SPDX id or license name
+ * @returns {string} - 'allowed', 'denied' or 'unlisted'
+ */
+const classifyLicense = (license) => {
+  if (DENY_PATTERNS.some(pattern => pattern.test(license))) {
+    return 'denied';
+  }
+  if (ALLOW_PATTERNS && !ALLOW_PATTERNS.some(pattern => pattern.test(license))) {
+    return 'unlisted';
+  }
+  return 'allowed';
+};
+
+/**
+ * Action the policy takes for a verdict
+ * @param {string} verdict - 'allowed', 'denied', 'unlisted' or 'unknown'
+ * @returns {string} - 'fail', 'flag' or 'ignore'
+ */
+const getLicenseAction = (verdict) => {
+  switch (verdict) {
+    case 'denied':
+      return LICENSE_POLICY.onDenied;
+    case 'unlisted':
+      return LICENSE_POLICY.onUnlisted;
+    case 'unknown':
+      return LICENSE_POLICY.onUnknown;
+    default:
+      return 'ignore';
+  }
+};
+
+const getLicensePolicy = () => LICENSE_POLICY;
+
+export { classifyLicense, getLicenseAction, getLicensePolicy };
@@ -0,0 +1,144 @@
+// Registry profiles for building packages from private or alternate registries
+import fs from 'fs';
+
+/*
+ * Profiles are read from the REGISTRY_PROFILES environment variable (JSON) or
+ * from the JSON file named by REGISTRY_PROFILES_FILE:
+ *
+ *   {
+ *     "internal": {
+ *       "npm": { "registry": "http://localhost:4873/", "tokenEnv": "INTERNAL_NPM_TOKEN" },
+ *       "pip": { "indexUrl": "http://localhost:8080/simple/", "extraIndexUrls": ["https://pypi.org/simple/"] }
+ *     }
+ *   }
+ *
+ * npm tokens are given inline as "token" or, preferably, as the name of an
+ * environment variable in "tokenEnv". pip credentials go in the index URLs.
+ */
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const loadProfiles = () => {
+  let source = process.env.REGISTRY_PROFILES;
+  if (!source && process.env.REGISTRY_PROFILES_FILE) {
+    source = fs.readFileSync(process.env.REGISTRY_PROFILES_FILE, 'utf8');
+  }
+  if (!source) {
+    return {};
+  }
+
+  const profiles = JSON.parse(source);
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!PROFILE_NAME.test(name)) {
+      throw new Error(`Invalid registry profile name '${name}'`);
+    }
+    if (profile.npm && !profile.npm.registry) {
+      throw new Error(`Registry profile '${name}' is missing npm.registry`);
+    }
+    if (profile.pip && !profile.pip.indexUrl && !(profile.pip.extraIndexUrls || []).length) {
+      throw new Error(`Registry profile '${name}' needs pip.indexUrl or pip.extraIndexUrls`);
+    }
+  }
+  return profiles;
+};
+
+const REGISTRY_PROFILES = loadProfiles();
+
+/**
+ * Get a registry profile for one repository manager.
+ * @param {string} name - Profile name
+ * @param {string} repositoryManager - 'npm' or 'pip'
+ * @returns {Object|null} - npm: { registry, token }, pip: { indexUrl, extraIndexUrls }; null when the profile does not configure that repository manager
+ */
+const getRegistryProfile = (name, repositoryManager) => {
+  const profile = REGISTRY_PROFILES[name];
+  if (!profile || !profile[repositoryManager]) {
+    return null;
+  }
+
+  if (repositoryManager === 'npm') {
+    const { registry, token, tokenEnv } = profile.npm;
+    return {
+      registry,
+      token: token || (tokenEnv ? process.env[tokenEnv] : null) || null
+    };
+  }
+  return {
+    indexUrl: profile.pip.indexUrl || null,
+    extraIndexUrls: profile.pip.extraIndexUrls || []
+  };
+};
+
+/**
+ * Check that a requested profile exists for the repository manager.
+ * @returns {string|null} - Error message, or null when the profile can be used
+ */
+const validateRegistry = (name, repositoryManager) => {
+  if (name === undefined || name === null) {
+    return null;
+  }
+  if (typeof name !== 'string' || !getRegistryProfile(name, repositoryManager)) {
+    const available = Object.keys(REGISTRY_PROFILES).filter(profile => REGISTRY_PROFILES[profile][repositoryManager]);
+    return `Unknown ${repositoryManager} registry profile. Available: ${available.join(', ') || 'none'}`;
+  }
+  return null;
+};
+
+// Drop the user info part of a URL
+const stripCredentials = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch {
+    return '[FILTERED]';
+  }
+};
+
+/**
+ * Registry profiles as they may be shown to clients, without credentials
+ * @returns {Array<Object>} - { name, npm: { registry, authenticated }, pip: { indexUrl, extraIndexUrls } }
+ */
+const listRegistryProfiles = () => Object.keys(REGISTRY_PROFILES).map((name) => {
+  const npm = getRegistryProfile(name, 'npm');
+  const pip = getRegistryProfile(name, 'pip');
+  return {
+    name,
+    npm: npm ? { registry: stripCredentials(npm.registry), authenticated: Boolean(npm.token) } : null,
+    pip: pip
+      ? {
+        indexUrl: pip.indexUrl ? stripCredentials(pip.indexUrl) : null,
+        extraIndexUrls: pip.extraIndexUrls.map(stripCredentials)
+      }
+      : null
+  };
+});
+
+/**
+ * Secrets of a resolved profile, to be masked in process output and logs
+ * @param {Object|null} profile - Result of getRegistryProfile
+ * @returns {string[]} - Secret values
+ */
+const getRegistrySecrets = (profile) => {
+  if (!profile) {
+    return [];
+  }
+  const secrets = [];
+  if (profile.token) {
+    secrets.push(profile.token);
+  }
+  [profile.registry, profile.indexUrl, ...(profile.extraIndexUrls || [])].filter(Boolean).forEach((url) => {
+    try {
+      const { password } = new URL(url);
+      if (password) {
+        secrets.push(password, decodeURIComponent(password));
+      }
+    } catch {
+      // Not a URL; nothing to mask
+    }
+  });
+  return [...new Set(secrets)];
+};
+
+export { getRegistryProfile, validateRegistry, listRegistryProfiles, getRegistrySecrets };
@@ -0,0 +1,42 @@
+// Retention of stored executables and cleanup of build directories
+
+/*
+ * The garbage collector (services/retentionService.js) runs every
+ * GC_INTERVAL_MINUTES (default 60, 0 disables the schedule) and applies:
+ *
+ *   RETENTION_KEEP_VERSIONS  keep only the N latest versions of a package per
+ *                            target; older executables are deleted (0 = keep all)
+ *   RETENTION_MAX_IDLE_DAYS  delete executables that have not been downloaded
+ *                            for this many days (0 = never)
+ *   TEMP_MAX_AGE_HOURS       delete build directories, scratch directories and
+ *                            stored uploads under temp/ that are older than
+ *                            this (default 24, 0 = never)
+ *
+ * Stored files that no executable refers to and executables whose file is
+ * gone are always cleaned up, so the database and the storage agree.
+ * GET /api/retention/report shows what a run would delete.
+ */
+
+const readInteger = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return number;
+};
+
+const RETENTION_POLICY = Object.freeze({
+  keepVersions: readInteger('RETENTION_KEEP_VERSIONS', 0),
+  maxIdleDays: readInteger('RETENTION_MAX_IDLE_DAYS', 0),
+  tempMaxAgeHours: readInteger('TEMP_MAX_AGE_HOURS', 24)
+});
+
+const GC_INTERVAL_MINUTES = readInteger('GC_INTERVAL_MINUTES', 60);
+
+const getRetentionPolicy = () => RETENTION_POLICY;
+
+export { GC_INTERVAL_MINUTES, getRetentionPolicy };
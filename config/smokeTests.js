@@ -0,0 +1,98 @@
+// Post-build smoke tests of Linux executables
+import fs from 'fs';
+
+/*
+ * SMOKE_TEST_MODE decides what happens to an executable that fails its
+ * smoke test: "flag" (default) records it as unverified, "reject" fails the
+ * build, "off" disables smoke tests.
+ *
+ * By default an executable passes when `--version` or, failing that,
+ * `--help` exits with code 0 within SMOKE_TEST_TIMEOUT_MS. Packages that need
+ * other arguments are configured with SMOKE_TESTS (JSON) or the JSON file
+ * named by SMOKE_TESTS_FILE, keyed by "<repositoryManager>:<name>" or, for a
+ * single command of a package, "<repositoryManager>:<name>#<command>":
+ *
+ *   {
+ *     "npm:typescript#tsserver": { "skip": true },
+ *     "pip:httpie": { "args": [["--version"]] },
+ *     "npm:cowsay": { "args": [["hello"]], "exitCodes": [0] }
+ *   }
+ *
+ * "args" lists argument sets that are tried in order until one passes.
+ *
+ * Executables run in a bubblewrap (bwrap) sandbox as nobody, without network
+ * access and with only their scratch directory writable. Where bwrap is not
+ * installed or cannot create user namespaces they are not run at all, unless
+ * SMOKE_TEST_ALLOW_UNSANDBOXED=true accepts running them as the server user.
+ */
+
+const SMOKE_TEST_MODES = ['flag', 'reject', 'off'];
+const DEFAULT_ARGS = [['--version'], ['--help']];
+
+const SMOKE_TEST_MODE = process.env.SMOKE_TEST_MODE || 'flag';
+if (!SMOKE_TEST_MODES.includes(SMOKE_TEST_MODE)) {
+  throw new Error(`SMOKE_TEST_MODE must be one of: ${SMOKE_TEST_MODES.join(', ')}`);
+}
+
+const SMOKE_TEST_TIMEOUT_MS = parseInt(process.env.SMOKE_TEST_TIMEOUT_MS) || 15000;
+
+const allowUnsandboxed = process.env.SMOKE_TEST_ALLOW_UNSANDBOXED || 'false';
+if (allowUnsandboxed !== 'true' && allowUnsandboxed !== 'false') {
+  throw new Error('SMOKE_TEST_ALLOW_UNSANDBOXED must be true or false');
+}
+const SMOKE_TEST_ALLOW_UNSANDBOXED = allowUnsandboxed === 'true';
+
+const loadSmokeTests = () => {
+  let source = process.env.SMOKE_TESTS;
+  if (!source && process.env.SMOKE_TESTS_FILE) {
+    source = fs.readFileSync(process.env.SMOKE_TESTS_FILE, 'utf8');
+  }
+  if (!source) {
+    return {};
+  }
+
+  const smokeTests = JSON.parse(source);
+  for (const [key, smokeTest] of Object.entries(smokeTests)) {
+    if (!/^(npm|pip):/.test(key)) {
+      throw new Error(`Invalid smoke test key '${key}'; use "npm:<name>" or "pip:<name>"`);
+    }
+    const validArgs = smokeTest.args === undefined || (
+      Array.isArray(smokeTest.args) &&
+      smokeTest.args.every(args => Array.isArray(args) && args.every(arg => typeof arg === 'string'))
+    );
+    if (!validArgs) {
+      throw new Error(`Smoke test '${key}': "args" must be a list of argument lists`);
+    }
+    if (smokeTest.exitCodes !== undefined && (!Array.isArray(smokeTest.exitCodes) || !smokeTest.exitCodes.every(Number.isInteger))) {
+      throw new Error(`Smoke test '${key}': "exitCodes" must be a list of integers`);
+    }
+  }
+  return smokeTests;
+};
+
+const SMOKE_TESTS = loadSmokeTests();
+
+/**
+ * Smoke test to run for a built command
+ * @param {string} repositoryManager - 'npm' or 'pip'
+ * @param {string} name - Package name
+ * @param {string|null} command - Packaged command
+ * @returns {{args: string[][], exitCodes: number[]}|null} - null when smoke tests are off or skipped for the package
+ */
+const getSmokeTest = (repositoryManager, name, command) => {
+  if (SMOKE_TEST_MODE === 'off') {
+    return null;
+  }
+  const configured = (command && SMOKE_TESTS[`${repositoryManager}:${name}#${command}`]) ||
+    SMOKE_TESTS[`${repositoryManager}:${name}`] ||
+    {};
+  if (configured.skip) {
+    return null;
+  }
+  return {
+    args: configured.args || DEFAULT_ARGS,
+    exitCodes: configured.exitCodes || [0]
+  };
+};
+
+export { SMOKE_TEST_MODE, SMOKE_TEST_TIMEOUT_MS, SMOKE_TEST_ALLOW_UNSANDBOXED, getSmokeTest };
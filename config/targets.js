@@ -0,0 +1,101 @@
+// Supported build targets for each repository manager
+
+// Node.js majors that pkg ships prebuilt base binaries for
+const NPM_NODE_VERSIONS = (process.env.SUPPORTED_NODE_VERSIONS || '16,18')
+  .split(',')
+  .map(v => parseInt(v.trim()))
+  .filter(v => !isNaN(v));
+
+const DEFAULT_NODE_VERSION = parseInt(process.env.DEFAULT_NODE_VERSION) || 18;
+
+// PyInstaller cannot cross-compile, so pip builds only target the host OS and architecture
+const HOST_OS = { darwin: 'macos', win32: 'windows' }[process.platform] || 'linux';
+const HOST_ARCH = process.arch === 'arm64' ? 'arm64' : 'x64';
+
+// Console script / bin names; they become file names of the built executable
+const COMMAND_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Whether a bin / console script name is safe to use as a file name and
+ * command. Applies to requested commands and to the names declared by packages.
+ * @param {*} name
+ * @returns {boolean}
+ */
+const isValidCommandName = (name) =>
+  typeof name === 'string' && name.length <= 214 && COMMAND_NAME.test(name);
+
+// Output formats the executable can be delivered in (see services/packagingService.js)
+const OUTPUT_FORMATS = ['binary', 'tar.gz', 'zip', 'deb', 'rpm', 'appimage'];
+// Native Linux package formats
+const LINUX_FORMATS = ['deb', 'rpm', 'appimage'];
+
+const SUPPORTED_TARGETS = {
+  npm: {
+    os: ['linux', 'macos', 'windows'],
+    arch: ['x64', 'arm64'],
+    nodeVersions: NPM_NODE_VERSIONS,
+    defaultNodeVersion: DEFAULT_NODE_VERSION,
+    formats: OUTPUT_FORMATS
+  },
+  pip: {
+    os: [HOST_OS],
+    arch: [HOST_ARCH],
+    formats: OUTPUT_FORMATS
+  }
+};
+
+/**
+ * Normalize a requested target, filling in defaults.
+ * @param {Object} request - { repositoryManager, os, arch, nodeVersion, command, format }
+ * @returns {Object} - { os, arch, nodeVersion, command, format }
+ */
+const resolveTarget = ({ repositoryManager, os, arch, nodeVersion, command, format }) => {
+  const supported = SUPPORTED_TARGETS[repositoryManager];
+  const target = {
+    os,
+    arch: arch || (supported ? supported.arch[0] : 'x64'),
+    nodeVersion: null,
+    // null selects the package's default command
+    command: null,
+    format: format || 'binary'
+  };
+  if (repositoryManager === 'npm') {
+    target.nodeVersion = nodeVersion ? parseInt(nodeVersion) : DEFAULT_NODE_VERSION;
+  }
+  if (command) {
+    target.command = command;
+  }
+  return target;
+};
+
+/**
+ * Check a resolved target against the supported targets list.
+ * @returns {string|null} - Error message, or null when the target is supported
+ */
+const validateTarget = (repositoryManager, target) => {
+  const supported = SUPPORTED_TARGETS[repositoryManager];
+  if (!supported) {
+    return `Unsupported repositoryManager: ${repositoryManager}`;
+  }
+  if (!supported.os.includes(target.os)) {
+    return `Invalid os. Must be one of: ${supported.os.join(', ')}`;
+  }
+  if (!supported.arch.includes(target.arch)) {
+    return `Invalid arch for ${repositoryManager}. Must be one of: ${supported.arch.join(', ')}`;
+  }
+  if (repositoryManager === 'npm' && !supported.nodeVersions.includes(target.nodeVersion)) {
+    return `Unsupported nodeVersion. Must be one of: ${supported.nodeVersions.join(', ')}`;
+  }
+  if (target.command !== null && !isValidCommandName(target.command)) {
+    return 'Invalid command. Must start with a letter or digit and contain only letters, digits, and the characters - . _';
+  }
+  if (!supported.formats.includes(target.format)) {
+    return `Invalid format. Must be one of: ${supported.formats.join(', ')}`;
+  }
+  if (LINUX_FORMATS.includes(target.format) && target.os !== 'linux') {
+    return `Format '${target.format}' is only available for os "linux"`;
+  }
+  return null;
+};
+
+export { SUPPORTED_TARGETS, OUTPUT_FORMATS, isValidCommandName, resolveTarget, validateTarget };
@@ -0,0 +1,42 @@
+// Watching upstream registries for new releases of built packages
+
+/*
+ * The watcher (services/watcherService.js) checks the latest version of
+ * every tracked package every WATCH_INTERVAL_MINUTES (default 360, 0
+ * disables the schedule) and queues builds of that version for the targets
+ * built before.
+ *
+ *   WATCH_ALL_PACKAGES  track every package built from a registry unless it
+ *                       has opted out (default true); with false only
+ *                       packages that opted in are tracked
+ *
+ * Packages opt in or out with PUT /api/watch/packages.
+ */
+
+const readInteger = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return number;
+};
+
+const readBoolean = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`${name} must be true or false`);
+  }
+  return value === 'true';
+};
+
+const WATCH_INTERVAL_MINUTES = readInteger('WATCH_INTERVAL_MINUTES', 360);
+const WATCH_ALL_PACKAGES = readBoolean('WATCH_ALL_PACKAGES', true);
+
+export { WATCH_INTERVAL_MINUTES, WATCH_ALL_PACKAGES };
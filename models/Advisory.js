@@ -0,0 +1,29 @@
+// Mongoose Advisory schema for MongoDB
+import { mongoose } from '../config/database.js';
+
+// Security advisories imported from an OSV-format dump (OSV, GitHub Advisory Database)
+const AdvisorySchema = new mongoose.Schema({
+  advisoryId: { type: String, required: true, unique: true },
+  aliases: { type: [String], default: [] },
+  summary: { type: String, default: null },
+  // 'low', 'medium', 'high' or 'critical'; score is the CVSS base score, or an estimate from the severity label
+  severity: { type: String, default: null },
+  score: { type: Number, min: 0, max: 10, default: null },
+  url: { type: String, default: null },
+  published: { type: Date, default: null },
+  modified: { type: Date, default: null },
+  // Affected npm/pip packages, names normalized for lookups
+  packages: [{
+    _id: false,
+    repositoryManager: { type: String, enum: ['npm', 'pip'], required: true },
+    name: { type: String, required: true }
+  }],
+  // OSV "affected" entries of those packages, with their version ranges
+  affected: { type: mongoose.Schema.Types.Mixed, default: [] },
+}, { timestamps: true });
+
+AdvisorySchema.index({ 'packages.repositoryManager': 1, 'packages.name': 1 });
+
+const Advisory = mongoose.models.Advisory || mongoose.model('Advisory', AdvisorySchema);
+
+export default () => Advisory;
@@ -0,0 +1,57 @@
+// Mongoose BuildJob schema for MongoDB
+import { mongoose } from '../config/database.js';
+
+const BUILD_JOB_STATES = ['queued', 'installing', 'packaging', 'succeeded', 'failed'];
+const ACTIVE_BUILD_JOB_STATES = ['queued', 'installing', 'packaging'];
+
+const BuildJobSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  version: { type: String, required: true },
+  requestedVersion: { type: String, default: null },
+  description: { type: String, default: 'No description available' },
+  keywords: { type: [String], default: [] },
+  repositoryManager: { type: String, enum: ['npm', 'pip'], required: true },
+  // Registry profile the package is installed from; null for the public registry
+  registry: { type: String, default: null },
+  // Uploaded archive or project the package is installed from instead of a registry
+  source: { type: String, enum: ['registry', 'upload', 'project'], default: 'registry' },
+  sourceChecksum: { type: String, default: null },
+  archivePath: { type: String, default: null },
+  projectPath: { type: String, default: null },
+  // Entry file uploaded along with a project's package.json
+  entryFile: { type: String, default: null },
+  os: { type: String, enum: ['windows', 'macos', 'linux'], required: true },
+  arch: { type: String, enum: ['x64', 'arm64'], default: 'x64' },
+  // Node.js major of the pkg runtime; null for pip builds
+  nodeVersion: { type: Number, default: null },
+  // Requested bin / console script; null builds the default one
+  command: { type: String, default: null },
+  // Output format the executable is wrapped in
+  format: { type: String, enum: ['binary', 'tar.gz', 'zip', 'deb', 'rpm', 'appimage'], default: 'binary' },
+  state: { type: String, enum: BUILD_JOB_STATES, default: 'queued', index: true },
+  error: { type: String, default: null },
+  downloadUrl: { type: String, default: null },
+  executable: { type: mongoose.Schema.Types.ObjectId, ref: 'Executable', default: null },
+  requestId: { type: String, default: null },
+  userId: { type: String, default: 'anonymous' },
+  coalescedRequests: { type: Number, default: 0, min: 0 },
+  // Build key (see buildJobService.getBuildKey) while the job is queued or running; null once it finished
+  activeBuildKey: { type: String, default: null },
+  // Server instance that runs the job while it is active, and when it last confirmed that
+  owner: { type: String, default: null },
+  heartbeatAt: { type: Date, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// Used to find the active job for a package and target when coalescing requests
+BuildJobSchema.index({ name: 1, version: 1, repositoryManager: 1, registry: 1, os: 1, arch: 1, nodeVersion: 1, command: 1, format: 1, state: 1 });
+// At most one active job per build key, also across server instances
+BuildJobSchema.index({ activeBuildKey: 1 }, { unique: true, partialFilterExpression: { activeBuildKey: { $type: 'string' } } });
+// Used by the heartbeat and to find active jobs whose instance stopped
+BuildJobSchema.index({ state: 1, owner: 1, heartbeatAt: 1 });
+
+const BuildJob = mongoose.models.BuildJob || mongoose.model('BuildJob', BuildJobSchema);
+
+export { BUILD_JOB_STATES, ACTIVE_BUILD_JOB_STATES };
+export default () => BuildJob;
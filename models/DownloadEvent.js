@@ -0,0 +1,26 @@
+// Mongoose DownloadEvent schema for MongoDB
+import { mongoose } from '../config/database.js';
+
+// One completed download of an executable. The package and target fields are
+// copied from the executable so the history survives garbage collection of the artifact.
+const DownloadEventSchema = new mongoose.Schema({
+  executable: { type: mongoose.Schema.Types.ObjectId, ref: 'Executable', required: true },
+  name: { type: String, required: true },
+  version: { type: String, required: true },
+  repositoryManager: { type: String, enum: ['npm', 'pip'], required: true },
+  registry: { type: String, default: null },
+  os: { type: String, enum: ['windows', 'macos', 'linux'], required: true },
+  arch: { type: String, enum: ['x64', 'arm64'], default: 'x64' },
+  format: { type: String, default: 'binary' },
+  // From the request tracker: the authenticated user, X-User-ID or 'anonymous'
+  userId: { type: String, default: 'anonymous' },
+  requestId: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Time-window scans across all packages (trending) and per package (history, breakdowns)
+DownloadEventSchema.index({ createdAt: -1 });
+DownloadEventSchema.index({ repositoryManager: 1, name: 1, createdAt: -1 });
+
+const DownloadEvent = mongoose.models.DownloadEvent || mongoose.model('DownloadEvent', DownloadEventSchema);
+
+export default () => DownloadEvent;
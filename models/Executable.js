@@ -1,19 +1,88 @@
 // Mongoose Executable schema for MongoDB
 import { mongoose } from '../config/database.js';
 
+// Advisory from the local vulnerability database matching a bundled package
+const MatchedAdvisorySchema = new mongoose.Schema({
+  advisoryId: { type: String, required: true },
+  aliases: { type: [String], default: [] },
+  summary: { type: String, default: null },
+  severity: { type: String, default: null },
+  score: { type: Number, default: null },
+  url: { type: String, default: null },
+  package: { type: String, required: true },
+  version: { type: String, required: true },
+  fixedIn: { type: String, default: null },
+}, { _id: false });
+
+// Result of running the built executable (see services/smokeTestService.js)
+const SmokeTestSchema = new mongoose.Schema({
+  args: { type: [String], default: [] },
+  exitCode: { type: Number, default: null },
+  signal: { type: String, default: null },
+  timedOut: { type: Boolean, default: false },
+  // Start of the standard output
+  stdout: { type: String, default: '' },
+  durationMs: { type: Number, default: null },
+}, { _id: false });
+
+// Bundled package whose licenses the license policy flags
+const LicenseViolationSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  version: { type: String, required: true },
+  licenses: { type: [String], default: [] },
+  verdict: { type: String, enum: ['denied', 'unlisted', 'unknown'], required: true },
+  action: { type: String, enum: ['fail', 'flag'], required: true },
+}, { _id: false });
+
 const ExecutableSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   description: { type: String, default: 'No description available' },
   tags: { type: [String], default: [] },
   downloads: { type: Number, default: 0, min: 0 },
+  // Used by the retention policy; null until the first download after the build
+  lastDownloadedAt: { type: Date, default: null },
   score: { type: Number, min: 0, max: 5, default: null },
   version: { type: String, required: true },
+  // 10 without known advisories; null until scanned (see services/vulnerabilityService.js)
   securityRating: { type: Number, min: 0, max: 10, default: null },
+  advisories: { type: [MatchedAdvisorySchema], default: [] },
+  securityScannedAt: { type: Date, default: null },
   repositoryManager: { type: String, enum: ['npm', 'pip'], required: true },
+  // Registry profile the package was installed from; null for the public registry
+  registry: { type: String, default: null },
+  // 'upload' or 'project' when built from uploaded files, identified by their SHA-256
+  source: { type: String, enum: ['registry', 'upload', 'project'], default: 'registry' },
+  sourceChecksum: { type: String, default: null },
+  os: { type: String, enum: ['windows', 'macos', 'linux'], required: true },
+  arch: { type: String, enum: ['x64', 'arm64'], default: 'x64' },
+  // Node.js major of the pkg runtime; null for pip builds
+  nodeVersion: { type: Number, default: null },
+  // Packaged bin / console script; null when the package declares none
+  command: { type: String, default: null },
+  // Whether this is the artifact served when no command is requested
+  defaultCommand: { type: Boolean, default: true },
+  // Bare executable, or the archive / native package wrapping it (see services/packagingService.js)
+  format: { type: String, enum: ['binary', 'tar.gz', 'zip', 'deb', 'rpm', 'appimage'], default: 'binary' },
   fileName: { type: String, required: true },
   fileSize: { type: Number, min: 0, default: 0 },
+  // SHA-256 of the artifact and base64 ed25519 signature over the raw digest
+  sha256: { type: String, default: null },
+  signature: { type: String, default: null },
+  signingKeyId: { type: String, default: null },
+  // CycloneDX JSON SBOM stored next to the artifact; null for artifacts built before SBOMs
+  sbomFileName: { type: String, default: null },
+  // License report (with NOTICE text) stored next to the artifact; 'flagged' when the policy flags bundled licenses
+  licenseReportFileName: { type: String, default: null },
+  licenseStatus: { type: String, enum: ['passed', 'flagged', null], default: null },
+  licenseViolations: { type: [LicenseViolationSchema], default: [] },
+  // Whether the executable passed its smoke test; null when it was not run (non-Linux or foreign-arch targets)
+  verified: { type: Boolean, default: null },
+  smokeTest: { type: SmokeTestSchema, default: null },
 }, { timestamps: true });
 
+// Each document is the artifact for one target of a package version
+ExecutableSchema.index({ name: 1, repositoryManager: 1, registry: 1, version: 1, os: 1, arch: 1, nodeVersion: 1, command: 1, format: 1 });
+
 const Executable = mongoose.models.Executable || mongoose.model('Executable', ExecutableSchema);
 
 export default () => Executable;
@@ -0,0 +1,42 @@
+// Mongoose WatchedPackage schema for MongoDB
+import { mongoose } from '../config/database.js';
+
+// A build queued by the watcher for a new upstream release
+const RebuildJobSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'BuildJob', required: true },
+  os: { type: String, required: true },
+  arch: { type: String, required: true },
+  nodeVersion: { type: Number, default: null },
+  command: { type: String, default: null },
+  format: { type: String, default: 'binary' },
+  // Whether the build attached to a job that was already queued or running
+  attached: { type: Boolean, default: false },
+}, { _id: false });
+
+// Tracking setting and the last upstream check of a package (see services/watcherService.js)
+const WatchedPackageSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  repositoryManager: { type: String, enum: ['npm', 'pip'], required: true },
+  // Registry profile the package is built from; null for the public registry
+  registry: { type: String, default: null },
+  // true / false when the package opted in / out; null follows WATCH_ALL_PACKAGES
+  enabled: { type: Boolean, default: null },
+  latestVersion: { type: String, default: null },
+  lastCheckedAt: { type: Date, default: null },
+  // Error of the last check, e.g. the registry could not be reached; null when it succeeded
+  lastError: { type: String, default: null },
+  lastRebuild: {
+    type: new mongoose.Schema({
+      version: { type: String, required: true },
+      queuedAt: { type: Date, required: true },
+      jobs: { type: [RebuildJobSchema], default: [] },
+    }, { _id: false }),
+    default: null,
+  },
+}, { timestamps: true });
+
+WatchedPackageSchema.index({ repositoryManager: 1, registry: 1, name: 1 }, { unique: true });
+
+const WatchedPackage = mongoose.models.WatchedPackage || mongoose.model('WatchedPackage', WatchedPackageSchema);
+
+export default () => WatchedPackage;
@@ -0,0 +1,97 @@
+import express from 'express';
+const router = express.Router();
+import vulnerabilityService from '../services/vulnerabilityService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Advisories
+ *   description: Local vulnerability database used to rate executables
+ */
+
+/**
+ * @swagger
+ * /api/advisories:
+ *   get:
+ *     summary: Get the state of the advisory database
+ *     description: Number of imported advisories per repository manager, the newest advisory modification date and the state of the last refresh.
+ *     tags: [Advisories]
+ *     responses:
+ *       200:
+ *         description: Advisory database status
+ */
+
+// GET /api/advisories - Advisory database contents and refresh state
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: await vulnerabilityService.getStatus()
+    });
+  } catch (error) {
+    req.logger.error('Advisory status error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get advisory database status',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/advisories/refresh:
+ *   post:
+ *     summary: Re-import advisories and re-score executables
+ *     description: Imports the OSV-format advisory dumps named by ADVISORY_DB_PATH and then re-scores every executable with an SBOM. Runs in the background; poll GET /api/advisories for its state.
+ *     tags: [Advisories]
+ *     responses:
+ *       202:
+ *         description: Refresh started
+ *       400:
+ *         description: ADVISORY_DB_PATH is not configured
+ *       409:
+ *         description: A refresh is already running
+ */
+
+// POST /api/advisories/refresh - Import the advisory dumps and re-score in the background
+router.post('/refresh', (req, res) => {
+  if (vulnerabilityService.sources.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'ADVISORY_DB_PATH is not configured',
+      requestId: req.requestId
+    });
+  }
+  if (vulnerabilityService.refreshStatus.state === 'running') {
+    return res.status(409).json({
+      success: false,
+      message: 'An advisory refresh is already running',
+      requestId: req.requestId
+    });
+  }
+
+  req.logger.info('Advisory refresh requested');
+  vulnerabilityService.refresh().catch((error) => {
+    req.logger.error('Advisory refresh error:', {
+      error: { message: error.message, name: error.name }
+    });
+  });
+
+  res.status(202).json({
+    success: true,
+    requestId: req.requestId,
+    data: vulnerabilityService.refreshStatus
+  });
+});
+
+export default router;
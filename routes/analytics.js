@@ -0,0 +1,193 @@
+import express from 'express';
+const router = express.Router();
+import analyticsService from '../services/analyticsService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: |
+ *     Download statistics built from the completed downloads.
+ *     With the S3 backend in `redirect` mode the server never sees the transfer, so these counts include downloads that were redirected but never completed; use `S3_DOWNLOAD_MODE=stream` for exact counts.
+ */
+
+// Query parameters shared by the analytics endpoints
+const readQuery = (req) => {
+  const { window = '30d', name, repositoryManager, registry } = req.query;
+  return { window, name: name || null, repositoryManager: repositoryManager || null, registry: registry || null };
+};
+
+const validateFilter = ({ name, repositoryManager }) => {
+  if (repositoryManager && !['npm', 'pip'].includes(repositoryManager)) {
+    return 'repositoryManager must be npm or pip';
+  }
+  if (name && !repositoryManager) {
+    return 'repositoryManager is required with name';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/analytics/downloads:
+ *   get:
+ *     summary: Downloads over time
+ *     description: Completed downloads per hour or day (UTC) in the window, for one package or for all packages. Intervals without downloads are included with 0.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: repositoryManager
+ *         schema:
+ *           type: string
+ *           enum: [npm, pip]
+ *       - in: query
+ *         name: registry
+ *         schema:
+ *           type: string
+ *         description: Registry profile; all registries when omitted
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           default: 30d
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [hour, day]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Download counts per interval
+ *       400:
+ *         description: Invalid window, interval or filter
+ */
+
+// GET /api/analytics/downloads - Download counts per interval
+router.get('/downloads', async (req, res) => {
+  const query = readQuery(req);
+  const interval = req.query.interval || 'day';
+  const validationError = analyticsService.validateQuery({ window: query.window, interval }) || validateFilter(query);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError,
+      requestId: req.requestId
+    });
+  }
+
+  try {
+    req.checkpoint('download_history_start');
+    const history = await analyticsService.getDownloadHistory({ ...query, interval });
+    req.checkpoint('download_history_complete');
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: {
+        name: query.name,
+        repositoryManager: query.repositoryManager,
+        ...history
+      }
+    });
+  } catch (error) {
+    req.logger.error('Download history error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get the download history',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/breakdown:
+ *   get:
+ *     summary: Downloads by OS, architecture, version and format
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: repositoryManager
+ *         schema:
+ *           type: string
+ *           enum: [npm, pip]
+ *       - in: query
+ *         name: registry
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           default: 30d
+ *     responses:
+ *       200:
+ *         description: Totals and counts per OS, architecture, version and format
+ *       400:
+ *         description: Invalid window or filter
+ */
+
+// GET /api/analytics/breakdown - Downloads grouped by target and version
+router.get('/breakdown', async (req, res) => {
+  const query = readQuery(req);
+  const validationError = analyticsService.validateQuery({ window: query.window }) || validateFilter(query);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError,
+      requestId: req.requestId
+    });
+  }
+
+  try {
+    req.checkpoint('download_breakdown_start');
+    const breakdown = await analyticsService.getBreakdown(query);
+    req.checkpoint('download_breakdown_complete');
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: {
+        name: query.name,
+        repositoryManager: query.repositoryManager,
+        ...breakdown
+      }
+    });
+  } catch (error) {
+    req.logger.error('Download breakdown error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get the download breakdown',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,262 @@
+import express from 'express';
+const router = express.Router();
+import { mongoose } from '../config/database.js';
+import getBuildJobModel from '../models/BuildJob.js';
+import buildJobService from '../services/buildJobService.js';
+
+const TERMINAL_STATES = ['succeeded', 'failed'];
+const HEARTBEAT_INTERVAL_MS = 15000;
+// Progress events only reach streams on the instance running the job; the job state is polled as well
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.BUILD_EVENTS_POLL_INTERVAL_MS) || 5000;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Builds
+ *   description: API for tracking asynchronous executable builds
+ */
+
+/**
+ * @swagger
+ * /api/builds/{jobId}:
+ *   get:
+ *     summary: Get build job status
+ *     tags: [Builds]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Build job ID returned by POST /api/executables/download
+ *     responses:
+ *       200:
+ *         description: Build job state (queued, installing, packaging, succeeded or failed)
+ *       404:
+ *         description: Build job not found
+ */
+
+/**
+ * @swagger
+ * /api/builds/{jobId}/events:
+ *   get:
+ *     summary: Stream build progress as Server-Sent Events
+ *     description: |
+ *       Emits a `job` event with the current job first, then `state` events for job state changes,
+ *       `step` events for each packaging step and `output` events for every stdout/stderr line of
+ *       the build commands. A final `end` event carries the finished job, after which the stream closes.
+ *     tags: [Builds]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Build job ID
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Build job not found
+ */
+
+// Shape a BuildJob document for API responses
+const formatJob = (job) => ({
+  jobId: job.id,
+  state: job.state,
+  name: job.name,
+  version: job.version,
+  requestedVersion: job.requestedVersion,
+  repositoryManager: job.repositoryManager,
+  registry: job.registry,
+  source: job.source,
+  os: job.os,
+  arch: job.arch,
+  nodeVersion: job.nodeVersion,
+  command: job.command,
+  error: job.error,
+  downloadUrl: job.downloadUrl,
+  executable: job.executable,
+  coalescedRequests: job.coalescedRequests,
+  timestamps: {
+    queuedAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt
+  }
+});
+
+// GET /api/builds/:jobId - Get build job status
+router.get('/:jobId', async (req, res) => {
+  req.checkpoint('get_build_job_start');
+
+  try {
+    const BuildJob = getBuildJobModel();
+    const { jobId } = req.params;
+
+    const job = mongoose.isValidObjectId(jobId) ? await BuildJob.findById(jobId) : null;
+    req.checkpoint('get_build_job_complete');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Build job not found',
+        requestId: req.requestId
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: formatJob(job)
+    });
+  } catch (error) {
+    req.logger.error('Get build job error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      jobId: req.params.jobId,
+      performance: req.getPerformanceSummary()
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get build job',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+// GET /api/builds/:jobId/events - Stream build progress over SSE
+router.get('/:jobId/events', async (req, res) => {
+  try {
+    const BuildJob = getBuildJobModel();
+    const { jobId } = req.params;
+
+    const job = mongoose.isValidObjectId(jobId) ? await BuildJob.findById(jobId) : null;
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Build job not found',
+        requestId: req.requestId
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    sendEvent('job', formatJob(job));
+    if (TERMINAL_STATES.includes(job.state)) {
+      sendEvent('end', formatJob(job));
+      return res.end();
+    }
+
+    // Replay what happened before the client connected
+    buildJobService.getProgressHistory(job.id).forEach(({ type, data }) => sendEvent(type, data));
+
+    let lastState = job.state;
+    const onProgress = (progressJobId, { type, data }) => {
+      if (progressJobId === job.id) {
+        if (type === 'state') {
+          lastState = data.state;
+        }
+        sendEvent(type, data);
+      }
+    };
+    let ended = false;
+    const onFinished = (finishedJob) => {
+      if (!ended && finishedJob && finishedJob.id === job.id) {
+        ended = true;
+        sendEvent('end', formatJob(finishedJob));
+        cleanup();
+        res.end();
+      }
+    };
+
+    // Ends the stream for jobs that finish on another instance or were deleted
+    let polling = false;
+    const pollJob = async () => {
+      if (polling || ended) {
+        return;
+      }
+      polling = true;
+      try {
+        const latest = await BuildJob.findById(job.id);
+        if (ended) {
+          return;
+        }
+        if (!latest) {
+          cleanup();
+          res.end();
+        } else if (TERMINAL_STATES.includes(latest.state)) {
+          onFinished(latest);
+        } else if (latest.state !== lastState) {
+          lastState = latest.state;
+          sendEvent('state', { state: latest.state, timestamp: new Date().toISOString() });
+        }
+      } catch (error) {
+        req.logger.warn('Failed to poll build job state', {
+          jobId: job.id,
+          error: { message: error.message, name: error.name }
+        });
+      } finally {
+        polling = false;
+      }
+    };
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    const poll = setInterval(pollJob, JOB_POLL_INTERVAL_MS);
+    const cleanup = () => {
+      ended = true;
+      clearInterval(heartbeat);
+      clearInterval(poll);
+      buildJobService.off('progress', onProgress);
+      buildJobService.off('finished', onFinished);
+    };
+
+    buildJobService.on('progress', onProgress);
+    buildJobService.on('finished', onFinished);
+    req.on('close', cleanup);
+
+    // The job may have finished while we were subscribing
+    await pollJob();
+
+    req.logger.debug('Build event stream opened', { jobId: job.id });
+  } catch (error) {
+    req.logger.error('Build event stream error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      jobId: req.params.jobId
+    });
+
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stream build events',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+export default router;
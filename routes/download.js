@@ -0,0 +1,153 @@
+import express from 'express';
+const router = express.Router();
+import { pipeline } from 'stream/promises';
+import getExecutableModel from '../models/Executable.js';
+import storageService from '../services/storageService.js';
+import executableService from '../services/executableService.js';
+
+/**
+ * @swagger
+ * /download/{fileName}:
+ *   get:
+ *     summary: Download a stored artifact
+ *     description: |
+ *       Serves executables and their `.sig`, `.cdx.json` and `.licenses.json` files from the configured storage backend.
+ *       Supports single byte ranges (`Range`, `If-Range`) for resuming, and conditional requests with the ETag (the SHA-256 of an executable).
+ *       Executables are sent as attachments named `<pkg>-<version>-<os>`. A download is counted once a response
+ *       that reaches the end of the file has been sent completely. With the S3 backend in redirect mode the
+ *       response is a redirect to a short-lived presigned URL, and the download is counted when it is issued.
+ *     tags: [Executables]
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: bytes=1048576-
+ *     responses:
+ *       200:
+ *         description: File content
+ *       206:
+ *         description: Requested byte range
+ *       302:
+ *         description: Redirect to a presigned storage URL
+ *       304:
+ *         description: Not modified
+ *       404:
+ *         description: File not found
+ *       416:
+ *         description: Range not satisfiable
+ */
+
+// Strong ETags only; a weak one never satisfies If-Range
+const matchesIfRange = (ifRange, etag, lastModified) => {
+  if (ifRange.startsWith('"')) {
+    return !etag.startsWith('W/') && ifRange === etag;
+  }
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(date / 1000);
+};
+
+// GET /download/:fileName - Stream or redirect to a stored artifact
+router.get('/:fileName', async (req, res) => {
+  const { fileName } = req.params;
+  try {
+    const stats = storageService.isValidKey(fileName) ? await storageService.stat(fileName) : null;
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+        requestId: req.requestId
+      });
+    }
+
+    // Executables are counted and get a friendly name; the files stored next to them do not
+    const Executable = getExecutableModel();
+    const executable = await Executable.findOne({ fileName });
+    const downloadName = executable ? executableService.getDownloadName(executable) : fileName;
+
+    const downloadUrl = await storageService.getDownloadUrl(fileName, {
+      contentDisposition: `attachment; filename="${downloadName}"`
+    });
+    if (downloadUrl) {
+      // The transfer happens between the client and the bucket
+      if (executable && req.method === 'GET' && !req.headers.range) {
+        await executableService.recordDownload(executable, { userId: req.userId, requestId: req.requestId });
+      }
+      return res.redirect(302, downloadUrl);
+    }
+
+    const etag = executable && executable.sha256
+      ? `"${executable.sha256}"`
+      : `W/"${stats.size.toString(16)}-${stats.lastModified.getTime().toString(16)}"`;
+    res.attachment(downloadName);
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Last-Modified': stats.lastModified.toUTCString()
+    });
+
+    // Evaluates If-None-Match and If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = stats.size - 1;
+    const rangeAllowed = !req.headers['if-range'] || matchesIfRange(req.headers['if-range'], etag, stats.lastModified);
+    const ranges = req.headers.range && rangeAllowed ? req.range(stats.size, { combine: true }) : undefined;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${stats.size}`);
+      return res.status(416).end();
+    }
+    // Malformed and multipart ranges are answered with the whole file
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206);
+      res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+    }
+    res.set('Content-Length', stats.size === 0 ? 0 : end - start + 1);
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+      return res.end();
+    }
+
+    await pipeline(await storageService.getStream(fileName, { start, end }), res);
+
+    // The response reached the end of the file; resumed downloads count when they finish
+    if (executable && end === stats.size - 1) {
+      await executableService.recordDownload(executable, { userId: req.userId, requestId: req.requestId });
+    }
+  } catch (error) {
+    // The client went away before the transfer completed
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+
+    req.logger.error('Download error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      fileName
+    });
+
+    if (res.headersSent) {
+      // The transfer broke off; the client sees a truncated response
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download the file',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+export default router;
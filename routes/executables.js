@@ -1,11 +1,59 @@
 import express from 'express';
 const router = express.Router();
 import getExecutableModel from '../models/Executable.js';
-import packageService from '../services/packageService.js';
-import buildService from '../services/buildService.js';
+import buildJobService from '../services/buildJobService.js';
+import executableService from '../services/executableService.js';
+import uploadService from '../services/uploadService.js';
+import storageService from '../services/storageService.js';
+import analyticsService from '../services/analyticsService.js';
+import { resolveTarget, validateTarget } from '../config/targets.js';
+import { validateRegistry } from '../config/registries.js';
+import { validatePackageRequest } from '../utils/packageValidator.js';
 import path from 'path';
 import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
 import logger from '../utils/logger.js';
+import multer from 'multer';
+
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Uploaded archives land here before they are inspected and stored
+const upload = multer({
+  dest: path.join(__dirname, '..', 'temp', 'uploads', 'incoming'),
+  limits: {
+    fileSize: parseInt(process.env.UPLOAD_MAX_BYTES) || 200 * 1024 * 1024,
+    files: 4
+  }
+});
+
+// Answer multer errors (size limit, unexpected files) with 4xx
+const handleUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error) {
+      req.logger.warn('Rejected package upload', { error: { message: error.message, code: error.code } });
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: error.message,
+        requestId: req.requestId
+      });
+    }
+    next();
+  });
+};
+
+// A single package archive in the `file` field
+const receiveArchive = handleUploadErrors(upload.single('file'));
+
+// An npm project: a zip in `archive`, or its package.json, lockfile and entry file
+const receiveProject = handleUploadErrors(upload.fields([
+  { name: 'archive', maxCount: 1 },
+  { name: 'packageJson', maxCount: 1 },
+  { name: 'lockfile', maxCount: 1 },
+  { name: 'entry', maxCount: 1 }
+]));
 
 /**
  * @swagger
@@ -19,6 +67,7 @@ import logger from '../utils/logger.js';
  * /api/executables:
  *   get:
  *     summary: List all executables
+ *     description: Every executable is the artifact of one target (os + arch); `targets` lists all targets built for the same package version.
  *     tags: [Executables]
  *     parameters:
  *       - in: query
@@ -55,6 +104,18 @@ import logger from '../utils/logger.js';
  *           enum: [npm, pip]
  *         description: Filter by repository manager
  *       - in: query
+ *         name: os
+ *         schema:
+ *           type: string
+ *           enum: [windows, macos, linux]
+ *         description: Filter by target operating system
+ *       - in: query
+ *         name: arch
+ *         schema:
+ *           type: string
+ *           enum: [x64, arm64]
+ *         description: Filter by target architecture
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -80,20 +141,67 @@ import logger from '../utils/logger.js';
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
  *         description: Executable ID
  *     responses:
  *       200:
- *         description: Executable details
+ *         description: Executable details, including the targets available for its version, the artifact's `sha256` and the `signatureUrl` of its detached ed25519 signature (see GET /api/signing-key)
  *       404:
  *         description: Executable not found
  */
 
+/**
+ * @swagger
+ * /api/executables/{id}/sbom:
+ *   get:
+ *     summary: Get the SBOM of an executable
+ *     description: CycloneDX 1.5 JSON listing the npm or pip packages bundled into the executable, with their versions, licenses and integrity hashes. Recorded from the installed dependency tree when the executable is built.
+ *     tags: [Executables]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Executable ID
+ *     responses:
+ *       200:
+ *         description: CycloneDX JSON document
+ *         content:
+ *           application/vnd.cyclonedx+json:
+ *             schema:
+ *               type: object
+ *       404:
+ *         description: Executable not found, or it was built before SBOMs were recorded
+ */
+
+/**
+ * @swagger
+ * /api/executables/{id}/licenses:
+ *   get:
+ *     summary: Get the license report of an executable
+ *     description: Licenses of every package bundled into the executable with the verdict of the license policy, the policy violations, and the aggregated NOTICE text built from the packages' license and notice files.
+ *     tags: [Executables]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Executable ID
+ *     responses:
+ *       200:
+ *         description: License report
+ *       404:
+ *         description: Executable not found, or it was built before license reports were recorded
+ */
+
 /**
  * @swagger
  * /api/executables/download:
  *   post:
- *     summary: Download/build executable
+ *     summary: Download an executable or queue a build for it
+ *     description: Returns the executable immediately when it is already built, otherwise queues a build job and returns 202 with a job ID to poll via GET /api/builds/{jobId}.
  *     tags: [Executables]
  *     requestBody:
  *       required: true
@@ -114,19 +222,140 @@ import logger from '../utils/logger.js';
  *               os:
  *                 type: string
  *                 enum: [windows, macos, linux]
+ *               arch:
+ *                 type: string
+ *                 enum: [x64, arm64]
+ *                 description: Target architecture, defaults to x64 (see GET /api/targets)
+ *               nodeVersion:
+ *                 type: integer
+ *                 description: Node.js major bundled into npm executables (see GET /api/targets)
+ *               registry:
+ *                 type: string
+ *                 description: Registry profile to install the package from (see GET /api/registries); defaults to the public registry
+ *               command:
+ *                 type: string
+ *                 description: npm bin or pip console script to package (see GET /api/packages/commands); defaults to the one named like the package
+ *               format:
+ *                 type: string
+ *                 enum: [binary, tar.gz, zip, deb, rpm, appimage]
+ *                 description: Output format, defaults to the bare executable; deb, rpm and appimage are Linux only
  *               version:
  *                 type: string
+ *                 description: Exact version, semver range or dist-tag (npm); ranges and dist-tags are resolved against the registry, or against the cache when the registry is unreachable. Defaults to latest
  *     responses:
  *       200:
- *         description: Executable ready for download
- *       201:
- *         description: Executable built and ready for download
+ *         description: Executable ready for download; `data.version` is the concrete version served
+ *       202:
+ *         description: Build job queued; `data.version` is the concrete version being built
  *       400:
- *         description: Bad request
+ *         description: Bad request; `errors` lists invalid fields with a message for each
  *       404:
- *         description: Package not found
+ *         description: Package not found, or no version matches
  *       500:
- *         description: Build failure
+ *         description: Failed to queue build
+ */
+
+/**
+ * @swagger
+ * /api/executables/upload:
+ *   post:
+ *     summary: Build an executable from an uploaded package archive
+ *     description: Builds from an npm tarball (`npm pack`), a Python wheel or an sdist instead of downloading the package from a registry. Name, version and description are read from the archive's package.json, METADATA or PKG-INFO. The resulting executable has `source` "upload"; uploading the same archive again for the same target returns the existing executable.
+ *     tags: [Executables]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - os
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .tgz, .whl, .tar.gz or .zip archive
+ *               os:
+ *                 type: string
+ *                 enum: [windows, macos, linux]
+ *               arch:
+ *                 type: string
+ *                 enum: [x64, arm64]
+ *               nodeVersion:
+ *                 type: integer
+ *               command:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *                 enum: [binary, tar.gz, zip, deb, rpm, appimage]
+ *                 description: Output format, defaults to the bare executable
+ *     responses:
+ *       200:
+ *         description: Executable ready for download
+ *       202:
+ *         description: Build job queued
+ *       400:
+ *         description: Missing file, unsupported or invalid archive, or unsupported target
+ *       413:
+ *         description: Archive larger than UPLOAD_MAX_BYTES
+ */
+
+/**
+ * @swagger
+ * /api/executables/project:
+ *   post:
+ *     summary: Build an executable from an uploaded npm project
+ *     description: Builds a small CLI project instead of a published package. Upload its package.json, package-lock.json and entry file, or a zip of the project directory. Dependencies are installed exactly as locked with `npm ci` and the project is packaged with pkg. The entry point is the requested bin (`command`), the uploaded entry file, the default bin or `main`. The resulting executable has `source` "project".
+ *     tags: [Executables]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - os
+ *             properties:
+ *               archive:
+ *                 type: string
+ *                 format: binary
+ *                 description: Zip of the project directory, instead of the three separate files
+ *               packageJson:
+ *                 type: string
+ *                 format: binary
+ *               lockfile:
+ *                 type: string
+ *                 format: binary
+ *                 description: package-lock.json
+ *               entry:
+ *                 type: string
+ *                 format: binary
+ *                 description: Entry file of the CLI
+ *               os:
+ *                 type: string
+ *                 enum: [windows, macos, linux]
+ *               arch:
+ *                 type: string
+ *                 enum: [x64, arm64]
+ *               nodeVersion:
+ *                 type: integer
+ *               command:
+ *                 type: string
+ *                 description: Entry of the project's `bin` field to package
+ *               format:
+ *                 type: string
+ *                 enum: [binary, tar.gz, zip, deb, rpm, appimage]
+ *                 description: Output format, defaults to the bare executable
+ *     responses:
+ *       200:
+ *         description: Executable ready for download
+ *       202:
+ *         description: Build job queued
+ *       400:
+ *         description: Missing files, no lockfile, invalid package.json or unsupported target
+ *       413:
+ *         description: File larger than UPLOAD_MAX_BYTES
  */
 
 // GET /api/executables - List all executables with pagination
@@ -159,6 +388,10 @@ router.get('/', async (req, res) => {
       .skip(offset)
       .limit(limit);
     req.checkpoint('db_find_complete');
+
+    req.checkpoint('db_targets_start');
+    const executablesWithTargets = await executableService.withTargets(executables);
+    req.checkpoint('db_targets_complete');
     
     req.logger.debug('Database queries completed', {
       performance: req.getPerformanceSummary(),
@@ -172,7 +405,7 @@ router.get('/', async (req, res) => {
       success: true,
       requestId: req.requestId, // Include request ID in response
       data: {
-        executables,
+        executables: executablesWithTargets,
         pagination: {
           total,
           page,
@@ -212,7 +445,7 @@ router.get('/search', async (req, res) => {
     });
     
     const Executable = getExecutableModel();
-    const { query, page = 1, limit = 10, repositoryManager } = req.query;
+    const { query, page = 1, limit = 10, repositoryManager, os, arch } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
     let filter = {};
     
@@ -227,6 +460,14 @@ router.get('/search', async (req, res) => {
     if (repositoryManager && ['npm', 'pip'].includes(repositoryManager)) {
       filter.repositoryManager = repositoryManager;
     }
+
+    if (os && ['windows', 'macos', 'linux'].includes(os)) {
+      filter.os = os;
+    }
+
+    if (arch && ['x64', 'arm64'].includes(arch)) {
+      filter.arch = arch;
+    }
     
     req.checkpoint('search_count_start');
     const total = await Executable.countDocuments(filter);
@@ -237,6 +478,7 @@ router.get('/search', async (req, res) => {
       .sort({ downloads: -1, createdAt: -1 })
       .skip(offset)
       .limit(parseInt(limit));
+    const executablesWithTargets = await executableService.withTargets(executables);
     req.checkpoint('search_find_complete');
     
     req.logger.debug('Search completed', {
@@ -252,7 +494,7 @@ router.get('/search', async (req, res) => {
       success: true,
       requestId: req.requestId,
       data: {
-        executables,
+        executables: executablesWithTargets,
         pagination: {
           total,
           page: parseInt(page),
@@ -282,6 +524,84 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/executables/trending:
+ *   get:
+ *     summary: Most downloaded packages in a time window
+ *     description: Counts completed downloads of all versions and targets of each package. `previousDownloads` covers the window before, and `growth` compares the two. With S3 in redirect mode, issued redirects are counted instead (see the Analytics tag).
+ *     tags: [Executables]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           default: 7d
+ *         description: A number and a unit (h, d or w), at most a year
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: repositoryManager
+ *         schema:
+ *           type: string
+ *           enum: [npm, pip]
+ *     responses:
+ *       200:
+ *         description: Packages ordered by downloads in the window
+ *       400:
+ *         description: Invalid window or repository manager
+ */
+
+// GET /api/executables/trending - Packages with the most downloads in a window
+router.get('/trending', async (req, res) => {
+  const { window = '7d', repositoryManager } = req.query;
+  const validationError = analyticsService.validateQuery({ window })
+    || (repositoryManager && !['npm', 'pip'].includes(repositoryManager) ? 'repositoryManager must be npm or pip' : null);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError,
+      requestId: req.requestId
+    });
+  }
+
+  try {
+    req.checkpoint('trending_start');
+    const trending = await analyticsService.getTrending({
+      window,
+      limit: Math.min(parseInt(req.query.limit) || 10, 100),
+      repositoryManager
+    });
+    req.checkpoint('trending_complete');
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: trending
+    });
+  } catch (error) {
+    req.logger.error('Trending executables error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get trending executables',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
 // GET /api/executables/:id - Get specific executable
 router.get('/:id', async (req, res) => {
   try {
@@ -293,12 +613,25 @@ router.get('/:id', async (req, res) => {
         message: 'Executable not found'
       });
     }
+    const [executableWithTargets] = await executableService.withTargets([executable]);
     res.json({
       success: true,
-      data: executable
+      data: {
+        ...executableWithTargets,
+        signatureUrl: executable.signature ? `/download/${executable.fileName}.sig` : null,
+        sbomUrl: executable.sbomFileName ? `/api/executables/${executable._id}/sbom` : null,
+        licensesUrl: executable.licenseReportFileName ? `/api/executables/${executable._id}/licenses` : null
+      }
     });
   } catch (error) {
-    console.error('Get executable error:', error);
+    req.logger.error('Get executable error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
     res.status(500).json({
       success: false,
       message: 'Failed to get executable',
@@ -307,6 +640,98 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/executables/:id/sbom - CycloneDX SBOM of an executable
+router.get('/:id/sbom', async (req, res) => {
+  try {
+    const Executable = getExecutableModel();
+    const executable = await Executable.findById(req.params.id);
+    if (!executable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Executable not found',
+        requestId: req.requestId
+      });
+    }
+
+    const sbom = executable.sbomFileName
+      ? await storageService.getContent(executable.sbomFileName)
+      : null;
+    if (!sbom) {
+      return res.status(404).json({
+        success: false,
+        message: 'No SBOM was recorded for this executable',
+        requestId: req.requestId
+      });
+    }
+
+    res.type('application/vnd.cyclonedx+json').send(sbom);
+  } catch (error) {
+    req.logger.error('Get SBOM error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      executableId: req.params.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get SBOM',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+// GET /api/executables/:id/licenses - License report and NOTICE text of an executable
+router.get('/:id/licenses', async (req, res) => {
+  try {
+    const Executable = getExecutableModel();
+    const executable = await Executable.findById(req.params.id);
+    if (!executable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Executable not found',
+        requestId: req.requestId
+      });
+    }
+
+    const report = executable.licenseReportFileName
+      ? await storageService.getContent(executable.licenseReportFileName)
+      : null;
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No license report was recorded for this executable',
+        requestId: req.requestId
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: JSON.parse(report.toString('utf8'))
+    });
+  } catch (error) {
+    req.logger.error('Get license report error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      executableId: req.params.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get license report',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
 // POST /api/executables/download - Download/build executable
 router.post('/download', async (req, res) => {
   // Start performance tracking for this route
@@ -317,8 +742,7 @@ router.post('/download', async (req, res) => {
       package: req.body
     });
     
-    const Executable = getExecutableModel();
-    const { name, repositoryManager, os, version } = req.body;
+    const { name, repositoryManager, registry, os, arch, nodeVersion, command, format, version } = req.body;
     
     if (!name || !repositoryManager || !os) {
       req.logger.warn('Missing required fields in download request', {
@@ -331,10 +755,7 @@ router.post('/download', async (req, res) => {
       });
     }
     
-
-  // Removing Support for PIP Temporarily
-    // if (!['npm', 'pip'].includes(repositoryManager)) {
-    if (!['npm'].includes(repositoryManager)) {
+    if (!['npm', 'pip'].includes(repositoryManager)) {
       req.logger.warn('Invalid repositoryManager specified', {
         repositoryManager: repositoryManager
       });
@@ -345,6 +766,19 @@ router.post('/download', async (req, res) => {
       });
     }
     
+    const fieldErrors = validatePackageRequest({ name, version, repositoryManager });
+    if (fieldErrors.length > 0) {
+      req.logger.warn('Invalid package name or version in download request', {
+        errors: fieldErrors
+      });
+      return res.status(400).json({
+        success: false,
+        message: fieldErrors.map(error => error.message).join('; '),
+        errors: fieldErrors,
+        requestId: req.requestId
+      });
+    }
+
     if (!['windows', 'macos', 'linux'].includes(os)) {
       req.logger.warn('Invalid OS specified', {
         os: os
@@ -355,70 +789,324 @@ router.post('/download', async (req, res) => {
         requestId: req.requestId
       });
     }
-    console.log(`Processing download request: ${name} (${repositoryManager}) for ${os}`);
-    const searchCriteria = { name, repositoryManager };
-    if (version) searchCriteria.version = version;
-    let executable = await Executable.findOne(searchCriteria);
+
+    const target = resolveTarget({ repositoryManager, os, arch, nodeVersion, command, format });
+    const targetError = validateTarget(repositoryManager, target);
+    if (targetError) {
+      req.logger.warn('Unsupported build target requested', { target });
+      return res.status(400).json({
+        success: false,
+        message: targetError,
+        requestId: req.requestId
+      });
+    }
+
+    const registryError = validateRegistry(registry, repositoryManager);
+    if (registryError) {
+      req.logger.warn('Unknown registry profile requested', { registry });
+      return res.status(400).json({
+        success: false,
+        message: registryError,
+        requestId: req.requestId
+      });
+    }
+
+    // Ranges and dist-tags are resolved to a concrete version before the cache lookup
+    req.checkpoint('resolve_version_start');
+    const resolution = await executableService.resolveRequest({ name, repositoryManager, registry, version, ...target });
+    req.checkpoint('resolve_version_complete');
+    const { executable, packageInfo } = resolution;
     if (executable) {
-      const filePath = path.join(__dirname, '..', 'executables', executable.fileName);
-      if (fs.existsSync(filePath)) {
-        executable.downloads += 1;
-        await executable.save();
-        return res.json({
-          success: true,
-          message: 'Executable ready for download',
-          data: {
-            downloadUrl: `/download/${executable.fileName}`,
-            executable
-          }
+      if (resolution.resolvedFrom === 'cache') {
+        req.logger.warn('Registry could not resolve the version, serving a cached version', {
+          package: name,
+          requestedVersion: version,
+          version: resolution.version
         });
-      } else {
-        console.log('Executable record exists but file missing, rebuilding...');
       }
+      return res.json({
+        success: true,
+        message: resolution.resolvedFrom === 'cache'
+          ? `Registry unavailable; serving cached version ${resolution.version}`
+          : 'Executable ready for download',
+        data: {
+          downloadUrl: `/download/${executable.fileName}`,
+          version: resolution.version,
+          requestedVersion: version || null,
+          resolvedFrom: resolution.resolvedFrom,
+          executable
+        }
+      });
     }
-    const packageInfo = await packageService.getPackageInfo(name, repositoryManager, version);
     if (!packageInfo) {
       return res.status(404).json({
         success: false,
-        message: `Package '${name}' not found in ${repositoryManager} registry`
-      });
-    }
-    const buildResult = await buildService.buildExecutable(packageInfo, os);
-    if (!buildResult.success) {
-      return res.status(500).json({
-        success: false,
-        message: buildResult.error || 'Failed to build executable'
+        message: version
+          ? `No version of '${name}' matching '${version}' found in ${repositoryManager} registry`
+          : `Package '${name}' not found in ${repositoryManager} registry`,
+        requestId: req.requestId
       });
     }
-    const executableData = {
-      name: packageInfo.name,
-      description: packageInfo.description || 'No description available',
-      tags: packageInfo.keywords || [],
-      version: packageInfo.version,
-      repositoryManager,
-      fileName: buildResult.fileName,
-      fileSize: buildResult.fileSize,
-      downloads: executable ? executable.downloads + 1 : 1
-    };
-    if (executable) {
-      await Executable.updateOne({ _id: executable._id }, executableData);
-      executable = await Executable.findById(executable._id);
-    } else {
-      executable = await Executable.create(executableData);
-    }
-    res.status(201).json({
+    // Identical requests for a build that is already running attach to it
+    const { job, attached } = await buildJobService.enqueue(packageInfo, target, {
+      requestedVersion: version,
+      requestId: req.requestId,
+      userId: req.userId
+    });
+    const statusUrl = `/api/builds/${job.id}`;
+    res.location(statusUrl).status(202).json({
       success: true,
-      message: 'Executable built and ready for download',
+      message: attached ? 'Build already in progress' : 'Build queued',
+      requestId: req.requestId,
       data: {
-        downloadUrl: `/download/${buildResult.fileName}`,
+        jobId: job.id,
+        state: job.state,
+        attached,
+        version: packageInfo.version,
+        requestedVersion: version || null,
+        resolvedFrom: resolution.resolvedFrom,
+        statusUrl
+      }
+    });
+  } catch (error) {
+    req.logger.error('Download error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error occurred while processing your request',
+      requestId: req.requestId
+    });
+  }
+});
+
+/**
+ * Validate the package and target of an uploaded build, then answer with the
+ * existing artifact for the same upload or queue a build job for it.
+ * The stored upload is deleted unless a new job takes ownership of it.
+ * @param {Object} packageInfo - Package information read from the upload, including source, sourceChecksum and its stored path
+ * @param {string} uploadPath - Stored archive or project directory
+ */
+const queueUploadBuild = async (req, res, packageInfo, uploadPath) => {
+  const { name, version, repositoryManager } = packageInfo;
+  const { os, arch, nodeVersion, command, format } = req.body;
+  const reject = (body) => {
+    uploadService.removeUpload(uploadPath);
+    return res.status(400).json({ success: false, ...body, requestId: req.requestId });
+  };
+
+  const fieldErrors = validatePackageRequest({ name, version, repositoryManager });
+  if (!version) {
+    fieldErrors.push({ field: 'version', message: 'The package metadata has no version' });
+  }
+  if (fieldErrors.length > 0) {
+    return reject({ message: fieldErrors.map(error => error.message).join('; '), errors: fieldErrors });
+  }
+
+  if (!['windows', 'macos', 'linux'].includes(os)) {
+    return reject({ message: 'Invalid os. Must be "windows", "macos", or "linux"' });
+  }
+
+  const target = resolveTarget({ repositoryManager, os, arch, nodeVersion, command, format });
+  const targetError = validateTarget(repositoryManager, target);
+  if (targetError) {
+    return reject({ message: targetError });
+  }
+
+  // The same upload built for the same target before is served as is
+  const executable = await executableService.findArtifact({
+    name,
+    repositoryManager,
+    source: packageInfo.source,
+    sourceChecksum: packageInfo.sourceChecksum,
+    version,
+    ...target
+  });
+  if (executable && await storageService.exists(executable.fileName)) {
+    uploadService.removeUpload(uploadPath);
+    return res.json({
+      success: true,
+      message: 'Executable ready for download',
+      requestId: req.requestId,
+      data: {
+        downloadUrl: `/download/${executable.fileName}`,
         executable
       }
     });
+  }
+
+  const { job, attached } = await buildJobService.enqueue(packageInfo, target, {
+    requestedVersion: version,
+    requestId: req.requestId,
+    userId: req.userId
+  });
+  if (attached) {
+    // The running job builds from its own copy of the upload
+    uploadService.removeUpload(uploadPath);
+  }
+
+  const statusUrl = `/api/builds/${job.id}`;
+  return res.location(statusUrl).status(202).json({
+    success: true,
+    message: attached ? 'Build already in progress' : 'Build queued',
+    requestId: req.requestId,
+    data: {
+      jobId: job.id,
+      state: job.state,
+      attached,
+      statusUrl,
+      package: { name, version, repositoryManager }
+    }
+  });
+};
+
+// POST /api/executables/upload - Build an executable from an uploaded package archive
+router.post('/upload', receiveArchive, async (req, res) => {
+  req.checkpoint('upload_start');
+
+  let archivePath = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required file field: file',
+        requestId: req.requestId
+      });
+    }
+
+    const { os, arch, nodeVersion, command, format } = req.body;
+    req.logger.info('Upload build request', {
+      file: req.file.originalname,
+      size: req.file.size,
+      target: { os, arch, nodeVersion, command, format }
+    });
+
+    if (!uploadService.getArchiveFormat(req.file.originalname)) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported archive. Upload an npm .tgz, a Python wheel (.whl) or an sdist (.tar.gz, .zip)',
+        requestId: req.requestId
+      });
+    }
+
+    const stored = await uploadService.storeArchive(req.file.path, req.file.originalname);
+    archivePath = stored.archivePath;
+
+    let archiveInfo;
+    try {
+      archiveInfo = await uploadService.readPackageInfo(archivePath);
+    } catch (error) {
+      req.logger.warn('Unreadable package archive', { error: { message: error.message } });
+      uploadService.removeUpload(archivePath);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid package archive: ${error.message}`,
+        requestId: req.requestId
+      });
+    }
+    req.checkpoint('upload_inspected');
+
+    await queueUploadBuild(req, res, {
+      ...archiveInfo,
+      registry: null,
+      source: 'upload',
+      sourceChecksum: stored.checksum,
+      archivePath
+    }, archivePath);
+  } catch (error) {
+    req.logger.error('Upload build error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      performance: req.getPerformanceSummary()
+    });
+    if (archivePath) {
+      uploadService.removeUpload(archivePath);
+    } else if (req.file) {
+      fs.rmSync(req.file.path, { force: true });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue build for the uploaded archive',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+// POST /api/executables/project - Build an executable from an uploaded npm project
+router.post('/project', receiveProject, async (req, res) => {
+  req.checkpoint('project_upload_start');
+
+  const files = Object.fromEntries(
+    Object.entries(req.files || {}).map(([field, [file]]) => [field, file])
+  );
+  const removeIncoming = () => Object.values(files).forEach(file => fs.rmSync(file.path, { force: true }));
+
+  let projectPath = null;
+  try {
+    const { os, arch, nodeVersion, command, format } = req.body;
+    req.logger.info('Project build request', {
+      files: Object.fromEntries(Object.entries(files).map(([field, file]) => [field, file.originalname])),
+      target: { os, arch, nodeVersion, command, format }
+    });
+
+    let stored;
+    let projectInfo;
+    try {
+      stored = await uploadService.storeProject(files);
+      projectPath = stored.projectPath;
+      projectInfo = uploadService.readProjectInfo(projectPath);
+    } catch (error) {
+      req.logger.warn('Invalid project upload', { error: { message: error.message } });
+      removeIncoming();
+      if (projectPath) {
+        uploadService.removeUpload(projectPath);
+      }
+      return res.status(400).json({
+        success: false,
+        message: `Invalid project: ${error.message}`,
+        requestId: req.requestId
+      });
+    }
+    req.checkpoint('project_upload_inspected');
+
+    await queueUploadBuild(req, res, {
+      ...projectInfo,
+      registry: null,
+      source: 'project',
+      sourceChecksum: stored.checksum,
+      projectPath,
+      entryFile: stored.entryFile
+    }, projectPath);
   } catch (error) {
-    console.error('Download error:', error);
+    req.logger.error('Project build error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      performance: req.getPerformanceSummary()
+    });
+    removeIncoming();
+    if (projectPath) {
+      uploadService.removeUpload(projectPath);
+    }
+
     res.status(500).json({
       success: false,
-      message: error.message || 'Internal server error occurred while processing your request'
+      message: 'Failed to queue build for the uploaded project',
+      error: error.message,
+      requestId: req.requestId
     });
   }
 });
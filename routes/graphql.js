@@ -0,0 +1,90 @@
+import express from 'express';
+const router = express.Router();
+import { graphql } from 'graphql';
+import schema from '../schema/index.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: GraphQL
+ *   description: GraphQL access to executables, packages and builds
+ */
+
+/**
+ * @swagger
+ * /graphql:
+ *   post:
+ *     summary: Run a GraphQL query or mutation
+ *     description: Queries searchExecutables, getExecutable, getPackage and getPackageVersion, and the downloadExecutable mutation. The schema is in schema/typeDefs.js. The response follows the GraphQL specification ({ data, errors }) instead of the { success, data } envelope of the REST endpoints.
+ *     tags: [GraphQL]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query]
+ *             properties:
+ *               query:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *               operationName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Result of the operation; resolver errors are listed in errors
+ *       400:
+ *         description: Missing query, or a query that does not parse or validate against the schema
+ */
+
+// POST /graphql - Run a GraphQL operation
+router.post('/', async (req, res) => {
+  const { query, variables, operationName } = req.body || {};
+  if (typeof query !== 'string' || !query.trim()) {
+    return res.status(400).json({
+      errors: [{ message: 'query must be a non-empty string' }]
+    });
+  }
+  if (variables != null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return res.status(400).json({
+      errors: [{ message: 'variables must be an object' }]
+    });
+  }
+
+  try {
+    req.checkpoint('graphql_start');
+    const result = await graphql({
+      schema,
+      source: query,
+      variableValues: variables,
+      operationName,
+      contextValue: { req }
+    });
+    req.checkpoint('graphql_complete');
+
+    if (result.errors) {
+      req.logger.warn('GraphQL operation returned errors', {
+        operationName: operationName || null,
+        errors: result.errors.map(error => error.message)
+      });
+    }
+
+    // Without data the operation did not run: it failed to parse or validate
+    res.status('data' in result ? 200 : 400).json(result);
+  } catch (error) {
+    req.logger.error('GraphQL error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      errors: [{ message: 'Internal server error occurred while processing your request' }]
+    });
+  }
+});
+
+export default router;
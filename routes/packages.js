@@ -0,0 +1,325 @@
+import express from 'express';
+const router = express.Router();
+import packageService from '../services/packageService.js';
+import executableService from '../services/executableService.js';
+import { validatePackageRequest } from '../utils/packageValidator.js';
+import { validateRegistry } from '../config/registries.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Packages
+ *   description: Registry information about packages that can be built, and the versions stored in the vault
+ */
+
+/**
+ * @swagger
+ * /api/packages/commands:
+ *   get:
+ *     summary: List the commands of a package version
+ *     description: Lists the npm `bin` entries or pip `console_scripts` of a package version. Any of them can be passed as `command` to POST /api/executables/download; the one marked `default` is built when no command is given.
+ *     tags: [Packages]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Package name
+ *       - in: query
+ *         name: repositoryManager
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [npm, pip]
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: string
+ *         description: Package version, defaults to latest
+ *       - in: query
+ *         name: registry
+ *         schema:
+ *           type: string
+ *         description: Registry profile to look the package up in (see GET /api/registries)
+ *     responses:
+ *       200:
+ *         description: Commands of the package version
+ *       400:
+ *         description: Bad request; `errors` lists invalid fields with a message for each
+ *       404:
+ *         description: Package not found
+ */
+
+// GET /api/packages/commands - List the bin commands / console scripts of a package version
+router.get('/commands', async (req, res) => {
+  req.checkpoint('package_commands_start');
+
+  try {
+    const { name, repositoryManager, version, registry } = req.query;
+
+    if (!name || !repositoryManager) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required query parameters: name and repositoryManager are required',
+        requestId: req.requestId
+      });
+    }
+
+    if (!['npm', 'pip'].includes(repositoryManager)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid repositoryManager. Must be "npm" or "pip"',
+        requestId: req.requestId
+      });
+    }
+
+    const fieldErrors = validatePackageRequest({ name, version, repositoryManager });
+    if (fieldErrors.length > 0) {
+      req.logger.warn('Invalid package name or version in commands request', {
+        errors: fieldErrors
+      });
+      return res.status(400).json({
+        success: false,
+        message: fieldErrors.map(error => error.message).join('; '),
+        errors: fieldErrors,
+        requestId: req.requestId
+      });
+    }
+
+    const registryError = validateRegistry(registry, repositoryManager);
+    if (registryError) {
+      return res.status(400).json({
+        success: false,
+        message: registryError,
+        requestId: req.requestId
+      });
+    }
+
+    const packageCommands = await packageService.getPackageCommands(name, repositoryManager, version || 'latest', registry);
+    req.checkpoint('package_commands_complete');
+
+    if (!packageCommands) {
+      return res.status(404).json({
+        success: false,
+        message: `Package '${name}' not found in ${repositoryManager} registry`,
+        requestId: req.requestId
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: packageCommands
+    });
+  } catch (error) {
+    req.logger.error('Package commands error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      query: req.query,
+      performance: req.getPerformanceSummary()
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list package commands',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+// Scoped npm names arrive as two path segments (@scope/name) or as one encoded segment (@scope%2Fname)
+const PACKAGE_PATHS = ['/:repositoryManager/:scope(@[^/]+)/:name', '/:repositoryManager/:name'];
+
+// Package name, repository manager and optional registry filter of a package path
+const readPackagePath = (req) => {
+  const { repositoryManager, scope } = req.params;
+  const name = scope ? `${scope}/${req.params.name}` : req.params.name;
+  if (!['npm', 'pip'].includes(repositoryManager)) {
+    return { error: 'Invalid repositoryManager. Must be "npm" or "pip"' };
+  }
+  const fieldErrors = validatePackageRequest({ name, version: req.params.version, repositoryManager });
+  if (fieldErrors.length > 0) {
+    return { error: fieldErrors.map(error => error.message).join('; '), errors: fieldErrors };
+  }
+  return { name, repositoryManager, registry: req.query.registry || undefined, version: req.params.version };
+};
+
+/**
+ * @swagger
+ * /api/packages/{repositoryManager}/{name}:
+ *   get:
+ *     summary: List the stored versions of a package
+ *     description: Every version of the package held in the vault, newest first, with its built targets, total size, download count and build dates. Scoped npm names can be given as `@scope/name` or `@scope%2Fname`.
+ *     tags: [Packages]
+ *     parameters:
+ *       - in: path
+ *         name: repositoryManager
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [npm, pip]
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: registry
+ *         schema:
+ *           type: string
+ *         description: Only versions built from this registry profile; all registries when omitted
+ *     responses:
+ *       200:
+ *         description: Stored versions of the package
+ *       400:
+ *         description: Invalid repository manager or package name
+ *       404:
+ *         description: No version of the package is stored
+ */
+
+// GET /api/packages/:repositoryManager/:name - Stored versions of a package
+router.get(PACKAGE_PATHS, async (req, res) => {
+  const pkg = readPackagePath(req);
+  if (pkg.error) {
+    return res.status(400).json({
+      success: false,
+      message: pkg.error,
+      errors: pkg.errors,
+      requestId: req.requestId
+    });
+  }
+
+  try {
+    req.checkpoint('package_versions_start');
+    const packageVersions = await executableService.getPackageVersions(pkg);
+    req.checkpoint('package_versions_complete');
+
+    if (!packageVersions) {
+      return res.status(404).json({
+        success: false,
+        message: `No version of ${pkg.repositoryManager} package '${pkg.name}' is stored`,
+        requestId: req.requestId
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: packageVersions
+    });
+  } catch (error) {
+    req.logger.error('Package versions error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      params: req.params
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list package versions',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/packages/{repositoryManager}/{name}/versions/{version}:
+ *   get:
+ *     summary: Get a stored version of a package
+ *     description: The version's totals and every built target with its file, checksum, download count, license and security status and build date.
+ *     tags: [Packages]
+ *     parameters:
+ *       - in: path
+ *         name: repositoryManager
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [npm, pip]
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: registry
+ *         schema:
+ *           type: string
+ *         description: Only targets built from this registry profile; all registries when omitted
+ *     responses:
+ *       200:
+ *         description: Version detail
+ *       400:
+ *         description: Invalid repository manager, package name or version
+ *       404:
+ *         description: The version is not stored
+ */
+
+// GET /api/packages/:repositoryManager/:name/versions/:version - Detail of a stored version
+router.get(PACKAGE_PATHS.map(packagePath => `${packagePath}/versions/:version`), async (req, res) => {
+  const pkg = readPackagePath(req);
+  if (pkg.error) {
+    return res.status(400).json({
+      success: false,
+      message: pkg.error,
+      errors: pkg.errors,
+      requestId: req.requestId
+    });
+  }
+
+  try {
+    req.checkpoint('package_version_start');
+    const packageVersion = await executableService.getPackageVersion(pkg);
+    req.checkpoint('package_version_complete');
+
+    if (!packageVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${pkg.version} of ${pkg.repositoryManager} package '${pkg.name}' is not stored`,
+        requestId: req.requestId
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: {
+        name: pkg.name,
+        repositoryManager: pkg.repositoryManager,
+        ...packageVersion
+      }
+    });
+  } catch (error) {
+    req.logger.error('Package version error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      params: req.params
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get the package version',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+const router = express.Router();
+import { listRegistryProfiles } from '../config/registries.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Registries
+ *   description: Registry profiles packages can be built from
+ */
+
+/**
+ * @swagger
+ * /api/registries:
+ *   get:
+ *     summary: List registry profiles
+ *     description: Private or alternate registries configured with REGISTRY_PROFILES. A profile name can be passed as `registry` to POST /api/executables/download. Credentials are never returned.
+ *     tags: [Registries]
+ *     responses:
+ *       200:
+ *         description: Configured registry profiles
+ */
+
+// GET /api/registries - List registry profiles without their credentials
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    requestId: req.requestId,
+    data: listRegistryProfiles()
+  });
+});
+
+export default router;
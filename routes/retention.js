@@ -0,0 +1,123 @@
+import express from 'express';
+const router = express.Router();
+import retentionService from '../services/retentionService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Retention
+ *   description: Garbage collection of stored executables and build directories
+ */
+
+/**
+ * @swagger
+ * /api/retention:
+ *   get:
+ *     summary: Get the retention policy and the last garbage collection
+ *     tags: [Retention]
+ *     responses:
+ *       200:
+ *         description: Policy, schedule, whether a run is in progress and the totals of the last run
+ */
+
+// GET /api/retention - Retention policy and state of the garbage collector
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    requestId: req.requestId,
+    data: retentionService.getStatus()
+  });
+});
+
+/**
+ * @swagger
+ * /api/retention/report:
+ *   get:
+ *     summary: Dry run of the garbage collector
+ *     description: Lists the executables (with the reason - superseded, idle or missing), orphaned stored files and temp/ entries the next run would delete. Nothing is deleted.
+ *     tags: [Retention]
+ *     responses:
+ *       200:
+ *         description: Dry-run report
+ */
+
+// GET /api/retention/report - What the next garbage collection would delete
+router.get('/report', async (req, res) => {
+  try {
+    req.checkpoint('retention_plan_start');
+    const report = await retentionService.getReport();
+    req.checkpoint('retention_plan_complete');
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: report
+    });
+  } catch (error) {
+    req.logger.error('Retention report error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create the retention report',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/retention/run:
+ *   post:
+ *     summary: Run the garbage collector now
+ *     tags: [Retention]
+ *     responses:
+ *       200:
+ *         description: Report of what was deleted
+ *       409:
+ *         description: A run is already in progress
+ */
+
+// POST /api/retention/run - Apply the retention policy immediately
+router.post('/run', async (req, res) => {
+  try {
+    req.logger.info('Garbage collection requested');
+    const report = await retentionService.run();
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        message: 'Garbage collection is already running',
+        requestId: req.requestId
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: report
+    });
+  } catch (error) {
+    req.logger.error('Garbage collection error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Garbage collection failed',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+export default router;
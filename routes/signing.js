@@ -0,0 +1,50 @@
+import express from 'express';
+const router = express.Router();
+import signingService from '../services/signingService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Signing
+ *   description: Verifying downloaded executables
+ */
+
+/**
+ * @swagger
+ * /api/signing-key:
+ *   get:
+ *     summary: Get the artifact signing public key
+ *     description: Every executable is signed with this ed25519 key. The signature at `/download/<fileName>.sig` is the base64 encoded signature over the raw 32-byte SHA-256 digest of the file.
+ *     tags: [Signing]
+ *     responses:
+ *       200:
+ *         description: PEM (SPKI) public key, its algorithm and key id
+ */
+
+// GET /api/signing-key - Public key for verifying artifact signatures
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: signingService.getPublicKey()
+    });
+  } catch (error) {
+    req.logger.error('Signing key error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load the signing key',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+export default router;
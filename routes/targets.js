@@ -0,0 +1,33 @@
+import express from 'express';
+const router = express.Router();
+import { SUPPORTED_TARGETS } from '../config/targets.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Targets
+ *   description: Build targets supported by this server
+ */
+
+/**
+ * @swagger
+ * /api/targets:
+ *   get:
+ *     summary: List supported build targets
+ *     description: Operating systems, architectures, (for npm) Node.js runtime majors and output formats that can be passed to POST /api/executables/download.
+ *     tags: [Targets]
+ *     responses:
+ *       200:
+ *         description: Supported targets per repository manager
+ */
+
+// GET /api/targets - List supported build targets
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    requestId: req.requestId,
+    data: SUPPORTED_TARGETS
+  });
+});
+
+export default router;
@@ -0,0 +1,179 @@
+import express from 'express';
+const router = express.Router();
+import watcherService from '../services/watcherService.js';
+import { validateRegistry } from '../config/registries.js';
+import { validatePackageRequest } from '../utils/packageValidator.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Watch
+ *   description: Automatic builds of new upstream releases
+ */
+
+/**
+ * @swagger
+ * /api/watch:
+ *   get:
+ *     summary: Watched packages and the results of their last check
+ *     description: Lists every package built from a registry or with a tracking setting, whether it is tracked, the targets built so far, the latest upstream version and the builds queued for it.
+ *     tags: [Watch]
+ *     responses:
+ *       200:
+ *         description: Watcher state and packages
+ */
+
+// GET /api/watch - Watcher state and watched packages
+router.get('/', async (req, res) => {
+  try {
+    req.checkpoint('watch_list_start');
+    const packages = await watcherService.listPackages();
+    req.checkpoint('watch_list_complete');
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: {
+        ...watcherService.getStatus(),
+        packages
+      }
+    });
+  } catch (error) {
+    req.logger.error('List watched packages error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list watched packages',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/watch/packages:
+ *   put:
+ *     summary: Opt a package in or out of tracking
+ *     tags: [Watch]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, repositoryManager, enabled]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               repositoryManager:
+ *                 type: string
+ *                 enum: [npm, pip]
+ *               registry:
+ *                 type: string
+ *                 description: Registry profile; omit for the public registry
+ *               enabled:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: true to opt in, false to opt out, null to follow WATCH_ALL_PACKAGES
+ *     responses:
+ *       200:
+ *         description: The package with its new tracking setting
+ *       400:
+ *         description: Invalid package, registry or setting
+ */
+
+// PUT /api/watch/packages - Change the tracking setting of a package
+router.put('/packages', async (req, res) => {
+  const { name, repositoryManager, registry = null, enabled } = req.body;
+  const fieldErrors = ['npm', 'pip'].includes(repositoryManager)
+    ? validatePackageRequest({ name, repositoryManager })
+    : [{ field: 'repositoryManager', message: 'repositoryManager must be npm or pip' }];
+  const registryError = fieldErrors.length === 0 ? validateRegistry(registry, repositoryManager) : null;
+  if (registryError) {
+    fieldErrors.push({ field: 'registry', message: registryError });
+  }
+  if (enabled !== true && enabled !== false && enabled !== null) {
+    fieldErrors.push({ field: 'enabled', message: 'enabled must be true, false or null' });
+  }
+  if (fieldErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: fieldErrors.map(error => error.message).join('; '),
+      errors: fieldErrors,
+      requestId: req.requestId
+    });
+  }
+
+  try {
+    req.logger.info('Package tracking changed', { package: name, repositoryManager, registry, enabled });
+    const watchedPackage = await watcherService.setTracking({ name, repositoryManager, registry }, enabled);
+
+    res.json({
+      success: true,
+      requestId: req.requestId,
+      data: watchedPackage
+    });
+  } catch (error) {
+    req.logger.error('Package tracking error:', {
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      }
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change the tracking of the package',
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/watch/run:
+ *   post:
+ *     summary: Check the tracked packages for new releases now
+ *     description: Runs in the background; poll GET /api/watch for the results.
+ *     tags: [Watch]
+ *     responses:
+ *       202:
+ *         description: Check started
+ *       409:
+ *         description: A check is already running
+ */
+
+// POST /api/watch/run - Check for new releases in the background
+router.post('/run', (req, res) => {
+  if (watcherService.running) {
+    return res.status(409).json({
+      success: false,
+      message: 'An upstream version check is already running',
+      requestId: req.requestId
+    });
+  }
+
+  req.logger.info('Upstream version check requested');
+  watcherService.run().catch((error) => {
+    req.logger.error('Upstream version check error:', {
+      error: { message: error.message, name: error.name }
+    });
+  });
+
+  res.status(202).json({
+    success: true,
+    requestId: req.requestId,
+    data: watcherService.getStatus()
+  });
+});
+
+export default router;
@@ -0,0 +1,38 @@
+import { buildSchema, GraphQLScalarType } from 'graphql';
+import typeDefs from './typeDefs.js';
+import resolvers from './resolvers.js';
+
+/**
+ * Build the executable schema: the SDL of typeDefs.js with the resolvers of
+ * resolvers.js attached. Resolvers take (parent, args, context, info), and
+ * scalars are given as GraphQLScalarType instances whose coercion replaces
+ * the default one.
+ * @returns {import('graphql').GraphQLSchema}
+ */
+const createSchema = () => {
+  const schema = buildSchema(typeDefs);
+  for (const [typeName, typeResolvers] of Object.entries(resolvers)) {
+    const type = schema.getType(typeName);
+    if (!type) {
+      throw new Error(`Resolvers given for unknown GraphQL type '${typeName}'`);
+    }
+    if (typeResolvers instanceof GraphQLScalarType) {
+      type.serialize = typeResolvers.serialize;
+      type.parseValue = typeResolvers.parseValue;
+      type.parseLiteral = typeResolvers.parseLiteral;
+      continue;
+    }
+    const fields = type.getFields();
+    for (const [fieldName, resolve] of Object.entries(typeResolvers)) {
+      if (!fields[fieldName]) {
+        throw new Error(`Resolver given for unknown GraphQL field '${typeName}.${fieldName}'`);
+      }
+      fields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+};
+
+const schema = createSchema();
+
+export default schema;
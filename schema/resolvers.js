@@ -1,17 +1,43 @@
+import { GraphQLScalarType, Kind } from 'graphql';
 import getExecutableModel from '../models/Executable.js';
-import packageService from '../services/packageService.js';
-import buildService from '../services/buildService.js';
-import { createReadStream } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import buildJobService from '../services/buildJobService.js';
+import executableService from '../services/executableService.js';
+import { resolveTarget, validateTarget } from '../config/targets.js';
+import { validateRegistry } from '../config/registries.js';
+import { validatePackageRequest } from '../utils/packageValidator.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Resolver errors are logged with the request that ran the operation
+const logError = (req, message, error) => {
+  req.logger.error(message, {
+    error: {
+      message: error.message,
+      stack: error.stack,
+      name: error.name
+    }
+  });
+};
 
 const resolvers = {
+  DateTime: new GraphQLScalarType({
+    name: 'DateTime',
+    serialize: (value) => (value instanceof Date ? value.toISOString() : value),
+    parseValue: (value) => new Date(value),
+    parseLiteral: (ast) => (ast.kind === Kind.STRING ? new Date(ast.value) : null)
+  }),
+  Executable: {
+    id: (executable) => executable._id,
+    downloadUrl: (executable) => `/download/${executable.fileName}`,
+    // Queries list the targets already; executables returned by the mutation are looked up
+    targets: async (executable) => {
+      if (executable.targets) {
+        return executable.targets;
+      }
+      const [executableWithTargets] = await executableService.withTargets([executable]);
+      return executableWithTargets.targets;
+    }
+  },
   Query: {
-    searchExecutables: async (_, { query, page, limit, repositoryManager }) => {
+    searchExecutables: async (_, { query, page, limit, repositoryManager, os, arch }, { req }) => {
       try {
         const Executable = getExecutableModel();
         const offset = (page - 1) * limit;
@@ -26,99 +52,132 @@ const resolvers = {
         if (repositoryManager) {
           filter.repositoryManager = repositoryManager;
         }
+        if (os) {
+          filter.os = os;
+        }
+        if (arch) {
+          filter.arch = arch;
+        }
         const total = await Executable.countDocuments(filter);
         const executables = await Executable.find(filter)
           .sort({ downloads: -1, createdAt: -1 })
           .skip(offset)
           .limit(limit);
         return {
-          executables,
+          executables: await executableService.withTargets(executables),
           total,
           page,
           limit
         };
       } catch (error) {
-        console.error('Search error:', error);
+        logError(req, 'Search error:', error);
         throw new Error('Failed to search executables');
       }
     },
-    getExecutable: async (_, { id }) => {
+    getExecutable: async (_, { id }, { req }) => {
       try {
         const Executable = getExecutableModel();
         const executable = await Executable.findById(id);
         if (!executable) {
           throw new Error('Executable not found');
         }
-        return executable;
+        const [executableWithTargets] = await executableService.withTargets([executable]);
+        return executableWithTargets;
       } catch (error) {
-        console.error('Get executable error:', error);
+        logError(req, 'Get executable error:', error);
         throw new Error('Failed to get executable');
       }
+    },
+    getPackage: async (_, { repositoryManager, name, registry }, { req }) => {
+      try {
+        // null when no version of the package is stored
+        return await executableService.getPackageVersions({ name, repositoryManager, registry: registry || undefined });
+      } catch (error) {
+        logError(req, 'Get package error:', error);
+        throw new Error('Failed to get package');
+      }
+    },
+    getPackageVersion: async (_, { repositoryManager, name, version, registry }, { req }) => {
+      try {
+        const packageVersion = await executableService.getPackageVersion({ name, repositoryManager, version, registry: registry || undefined });
+        return packageVersion && { name, repositoryManager, ...packageVersion };
+      } catch (error) {
+        logError(req, 'Get package version error:', error);
+        throw new Error('Failed to get package version');
+      }
     }
   },
   Mutation: {
-    downloadExecutable: async (_, { name, repositoryManager, os, version }) => {
+    downloadExecutable: async (_, { name, repositoryManager, registry, os, arch, nodeVersion, command, format, version }, { req }) => {
       try {
-        const Executable = getExecutableModel();
-        const searchCriteria = { name, repositoryManager };
-        if (version) searchCriteria.version = version;
-        let executable = await Executable.findOne(searchCriteria);
-        if (executable) {
-          const filePath = path.join(__dirname, '..', 'executables', executable.fileName);
-          const fs = require('fs');
-          if (fs.existsSync(filePath)) {
-            executable.downloads += 1;
-            await executable.save();
-            return {
-              success: true,
-              message: 'Executable ready for download',
-              downloadUrl: `/download/${executable.fileName}`,
-              executable
-            };
-          }
-        }
-        const packageInfo = await packageService.getPackageInfo(name, repositoryManager, version);
-        if (!packageInfo) {
+        const fieldErrors = validatePackageRequest({ name, version, repositoryManager });
+        if (fieldErrors.length > 0) {
           return {
             success: false,
-            message: `Package '${name}' not found in ${repositoryManager} registry`,
+            message: fieldErrors.map(error => error.message).join('; '),
+            errors: fieldErrors,
             downloadUrl: null,
             executable: null
           };
         }
-        const buildResult = await buildService.buildExecutable(packageInfo, os);
-        if (!buildResult.success) {
+        const target = resolveTarget({ repositoryManager, os, arch, nodeVersion, command, format });
+        const targetError = validateTarget(repositoryManager, target) || validateRegistry(registry, repositoryManager);
+        if (targetError) {
           return {
             success: false,
-            message: buildResult.error || 'Failed to build executable',
+            message: targetError,
             downloadUrl: null,
             executable: null
           };
         }
-        const executableData = {
-          name: packageInfo.name,
-          description: packageInfo.description || 'No description available',
-          tags: packageInfo.keywords || [],
-          version: packageInfo.version,
-          repositoryManager,
-          fileName: buildResult.fileName,
-          fileSize: buildResult.fileSize,
-          downloads: executable ? executable.downloads + 1 : 1
-        };
+        // Ranges and dist-tags are resolved to a concrete version before the cache lookup
+        const resolution = await executableService.resolveRequest({ name, repositoryManager, registry, version, ...target });
+        const { executable, packageInfo } = resolution;
         if (executable) {
-          await Executable.updateOne({ _id: executable._id }, executableData);
-          executable = await Executable.findById(executable._id);
-        } else {
-          executable = await Executable.create(executableData);
+          return {
+            success: true,
+            message: resolution.resolvedFrom === 'cache'
+              ? `Registry unavailable; serving cached version ${resolution.version}`
+              : 'Executable ready for download',
+            downloadUrl: `/download/${executable.fileName}`,
+            version: resolution.version,
+            resolvedFrom: resolution.resolvedFrom,
+            executable
+          };
         }
+        if (!packageInfo) {
+          return {
+            success: false,
+            message: version
+              ? `No version of '${name}' matching '${version}' found in ${repositoryManager} registry`
+              : `Package '${name}' not found in ${repositoryManager} registry`,
+            downloadUrl: null,
+            executable: null
+          };
+        }
+        // Builds run in the background job queue; poll build.statusUrl for the result
+        // Identical in-flight requests share a single job
+        const { job, attached } = await buildJobService.enqueue(packageInfo, target, {
+          requestedVersion: version,
+          requestId: req.requestId,
+          userId: req.userId
+        });
         return {
           success: true,
-          message: 'Executable built and ready for download',
-          downloadUrl: `/download/${buildResult.fileName}`,
-          executable
+          message: attached ? 'Build already in progress' : 'Build queued',
+          downloadUrl: null,
+          version: packageInfo.version,
+          resolvedFrom: resolution.resolvedFrom,
+          executable: null,
+          build: {
+            jobId: job.id,
+            state: job.state,
+            attached,
+            statusUrl: `/api/builds/${job.id}`
+          }
         };
       } catch (error) {
-        console.error('Download error:', error);
+        logError(req, 'Download error:', error);
         return {
           success: false,
           message: error.message || 'Internal server error occurred while processing your request',
@@ -0,0 +1,216 @@
+// GraphQL schema served at /graphql; the fields are resolved by schema/resolvers.js
+const typeDefs = `
+  "ISO 8601 date and time"
+  scalar DateTime
+
+  "Advisory from the local vulnerability database matching a bundled package"
+  type Advisory {
+    advisoryId: String!
+    aliases: [String!]!
+    summary: String
+    severity: String
+    score: Float
+    url: String
+    package: String!
+    version: String!
+    fixedIn: String
+  }
+
+  "Result of running the built executable"
+  type SmokeTest {
+    args: [String!]!
+    exitCode: Int
+    signal: String
+    timedOut: Boolean!
+    stdout: String!
+    durationMs: Int
+  }
+
+  "Bundled package whose licenses the license policy flags"
+  type LicenseViolation {
+    name: String!
+    version: String!
+    licenses: [String!]!
+    verdict: String!
+    action: String!
+  }
+
+  "One built target of a package version"
+  type Target {
+    id: ID!
+    "null for executables stored before the os was tracked whose file name does not tell it"
+    os: String
+    arch: String!
+    nodeVersion: Int
+    command: String
+    format: String!
+    source: String
+    fileSize: Float
+    sha256: String
+    verified: Boolean
+    downloads: Int!
+  }
+
+  type Executable {
+    id: ID!
+    name: String!
+    description: String
+    tags: [String!]!
+    downloads: Int!
+    lastDownloadedAt: DateTime
+    score: Float
+    version: String!
+    securityRating: Float
+    advisories: [Advisory!]!
+    securityScannedAt: DateTime
+    repositoryManager: String!
+    registry: String
+    source: String
+    sourceChecksum: String
+    "null for executables stored before the os was tracked whose file name does not tell it"
+    os: String
+    arch: String!
+    nodeVersion: Int
+    command: String
+    defaultCommand: Boolean
+    format: String!
+    fileName: String!
+    fileSize: Float
+    downloadUrl: String!
+    sha256: String
+    signature: String
+    signingKeyId: String
+    licenseStatus: String
+    licenseViolations: [LicenseViolation!]!
+    verified: Boolean
+    smokeTest: SmokeTest
+    createdAt: DateTime
+    updatedAt: DateTime
+    "Every target built for the same package version"
+    targets: [Target!]!
+  }
+
+  type SearchResult {
+    executables: [Executable!]!
+    total: Int!
+    page: Int!
+    limit: Int!
+  }
+
+  "A stored version of a package, as listed by getPackage"
+  type PackageVersionSummary {
+    version: String!
+    registry: String
+    downloads: Int!
+    totalSize: Float!
+    firstBuiltAt: DateTime!
+    lastBuiltAt: DateTime!
+    targets: [Target!]!
+  }
+
+  type Package {
+    name: String!
+    repositoryManager: String!
+    latestVersion: String!
+    downloads: Int!
+    versions: [PackageVersionSummary!]!
+  }
+
+  "A built target with its download links, as listed by getPackageVersion"
+  type PackageTarget {
+    id: ID!
+    "null for executables stored before the os was tracked whose file name does not tell it"
+    os: String
+    arch: String!
+    nodeVersion: Int
+    command: String
+    format: String!
+    source: String
+    fileSize: Float
+    sha256: String
+    verified: Boolean
+    downloads: Int!
+    registry: String
+    fileName: String!
+    downloadUrl: String!
+    signatureUrl: String
+    sbomUrl: String
+    licensesUrl: String
+    licenseStatus: String
+    securityRating: Float
+    lastDownloadedAt: DateTime
+    createdAt: DateTime
+  }
+
+  type PackageVersion {
+    name: String!
+    repositoryManager: String!
+    version: String!
+    registry: String
+    downloads: Int!
+    totalSize: Float!
+    firstBuiltAt: DateTime!
+    lastBuiltAt: DateTime!
+    description: String
+    tags: [String!]!
+    securityRating: Float
+    securityScannedAt: DateTime
+    targets: [PackageTarget!]!
+  }
+
+  "Invalid field of a request"
+  type FieldError {
+    field: String!
+    message: String!
+  }
+
+  "Build job queued for a download that is not built yet, as in the 202 response of POST /api/executables/download"
+  type QueuedBuild {
+    jobId: ID!
+    state: String!
+    "Whether the request attached to a build that was already queued or running"
+    attached: Boolean!
+    "GET this for the job state; downloadUrl is set once it succeeded"
+    statusUrl: String!
+  }
+
+  type DownloadResult {
+    success: Boolean!
+    message: String!
+    errors: [FieldError!]
+    downloadUrl: String
+    "Version that was served or built"
+    version: String
+    "Where the version came from: request, registry or cache"
+    resolvedFrom: String
+    executable: Executable
+    "Set when a build was queued instead of serving a stored executable"
+    build: QueuedBuild
+  }
+
+  type Query {
+    searchExecutables(query: String, page: Int = 1, limit: Int = 10, repositoryManager: String, os: String, arch: String): SearchResult!
+    getExecutable(id: ID!): Executable
+    "null when no version of the package is stored"
+    getPackage(repositoryManager: String!, name: String!, registry: String): Package
+    "null when the version is not stored"
+    getPackageVersion(repositoryManager: String!, name: String!, version: String!, registry: String): PackageVersion
+  }
+
+  type Mutation {
+    "Serve the stored executable for the request, or queue a build and return its job"
+    downloadExecutable(
+      name: String!
+      repositoryManager: String!
+      registry: String
+      os: String!
+      arch: String
+      nodeVersion: Int
+      command: String
+      format: String
+      version: String
+    ): DownloadResult!
+  }
+`;
+
+export default typeDefs;
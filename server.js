@@ -16,8 +16,23 @@ import { requestLogger, errorLogger } from './utils/expressLogger.js';
 
 import { connectDB } from './config/database.js';
 import executableRoutes from './routes/executables.js';
+import buildRoutes from './routes/builds.js';
+import targetRoutes from './routes/targets.js';
+import packageRoutes from './routes/packages.js';
+import registryRoutes from './routes/registries.js';
+import signingRoutes from './routes/signing.js';
+import advisoryRoutes from './routes/advisories.js';
+import downloadRoutes from './routes/download.js';
+import retentionRoutes from './routes/retention.js';
+import analyticsRoutes from './routes/analytics.js';
+import watchRoutes from './routes/watch.js';
+import graphqlRoutes from './routes/graphql.js';
 import logRoutes from './routes/logs.js';
 import swaggerOptions from './swagger.js';
+import buildJobService from './services/buildJobService.js';
+import signingService from './services/signingService.js';
+import retentionService from './services/retentionService.js';
+import watcherService from './services/watcherService.js';
 
 // Get __dirname equivalent in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -30,12 +45,24 @@ async function startServer() {
   await connectDB();
   logger.info('Connected to database');
 
-  // Create executables directory if it doesn't exist
-  const executablesDir = path.join(__dirname, 'executables');
-  if (!fs.existsSync(executablesDir)) {
-    fs.mkdirSync(executablesDir, { recursive: true });
-    logger.debug('Created executables directory');
-  }
+  // Pick up build jobs that were interrupted by the last shutdown
+  await buildJobService.resumePendingJobs();
+
+  // Fail at startup when the signing key is missing or invalid
+  signingService.loadKeys();
+
+  // Checksum and sign artifacts built before signing was introduced, without delaying startup
+  signingService.signExistingArtifacts().catch((error) => {
+    logger.error('Failed to sign existing artifacts', {
+      error: { message: error.message, stack: error.stack, name: error.name }
+    });
+  });
+
+  // Delete expired executables and stale build directories on a schedule
+  retentionService.start();
+
+  // Rebuild tracked packages when a new version is published
+  watcherService.start();
 
   // Middleware
   app.use(cors());
@@ -53,13 +80,25 @@ async function startServer() {
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
-  // Serve static executable files
-  app.use('/download', express.static(executablesDir));
+  // Serve executables from the configured storage backend
+  app.use('/download', downloadRoutes);
 
   // API Routes
   app.use('/api/executables', executableRoutes);
+  app.use('/api/builds', buildRoutes);
+  app.use('/api/targets', targetRoutes);
+  app.use('/api/packages', packageRoutes);
+  app.use('/api/registries', registryRoutes);
+  app.use('/api/signing-key', signingRoutes);
+  app.use('/api/advisories', advisoryRoutes);
+  app.use('/api/retention', retentionRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/watch', watchRoutes);
   app.use('/api/logs', logRoutes);
 
+  // GraphQL queries and mutations (schema/typeDefs.js)
+  app.use('/graphql', graphqlRoutes);
+
   // Swagger setup
   const swaggerSpec = swaggerJsdoc(swaggerOptions);
   app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -110,9 +149,32 @@ async function startServer() {
         search: 'GET /api/executables/search?query=<search_term>&page=<page>&limit=<limit>&repositoryManager=<npm|pip>',
         getExecutable: 'GET /api/executables/:id',
         downloadExecutable: 'POST /api/executables/download',
-        listExecutables: 'GET /api/executables'
+        uploadExecutable: 'POST /api/executables/upload',
+        buildProject: 'POST /api/executables/project',
+        listExecutables: 'GET /api/executables',
+        trending: 'GET /api/executables/trending?window=<7d>&limit=<limit>&repositoryManager=<npm|pip>',
+        buildStatus: 'GET /api/builds/:jobId',
+        buildEvents: 'GET /api/builds/:jobId/events',
+        targets: 'GET /api/targets',
+        packageCommands: 'GET /api/packages/commands?name=<name>&repositoryManager=<npm|pip>&version=<version>',
+        packageVersions: 'GET /api/packages/:repositoryManager/:name',
+        packageVersion: 'GET /api/packages/:repositoryManager/:name/versions/:version',
+        registries: 'GET /api/registries',
+        signingKey: 'GET /api/signing-key',
+        advisories: 'GET /api/advisories',
+        refreshAdvisories: 'POST /api/advisories/refresh',
+        retention: 'GET /api/retention',
+        retentionReport: 'GET /api/retention/report',
+        runRetention: 'POST /api/retention/run',
+        downloadHistory: 'GET /api/analytics/downloads?name=<name>&repositoryManager=<npm|pip>&window=<30d>&interval=<hour|day>',
+        downloadBreakdown: 'GET /api/analytics/breakdown?name=<name>&repositoryManager=<npm|pip>&window=<30d>',
+        watch: 'GET /api/watch',
+        watchPackage: 'PUT /api/watch/packages',
+        runWatch: 'POST /api/watch/run',
+        graphql: 'POST /graphql'
       },
-      downloadEndpoint: '/download/<filename>'
+      downloadEndpoint: '/download/<filename>',
+      signatureEndpoint: '/download/<filename>.sig'
     });
     
     // Example of checkpoint for performance tracking
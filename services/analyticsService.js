@@ -0,0 +1,216 @@
+import getDownloadEventModel from "../models/DownloadEvent.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WINDOW_UNITS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+const MAX_WINDOW_MS = 366 * DAY_MS;
+// Bucket sizes of the download history, with the $dateToString format of a bucket's start
+const INTERVALS = {
+  hour: { ms: HOUR_MS, format: "%Y-%m-%dT%H:00:00.000Z" },
+  day: { ms: DAY_MS, format: "%Y-%m-%dT00:00:00.000Z" },
+};
+const MAX_HISTORY_POINTS = 1000;
+
+/**
+ * Aggregations over DownloadEvent documents, one per completed download
+ * (see routes/download.js). Every query covers a time window ending now,
+ * written as a number and a unit: 24h, 7d, 4w.
+ */
+class AnalyticsService {
+  /**
+   * Parse a window such as "7d"
+   * @param {string} value - <number><h|d|w>
+   * @returns {Object|null} - { window, ms }, or null when invalid or longer than a year
+   */
+  parseWindow(value) {
+    const match = /^(\d{1,4})([hdw])$/.exec(String(value).trim());
+    if (!match) {
+      return null;
+    }
+    const ms = Number(match[1]) * WINDOW_UNITS[match[2]];
+    if (ms === 0 || ms > MAX_WINDOW_MS) {
+      return null;
+    }
+    return { window: match[0], ms };
+  }
+
+  /**
+   * Check the window and, for the download history, the interval
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateQuery({ window, interval }) {
+    const parsed = this.parseWindow(window);
+    if (!parsed) {
+      return `Invalid window '${window}'. Use a number and a unit (h, d or w) of at most a year, e.g. 7d`;
+    }
+    if (interval === undefined) {
+      return null;
+    }
+    if (!Object.hasOwn(INTERVALS, interval)) {
+      return `Invalid interval '${interval}'. Supported intervals: ${Object.keys(INTERVALS).join(", ")}`;
+    }
+    if (parsed.ms / INTERVALS[interval].ms > MAX_HISTORY_POINTS) {
+      return `A ${window} window has too many ${interval} intervals; use a larger interval`;
+    }
+    return null;
+  }
+
+  /**
+   * Record a completed download
+   * @param {Object} executable - Executable document
+   * @param {Object} context - { userId, requestId } of the download request
+   */
+  async recordDownload(executable, { userId = "anonymous", requestId = null } = {}) {
+    const DownloadEvent = getDownloadEventModel();
+    await DownloadEvent.create({
+      executable: executable._id,
+      name: executable.name,
+      version: executable.version,
+      repositoryManager: executable.repositoryManager,
+      registry: executable.registry || null,
+      os: executable.os,
+      arch: executable.arch,
+      format: executable.format || "binary",
+      userId,
+      requestId,
+    });
+  }
+
+  /**
+   * Packages with the most downloads in the window. previousDownloads counts
+   * the window before it, so clients can tell rising packages from steady ones.
+   * @param {Object} options - { window, limit, repositoryManager }
+   * @returns {Promise<Object>} - { window, since, packages }
+   */
+  async getTrending({ window, limit = 10, repositoryManager = null }) {
+    const { ms } = this.parseWindow(window);
+    const now = Date.now();
+    const since = new Date(now - ms);
+    const match = { createdAt: { $gte: new Date(now - 2 * ms) } };
+    if (repositoryManager) match.repositoryManager = repositoryManager;
+
+    const DownloadEvent = getDownloadEventModel();
+    const inWindow = { $gte: ["$createdAt", since] };
+    const packages = await DownloadEvent.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { repositoryManager: "$repositoryManager", registry: "$registry", name: "$name" },
+          downloads: { $sum: { $cond: [inWindow, 1, 0] } },
+          previousDownloads: { $sum: { $cond: [inWindow, 0, 1] } },
+          users: { $addToSet: { $cond: [inWindow, "$userId", null] } },
+          latestVersion: { $first: "$version" },
+          lastDownloadedAt: { $first: "$createdAt" },
+        },
+      },
+      { $match: { downloads: { $gt: 0 } } },
+      { $sort: { downloads: -1, previousDownloads: 1, "_id.name": 1 } },
+      { $limit: limit },
+    ]);
+
+    return {
+      window,
+      since,
+      packages: packages.map(({ _id, downloads, previousDownloads, users, latestVersion, lastDownloadedAt }) => ({
+        name: _id.name,
+        repositoryManager: _id.repositoryManager,
+        registry: _id.registry,
+        downloads,
+        previousDownloads,
+        // Share of growth over the previous window; null when it had no downloads
+        growth: previousDownloads > 0 ? (downloads - previousDownloads) / previousDownloads : null,
+        uniqueUsers: users.filter((userId) => userId !== null).length,
+        latestVersion,
+        lastDownloadedAt,
+      })),
+    };
+  }
+
+  /**
+   * Downloads per hour or day, with empty buckets filled with zero
+   * @param {Object} options - { window, interval, name, repositoryManager, registry }
+   * @returns {Promise<Object>} - { window, interval, since, total, points: [{ period, downloads }] }
+   */
+  async getDownloadHistory({ window, interval = "day", name = null, repositoryManager = null, registry = null }) {
+    const { ms } = this.parseWindow(window);
+    const bucket = INTERVALS[interval];
+    // Buckets are aligned to UTC hours / days, so the first one starts before the window does
+    const end = Date.now();
+    const first = Math.floor((end - ms) / bucket.ms) * bucket.ms;
+    const since = new Date(end - ms);
+
+    const DownloadEvent = getDownloadEventModel();
+    const counts = await DownloadEvent.aggregate([
+      { $match: { ...this.packageFilter({ name, repositoryManager, registry }), createdAt: { $gte: since } } },
+      { $group: { _id: { $dateToString: { format: bucket.format, date: "$createdAt" } }, downloads: { $sum: 1 } } },
+    ]);
+    const byPeriod = new Map(counts.map(({ _id, downloads }) => [_id, downloads]));
+
+    const points = [];
+    for (let start = first; start <= end; start += bucket.ms) {
+      const period = new Date(start).toISOString();
+      points.push({ period, downloads: byPeriod.get(period) || 0 });
+    }
+    return {
+      window,
+      interval,
+      since,
+      total: counts.reduce((total, { downloads }) => total + downloads, 0),
+      points,
+    };
+  }
+
+  /**
+   * Downloads in the window broken down by os, arch, version and format
+   * @param {Object} options - { window, name, repositoryManager, registry }
+   * @returns {Promise<Object>} - { window, since, total, uniqueUsers, byOs, byArch, byVersion, byFormat }
+   */
+  async getBreakdown({ window, name = null, repositoryManager = null, registry = null }) {
+    const { ms } = this.parseWindow(window);
+    const since = new Date(Date.now() - ms);
+    const countBy = (field) => [
+      { $group: { _id: `$${field}`, downloads: { $sum: 1 } } },
+      { $sort: { downloads: -1, _id: 1 } },
+      { $project: { _id: 0, [field]: "$_id", downloads: 1 } },
+    ];
+
+    const DownloadEvent = getDownloadEventModel();
+    const [result] = await DownloadEvent.aggregate([
+      { $match: { ...this.packageFilter({ name, repositoryManager, registry }), createdAt: { $gte: since } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, total: { $sum: 1 }, users: { $addToSet: "$userId" } } }],
+          byOs: countBy("os"),
+          byArch: countBy("arch"),
+          byVersion: countBy("version"),
+          byFormat: countBy("format"),
+        },
+      },
+    ]);
+
+    const [totals] = result.totals;
+    return {
+      window,
+      since,
+      total: totals ? totals.total : 0,
+      uniqueUsers: totals ? totals.users.length : 0,
+      byOs: result.byOs,
+      byArch: result.byArch,
+      byVersion: result.byVersion,
+      byFormat: result.byFormat,
+    };
+  }
+
+  // Without a name the query covers every package, without a registry every registry
+  packageFilter({ name, repositoryManager, registry }) {
+    const filter = {};
+    if (name) filter.name = name;
+    if (repositoryManager) filter.repositoryManager = repositoryManager;
+    if (registry) filter.registry = registry;
+    return filter;
+  }
+}
+
+const analyticsService = new AnalyticsService();
+export default analyticsService;
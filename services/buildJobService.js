@@ -0,0 +1,491 @@
+import { EventEmitter } from "events";
+import os from "os";
+import getBuildJobModel, { ACTIVE_BUILD_JOB_STATES } from "../models/BuildJob.js";
+import getExecutableModel from "../models/Executable.js";
+import buildService from "./buildService.js";
+import uploadService from "./uploadService.js";
+import vulnerabilityService from "./vulnerabilityService.js";
+import logger from "../utils/logger.js";
+
+const TERMINAL_STATES = ["succeeded", "failed"];
+const MAX_PROGRESS_HISTORY = 500;
+
+/**
+ * Runs executable builds in the background.
+ *
+ * Jobs are persisted in MongoDB so their state survives a restart; the queue
+ * itself lives in memory and is rebuilt from the database on startup by
+ * resumePendingJobs(). Each active job is owned by the instance that queued
+ * it (BUILD_INSTANCE_ID, default the host name), which renews a lease on its
+ * jobs every BUILD_JOB_LEASE_MS / 4. An instance only resumes its own jobs
+ * and takes over jobs whose lease expired, so jobs another live instance is
+ * running are never built twice. A 'finished' event is emitted with the job document
+ * whenever a job reaches a terminal state, and a 'progress' event with
+ * (jobId, event) for every state change, build step and line of command
+ * output while it runs.
+ *
+ * Identical requests (same package, resolved version and target) are
+ * coalesced: while a build is queued or running, later requests attach to
+ * the existing job instead of starting another one. Active jobs carry their
+ * build key under a unique index, so two server instances racing to queue
+ * the same build end up with one job.
+ */
+class BuildJobService extends EventEmitter {
+  constructor() {
+    super();
+    this.concurrency = parseInt(process.env.BUILD_CONCURRENCY) || 1;
+    // Must stay the same across restarts for an instance to resume its own jobs
+    this.instanceId = process.env.BUILD_INSTANCE_ID || os.hostname();
+    this.leaseMs = parseInt(process.env.BUILD_JOB_LEASE_MS) || 2 * 60 * 1000;
+    this.heartbeatTimer = null;
+    this.pending = [];
+    this.running = 0;
+    // Progress events of running jobs, replayed to late subscribers
+    this.progressHistory = new Map();
+    // Build key -> promise of the active job for that key
+    this.inFlight = new Map();
+    // Every open progress stream adds listeners
+    this.setMaxListeners(0);
+  }
+
+  getBuildKey(packageInfo, target) {
+    const { repositoryManager, name, version } = packageInfo;
+    const registry = packageInfo.registry || "";
+    const sourceChecksum = packageInfo.sourceChecksum || "";
+    return [repositoryManager, registry, sourceChecksum, name, version, target.os, target.arch, target.nodeVersion || "", target.command || "", target.format || "binary"].join(":");
+  }
+
+  /**
+   * Queue a build, or attach to the active build for the same package and target.
+   * @param {Object} packageInfo - Resolved package information
+   * @param {Object} target - Build target ({ os, arch, nodeVersion, command })
+   * @param {Object} [context] - Request context (requestedVersion, requestId, userId)
+   * @returns {Promise<{job: Object, attached: boolean}>}
+   */
+  async enqueue(packageInfo, target, context = {}) {
+    const key = this.getBuildKey(packageInfo, target);
+    let createdJob = null;
+
+    // Registered before the first await so concurrent callers find it
+    if (!this.inFlight.has(key)) {
+      const promise = this.findActiveJob(packageInfo, target).then(async (activeJob) => {
+        if (activeJob) {
+          return activeJob;
+        }
+        try {
+          createdJob = await this.createJob(packageInfo, target, context);
+          return createdJob;
+        } catch (error) {
+          // Duplicate build key: another instance queued the same build since the lookup
+          const concurrentJob = error.code === 11000 ? await this.findActiveJob(packageInfo, target) : null;
+          if (!concurrentJob) {
+            throw error;
+          }
+          return concurrentJob;
+        }
+      });
+      this.inFlight.set(key, promise);
+      promise.catch(() => this.inFlight.delete(key));
+    }
+
+    const job = await this.inFlight.get(key);
+    if (job === createdJob) {
+      return { job, attached: false };
+    }
+    return { job: await this.attach(job, context), attached: true };
+  }
+
+  async findActiveJob(packageInfo, target) {
+    const BuildJob = getBuildJobModel();
+    const { name, version, repositoryManager } = packageInfo;
+    return BuildJob.findOne({
+      name,
+      version,
+      repositoryManager,
+      registry: packageInfo.registry || null,
+      sourceChecksum: packageInfo.sourceChecksum || null,
+      os: target.os,
+      arch: target.arch,
+      nodeVersion: target.nodeVersion || null,
+      command: target.command || null,
+      format: target.format || "binary",
+      state: { $in: ACTIVE_BUILD_JOB_STATES },
+    });
+  }
+
+  async createJob(packageInfo, target, context) {
+    const BuildJob = getBuildJobModel();
+    const job = await BuildJob.create({
+      name: packageInfo.name,
+      version: packageInfo.version,
+      requestedVersion: context.requestedVersion || null,
+      description: packageInfo.description,
+      keywords: packageInfo.keywords || [],
+      repositoryManager: packageInfo.repositoryManager,
+      registry: packageInfo.registry || null,
+      source: packageInfo.source || "registry",
+      sourceChecksum: packageInfo.sourceChecksum || null,
+      archivePath: packageInfo.archivePath || null,
+      projectPath: packageInfo.projectPath || null,
+      entryFile: packageInfo.entryFile || null,
+      os: target.os,
+      arch: target.arch,
+      nodeVersion: target.nodeVersion || null,
+      command: target.command || null,
+      format: target.format || "binary",
+      requestId: context.requestId || null,
+      userId: context.userId || "anonymous",
+      activeBuildKey: this.getBuildKey(packageInfo, target),
+      owner: this.instanceId,
+      heartbeatAt: new Date(),
+    });
+
+    logger.info("Build job queued", {
+      jobId: job.id,
+      package: `${job.name}@${job.version}`,
+      target: `${job.os}-${job.arch}`,
+      requestId: job.requestId,
+    });
+
+    this.schedule(job.id);
+    return job;
+  }
+
+  /**
+   * Attach a request to an existing job. If the job finished in the meantime
+   * the finished job is returned, so the caller still gets its result.
+   */
+  async attach(job, context) {
+    const BuildJob = getBuildJobModel();
+    const attachedJob = await BuildJob.findOneAndUpdate(
+      { _id: job._id, state: { $in: ACTIVE_BUILD_JOB_STATES } },
+      { $inc: { coalescedRequests: 1 } },
+      { new: true }
+    );
+
+    if (!attachedJob) {
+      this.inFlight.delete(this.getBuildKey(job, job));
+      return BuildJob.findById(job._id);
+    }
+
+    logger.info("Attached to in-flight build job", {
+      jobId: attachedJob.id,
+      package: `${attachedJob.name}@${attachedJob.version}`,
+      target: `${attachedJob.os}-${attachedJob.arch}`,
+      requestId: context.requestId,
+    });
+    return attachedJob;
+  }
+
+  schedule(jobId) {
+    this.pending.push(jobId);
+    this.drain();
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.running++;
+      this.runJob(jobId)
+        .catch(async (error) => {
+          logger.error("Build job crashed", {
+            jobId,
+            error: { message: error.message, stack: error.stack, name: error.name },
+          });
+          try {
+            await this.finishJob(jobId, { state: "failed", error: error.message });
+          } catch (finishError) {
+            logger.error("Failed to mark build job as failed", {
+              jobId,
+              error: { message: finishError.message, name: finishError.name },
+            });
+          }
+        })
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+
+  async runJob(jobId) {
+    const BuildJob = getBuildJobModel();
+    const job = await BuildJob.findById(jobId);
+    // Another instance may have taken the job over while it waited in the queue
+    if (!job || TERMINAL_STATES.includes(job.state) || job.owner !== this.instanceId) {
+      return;
+    }
+
+    await BuildJob.updateOne({ _id: jobId }, { startedAt: new Date() });
+
+    const packageInfo = {
+      name: job.name,
+      version: job.version,
+      description: job.description,
+      keywords: job.keywords,
+      repositoryManager: job.repositoryManager,
+      registry: job.registry,
+      source: job.source,
+      sourceChecksum: job.sourceChecksum,
+      archivePath: job.archivePath,
+      projectPath: job.projectPath,
+      entryFile: job.entryFile,
+    };
+
+    const target = {
+      os: job.os,
+      arch: job.arch,
+      nodeVersion: job.nodeVersion,
+      command: job.command,
+      format: job.format,
+    };
+    const buildResult = await buildService.buildExecutable(packageInfo, target, {
+      onPhase: (state) => this.updateState(jobId, state),
+      onStep: (step, message) => this.publish(jobId, "step", { step, message }),
+      onOutput: (stream, line) => this.publish(jobId, "output", { stream, line }),
+    });
+
+    if (!buildResult.success) {
+      await this.finishJob(jobId, {
+        state: "failed",
+        error: buildResult.error || "Failed to build executable",
+      });
+      return;
+    }
+
+    const executable = await this.recordExecutable(packageInfo, target, buildResult);
+    try {
+      await vulnerabilityService.scanExecutable(executable);
+    } catch (error) {
+      // The artifact is usable without a rating; the next advisory refresh scores it
+      logger.error("Vulnerability scan failed", {
+        jobId,
+        error: { message: error.message, name: error.name },
+      });
+    }
+    await this.finishJob(jobId, {
+      state: "succeeded",
+      downloadUrl: `/download/${buildResult.fileName}`,
+      executable: executable._id,
+    });
+  }
+
+  async recordExecutable(packageInfo, target, buildResult) {
+    const Executable = getExecutableModel();
+    const { name, version, repositoryManager } = packageInfo;
+    const registry = packageInfo.registry || null;
+    const source = packageInfo.source || "registry";
+    const sourceChecksum = packageInfo.sourceChecksum || null;
+    const { os, arch } = target;
+    const nodeVersion = target.nodeVersion || null;
+    // Keyed on the command actually packaged, which may differ from the requested (default) one
+    const command = buildResult.command || null;
+    const format = target.format || "binary";
+    const existing = await Executable.findOne({
+      name,
+      repositoryManager,
+      registry,
+      sourceChecksum,
+      version,
+      os,
+      arch,
+      nodeVersion,
+      command,
+      format,
+    });
+    const executableData = {
+      name,
+      description: packageInfo.description || "No description available",
+      tags: packageInfo.keywords || [],
+      version,
+      repositoryManager,
+      registry,
+      source,
+      sourceChecksum,
+      os,
+      arch,
+      nodeVersion,
+      command,
+      defaultCommand: buildResult.defaultCommand !== false,
+      format,
+      fileName: buildResult.fileName,
+      fileSize: buildResult.fileSize,
+      sha256: buildResult.sha256,
+      signature: buildResult.signature,
+      signingKeyId: buildResult.signingKeyId,
+      sbomFileName: buildResult.sbomFileName,
+      licenseReportFileName: buildResult.licenseReportFileName,
+      licenseStatus: buildResult.licenseStatus,
+      licenseViolations: buildResult.licenseViolations,
+      verified: buildResult.verified ?? null,
+      smokeTest: buildResult.smokeTest || null,
+    };
+
+    if (existing) {
+      await Executable.updateOne({ _id: existing._id }, executableData);
+      return Executable.findById(existing._id);
+    }
+    return Executable.create(executableData);
+  }
+
+  async updateState(jobId, state) {
+    const BuildJob = getBuildJobModel();
+    await BuildJob.updateOne({ _id: jobId }, { state });
+    this.publish(jobId, "state", { state });
+    logger.debug("Build job state changed", { jobId, state });
+  }
+
+  publish(jobId, type, data) {
+    const event = { type, data: { ...data, timestamp: new Date().toISOString() } };
+    const history = this.progressHistory.get(jobId) || [];
+    history.push(event);
+    if (history.length > MAX_PROGRESS_HISTORY) {
+      history.shift();
+    }
+    this.progressHistory.set(jobId, history);
+    this.emit("progress", jobId, event);
+  }
+
+  getProgressHistory(jobId) {
+    return this.progressHistory.get(jobId.toString()) || [];
+  }
+
+  async finishJob(jobId, update) {
+    const BuildJob = getBuildJobModel();
+    const job = await BuildJob.findByIdAndUpdate(
+      jobId,
+      { ...update, finishedAt: new Date(), activeBuildKey: null, owner: null },
+      { new: true }
+    );
+
+    const logMethod = update.state === "failed" ? "warn" : "info";
+    logger[logMethod](`Build job ${update.state}`, {
+      jobId,
+      error: update.error,
+      downloadUrl: update.downloadUrl,
+    });
+
+    if (job) {
+      this.inFlight.delete(this.getBuildKey(job, job));
+      if (job.archivePath || job.projectPath) {
+        uploadService.removeUpload(job.archivePath || job.projectPath);
+      }
+    }
+    this.publish(jobId, "state", { state: update.state, error: update.error || null });
+    this.progressHistory.delete(jobId);
+    this.emit("finished", job);
+    return job;
+  }
+
+  /**
+   * Resolve with the job document once it has succeeded or failed.
+   */
+  async waitForJob(jobId) {
+    const BuildJob = getBuildJobModel();
+    return new Promise((resolve, reject) => {
+      const onFinished = (job) => {
+        if (job && job.id === jobId.toString()) {
+          this.off("finished", onFinished);
+          resolve(job);
+        }
+      };
+      this.on("finished", onFinished);
+
+      // The job may already have finished before we started listening
+      BuildJob.findById(jobId)
+        .then((job) => {
+          if (!job || TERMINAL_STATES.includes(job.state)) {
+            this.off("finished", onFinished);
+            resolve(job);
+          }
+        })
+        .catch((error) => {
+          this.off("finished", onFinished);
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Re-queue jobs that were still active when this instance last stopped, and
+   * jobs of instances that stopped renewing their lease. Starts the heartbeat.
+   */
+  async resumePendingJobs() {
+    this.startHeartbeat();
+    const count = await this.claimJobs({ $or: [{ owner: this.instanceId }, this.getExpiredLeaseFilter()] });
+    if (count > 0) {
+      logger.info("Resumed pending build jobs", { count, instanceId: this.instanceId });
+    }
+    return count;
+  }
+
+  /**
+   * Renew the lease on this instance's jobs every BUILD_JOB_LEASE_MS / 4 and
+   * take over jobs whose lease expired
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch((error) => {
+        logger.error("Build job heartbeat failed", {
+          error: { message: error.message, stack: error.stack, name: error.name },
+        });
+      });
+    }, Math.max(1000, Math.floor(this.leaseMs / 4)));
+    // Never keep the process alive just for the heartbeat
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  async heartbeat() {
+    const BuildJob = getBuildJobModel();
+    await BuildJob.updateMany(
+      { owner: this.instanceId, state: { $in: ACTIVE_BUILD_JOB_STATES } },
+      { heartbeatAt: new Date() }
+    );
+    const count = await this.claimJobs(this.getExpiredLeaseFilter());
+    if (count > 0) {
+      logger.warn("Took over build jobs of a stopped instance", { count, instanceId: this.instanceId });
+    }
+  }
+
+  // Jobs without a heartbeat within the lease; also matches jobs queued before leases existed
+  getExpiredLeaseFilter() {
+    return { heartbeatAt: { $not: { $gte: new Date(Date.now() - this.leaseMs) } } };
+  }
+
+  /**
+   * Re-queue the active jobs matching the filter on this instance. Each job
+   * is claimed atomically, so of several instances only one gets it.
+   * @param {Object} filter - Ownership condition
+   * @returns {Promise<number>} - Number of jobs claimed
+   */
+  async claimJobs(filter) {
+    const BuildJob = getBuildJobModel();
+    const jobs = await BuildJob.find({ state: { $in: ACTIVE_BUILD_JOB_STATES }, ...filter })
+      .sort({ createdAt: 1 });
+
+    let count = 0;
+    for (const job of jobs) {
+      const claimed = await BuildJob.findOneAndUpdate(
+        { _id: job._id, state: { $in: ACTIVE_BUILD_JOB_STATES }, ...filter },
+        { state: "queued", startedAt: null, owner: this.instanceId, heartbeatAt: new Date() },
+        { new: true }
+      );
+      if (claimed) {
+        this.schedule(claimed.id);
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+const buildJobService = new BuildJobService();
+export default buildJobService;
@@ -1,10 +1,20 @@
-import { execSync } from "child_process";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import fg from "fast-glob";
 import packageService from "./packageService.js";
+import signingService from "./signingService.js";
+import sbomService from "./sbomService.js";
+import licenseService from "./licenseService.js";
+import smokeTestService from "./smokeTestService.js";
+import packagingService from "./packagingService.js";
+import storageService from "./storageService.js";
+import { SMOKE_TEST_MODE } from "../config/smokeTests.js";
 import fileUtils from "../utils/fileUtils.js";
+import { runProcess } from "../utils/processRunner.js";
+import { validatePipName } from "../utils/packageValidator.js";
+import logger from "../utils/logger.js";
 
 import {
   existsSync,
@@ -14,10 +24,6 @@ import {
   chmodSync,
 } from "fs";
 import { join, resolve } from "path";
-import { exec as execCb } from "child_process";
-import { promisify } from "util";
-
-const exec = promisify(execCb);
 
 // Get __dirname equivalent in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -26,59 +32,135 @@ const __dirname = dirname(__filename);
 class BuildService {
   constructor() {
     this.tempDir = path.join(__dirname, "..", "temp");
-    this.executablesDir = path.join(__dirname, "..", "executables");
 
     // Ensure directories exist
-    [this.tempDir, this.executablesDir].forEach((dir) => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-    });
+    if (!fs.existsSync(this.tempDir)) {
+      fs.mkdirSync(this.tempDir, { recursive: true });
+    }
   }
 
-  async buildExecutable(packageInfo, os) {
+  /**
+   * Build an executable for a package.
+   * @param {Object} packageInfo - Resolved package information
+   * @param {Object} target - Build target ({ os, arch, nodeVersion, command, format })
+   * @param {Object} [options]
+   * @param {Function} [options.onPhase] - Called with 'installing' or 'packaging' as the build progresses
+   * @param {Function} [options.onStep] - Called with (step, message) for each step of the packaging process
+   * @param {Function} [options.onOutput] - Called with (stream, line) for output of commands run during the build
+   */
+  async buildExecutable(packageInfo, target, options = {}) {
+    const { onPhase = () => {}, onStep = () => {} } = options;
+    const { os, arch } = target;
+
     // Always use a flat, safe directory for npm packages (no @ or / in the name)
     const safeName = packageInfo.name.replace(/^@/, "").replace(/[\/]/g, "_");
-    const buildId = `${safeName}_${packageInfo.version}_${os}_${Date.now()}`;
+    const buildId = `${safeName}_${packageInfo.version}_${os}_${arch}_${Date.now()}`;
     const workDir = path.join(this.tempDir, buildId);
 
     try {
-      console.log(`Building executable for ${packageInfo.name} (${os})`);
+      logger.info("Building executable", { package: `${packageInfo.name}@${packageInfo.version}`, os, arch });
 
       // Create working directory
       fs.mkdirSync(workDir, { recursive: true });
 
-      // Download package
-      await packageService.downloadPackage(packageInfo, workDir);
+      // Download package, or install an uploaded project as locked
+      await onPhase("installing");
+      if (packageInfo.source === "project") {
+        await this.installProject(packageInfo, workDir, options);
+      } else {
+        await packageService.downloadPackage(packageInfo, workDir);
+      }
+
+      // Record what was installed before packaging adds its own tooling
+      onStep("generate-sbom", "Generating CycloneDX SBOM of the installed dependencies");
+      const sbom = sbomService.generate(packageInfo, workDir);
+
+      onStep("check-licenses", "Checking bundled licenses against the license policy");
+      const licenseReport = licenseService.createReport(packageInfo, workDir, sbom);
+      if (licenseReport.status === "failed") {
+        const blocked = licenseReport.violations
+          .filter((violation) => violation.action === "fail")
+          .map(({ name, version, licenses, verdict }) => `${name}@${version} (${licenses.join(" OR ") || "no license"}: ${verdict})`);
+        throw new Error(`License policy violation: ${blocked.join(", ")}`);
+      }
 
       // Build executable based on repository manager and OS
-      const executablePath = await this.createExecutable(
-        packageInfo,
-        workDir,
-        os
-      );
+      await onPhase("packaging");
+      const { executablePath, command, defaultCommand } = packageInfo.source === "project"
+        ? await this.createProjectExecutable(packageInfo, workDir, target, options)
+        : await this.createExecutable(packageInfo, workDir, target, options);
+
+      // Make sure the binary starts at all; pkg silently misses dynamic requires
+      let smokeTest = null;
+      const smokeTestPlan = smokeTestService.getPlan(packageInfo, target, command);
+      if (smokeTestPlan) {
+        onStep("smoke-test", "Running the executable to check that it starts");
+        smokeTest = await smokeTestService.run(executablePath, smokeTestPlan);
+        if (!smokeTest && SMOKE_TEST_MODE === "reject") {
+          throw new Error(
+            "Smoke test could not run: the bubblewrap sandbox is not available and SMOKE_TEST_ALLOW_UNSANDBOXED is not set"
+          );
+        }
+        if (smokeTest && !smokeTest.verified && SMOKE_TEST_MODE === "reject") {
+          throw new Error(`Smoke test failed: ${smokeTestService.describe(smokeTest)}`);
+        }
+      }
 
-      // Generate unique filename and move to executables directory
+      // Archives and native packages wrap the tested binary
+      let artifactPath = executablePath;
+      let extension = this.getExecutableExtension(os);
+      if (target.format && target.format !== "binary") {
+        onStep("package-output", `Creating ${target.format} package`);
+        artifactPath = await packagingService.wrap(executablePath, packageInfo, target, {
+          workDir,
+          command,
+          sbom,
+          onOutput: options.onOutput,
+        });
+        extension = packagingService.getExtension(target.format);
+      }
+
+      // Generate unique filename and hand the artifact to the storage backend
       // Use a safe filename without @ and / for compatibility
       const safePackageName = packageInfo.name.replace(/[@\/]/g, "_");
+      const commandSuffix = command && command !== packageInfo.name ? `_${command}` : "";
       const fileName = fileUtils.generateUniqueFileName(
-        `${safePackageName}_${packageInfo.version}_${os}`,
-        this.getExecutableExtension(os)
+        `${safePackageName}${commandSuffix}_${packageInfo.version}_${os}_${arch}`,
+        extension
       );
 
-      const finalPath = path.join(this.executablesDir, fileName);
-      fs.copyFileSync(executablePath, finalPath);
+      const fileSize = fileUtils.getFileSize(artifactPath);
+      const { sha256, signature, signingKeyId } = await signingService.signArtifact(artifactPath);
 
-      const fileSize = fileUtils.getFileSize(finalPath);
+      // Sidecars first, so the artifact never appears without them
+      await signingService.storeSignature(fileName, signature);
+      const sbomFileName = `${fileName}.cdx.json`;
+      await storageService.putContent(sbomFileName, JSON.stringify(sbom, null, 2));
+      const licenseReportFileName = `${fileName}.licenses.json`;
+      await storageService.putContent(licenseReportFileName, JSON.stringify(licenseReport, null, 2));
+      await storageService.putFile(fileName, artifactPath);
 
       return {
         success: true,
         fileName,
         fileSize,
-        path: finalPath,
+        command,
+        defaultCommand,
+        sha256,
+        signature,
+        signingKeyId,
+        sbomFileName,
+        licenseReportFileName,
+        licenseStatus: licenseReport.status,
+        licenseViolations: licenseReport.violations,
+        verified: smokeTest ? smokeTest.verified : null,
+        smokeTest,
       };
     } catch (error) {
-      console.error(`Build failed for ${packageInfo.name}:`, error);
+      logger.error("Build failed", {
+        package: `${packageInfo.name}@${packageInfo.version}`,
+        error: { message: error.message, stack: error.stack, name: error.name },
+      });
       return {
         success: false,
         error: `Failed to build executable: ${error.message}`,
@@ -88,209 +170,392 @@ class BuildService {
       try {
         fileUtils.cleanupDirectory(workDir);
       } catch (cleanupError) {
-        console.warn(
-          "Failed to cleanup build directory:",
-          cleanupError.message
-        );
+        logger.warn("Failed to cleanup build directory", {
+          workDir,
+          error: { message: cleanupError.message },
+        });
       }
     }
   }
 
-  async createExecutable(packageInfo, workDir, os) {
+  /**
+   * Package the installed module into a binary.
+   * @returns {Promise<{executablePath: string, command: string|null, defaultCommand: boolean}>}
+   *   The command is the bin/console script that was packaged; defaultCommand
+   *   tells whether it is the one chosen when the request names no command.
+   */
+  async createExecutable(packageInfo, workDir, target, options = {}) {
     if (packageInfo.repositoryManager === "npm") {
-      return await this.createNpmExecutable(packageInfo, workDir, os);
+      return await this.createNpmExecutable(packageInfo, workDir, target, options);
     } else if (packageInfo.repositoryManager === "pip") {
-      return await this.createPipExecutable(packageInfo, workDir, os);
+      return await this.createPipExecutable(packageInfo, workDir, target, options);
     } else {
       throw new Error("Unsupported repository manager");
     }
   }
 
-  async executeCommand(command, options) {
-    return new Promise((resolve, reject) => {
-        exec(command, options, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`Error executing command: ${command}\n${stderr}`);
-                reject(error);
-                return;
-            }
-            resolve({ stdout, stderr });
-        });
-    });
-  }
-
-  async createNpmExecutable(packageInfo, workingDir, os) {
+  async createNpmExecutable(packageInfo, workingDir, target, options = {}) {
+    const { onStep = () => {}, onOutput } = options;
+    const { os } = target;
     // const tempDir = workingDir;
     const { name: moduleName, version } = packageInfo;
     if (!moduleName || !version) {
       throw new Error("Package information must include 'name' and 'version'.");
     }
     const buildDir = workingDir;
-    const executableName = os === "win" ? `${moduleName}.exe` : moduleName;
-    const executablePath = path.join(buildDir, executableName);
 
-    try {
-      // 1. Create the temporary build directory
-      console.log(`Creating temporary build directory at: ${buildDir}`);
-      fs.mkdirSync(buildDir, { recursive: true });
-
-      // 2. Create package.json
-      const packageJsonPath = path.join(buildDir, "package.json");
-      const packageJsonContent = {
-        name: `${moduleName}-executable`,
-        version: "1.0.0",
-        description: `Executable for ${moduleName}`,
-        main: "index.js", // A dummy entry point
-        dependencies: {
-          [moduleName]: version,
-        },
-        scripts: {
-          start: `node -e "require('${moduleName}')"`,
-        },
-      };
+    // 1. Create the temporary build directory
+    onStep("create-build-dir", "Creating build directory");
+    fs.mkdirSync(buildDir, { recursive: true });
+
+    // 2. Create package.json
+    const packageJsonPath = path.join(buildDir, "package.json");
+    const packageJsonContent = {
+      name: `${moduleName}-executable`,
+      version: "1.0.0",
+      description: `Executable for ${moduleName}`,
+      main: "index.js", // A dummy entry point
+      dependencies: {
+        [moduleName]: packageInfo.archivePath ? `file:${packageInfo.archivePath}` : version,
+      },
+      scripts: {
+        start: `node -e "require('${moduleName}')"`,
+      },
+    };
+
+    onStep("write-package-json", "Writing package.json");
+    fs.writeFileSync(
+      packageJsonPath,
+      JSON.stringify(packageJsonContent, null, 2)
+    );
+
+    // Create a dummy index.js for pkg to have an entry point if needed
+    const entryFilePath = path.join(buildDir, "index.js");
+    // We will later determine the actual entry point from the installed module
+    fs.writeFileSync(entryFilePath, `// Dummy entry point`);
+
+    // 3. Install the node module
+    onStep("npm-install", `Installing ${moduleName}@${version} and pkg`);
+    // We install 'pkg' locally to the build directory to ensure it's available.
+    // With a registry profile, the profile's registry has to serve pkg as well.
+    // Lifecycle scripts of uploaded tarballs never run, as in downloadNpmPackage.
+    const registryOptions = packageService.getNpmRegistryOptions(packageInfo.registry);
+    const scriptArgs = packageInfo.source === "upload" ? ["--ignore-scripts"] : [];
+    await runProcess("npm", ["install", ...scriptArgs, ...registryOptions.args, "pkg"], {
+      cwd: buildDir,
+      timeout: 600000,
+      env: registryOptions.env,
+      secrets: registryOptions.secrets,
+      onOutput,
+    });
 
-      console.log("Creating package.json...");
-      fs.writeFileSync(
-        packageJsonPath,
-        JSON.stringify(packageJsonContent, null, 2)
+    // 4. Determine the binary path from the installed module
+    onStep("resolve-entry-point", "Determining module entry point");
+    const modulePath = path.join(buildDir, "node_modules", moduleName);
+    const modulePackageJsonPath = path.join(modulePath, "package.json");
+    const modulePackageJson = JSON.parse(
+      fs.readFileSync(modulePackageJsonPath, "utf8")
+    );
+
+    let entryPoint;
+    // 'bin' can be a string or a map of command names to scripts
+    const bins = packageService.getNpmBinCommands(moduleName, modulePackageJson.bin);
+    const { command: bin, defaultCommand } = this.selectCommand(
+      packageInfo,
+      bins,
+      target.command
+    );
+    if (bin) {
+      entryPoint = path.join(modulePath, bin.path);
+    } else if (modulePackageJson.main) {
+      // Otherwise, fall back to the 'main' field.
+      entryPoint = path.join(modulePath, modulePackageJson.main);
+    } else {
+      throw new Error(
+        `Could not determine the entry point for module: ${moduleName}. Neither 'bin' nor 'main' found in package.json.`
       );
+    }
 
-      // Create a dummy index.js for pkg to have an entry point if needed
-      const entryFilePath = path.join(buildDir, "index.js");
-      // We will later determine the actual entry point from the installed module
-      fs.writeFileSync(entryFilePath, `// Dummy entry point`);
-
-      // 3. Install the node module
-      console.log(`Installing ${moduleName}@${version} and pkg...`);
-      // We install 'pkg' locally to the build directory to ensure it's available.
-      await this.executeCommand(`npm install pkg`, { cwd: buildDir });
-
-      // 4. Determine the binary path from the installed module
-      console.log("Determining module entry point...");
-      const modulePath = path.join(buildDir, "node_modules", moduleName);
-      const modulePackageJsonPath = path.join(modulePath, "package.json");
-      const modulePackageJson = JSON.parse(
-        fs.readFileSync(modulePackageJsonPath, "utf8")
-      );
+    logger.debug("Module entry point identified", { package: moduleName, entryPoint });
 
-      let entryPoint;
-      if (modulePackageJson.bin) {
-        // If 'bin' field exists, use it. It can be a string or a map.
-        // console.log(modulePackageJson.bin);
-        // console.log(`Module ${modulePackageJson.bin} has a ${typeof modulePackageJson.bin} field.`);
-        let binPath =
-          typeof modulePackageJson.bin === "string"
-            ? modulePackageJson.bin
-            : modulePackageJson.bin[moduleName];
-        if (!binPath) {
-          binPath = Object.values(modulePackageJson.bin)[0];
-        }
-        if (!binPath) {
-          throw new Error(
-            `Module ${moduleName} does not have a valid 'bin' entry in package.json.`
-          );
-        }
-        // console.log(`Using bin path: ${binPath}`);
-        // console.log(`Module path: ${modulePath}`);
-        entryPoint = path.join(modulePath, binPath);
-      } else if (modulePackageJson.main) {
-        // Otherwise, fall back to the 'main' field.
-        entryPoint = path.join(modulePath, modulePackageJson.main);
-      } else {
-        throw new Error(
-          `Could not determine the entry point for module: ${moduleName}. Neither 'bin' nor 'main' found in package.json.`
-        );
-      }
+    const executableName = `${bin ? bin.name : moduleName.replace(/[@\/]/g, "_")}${this.getExecutableExtension(os)}`;
+    const executablePath = path.join(buildDir, executableName);
 
-      console.log(`Module entry point identified: ${entryPoint}`);
+    // 5. Build the executable using pkg
+    const targetPlatform = this.getPkgTarget(target);
+    const assets = [
+      "node_modules/**/*",
+    ].join(',');
+
+    const pkgArgs = [
+      "pkg",
+      entryPoint,
+      "--targets",
+      targetPlatform,
+      "--output",
+      executablePath,
+      "--assets",
+      assets,
+    ];
+
+    onStep("run-pkg", `Running pkg for ${targetPlatform}`);
+    await runProcess("npx", pkgArgs, {
+      cwd: buildDir,
+      timeout: 600000,
+      onOutput,
+    });
 
-      // 5. Build the executable using pkg
-      const targetPlatform = `node16-${os}-x64`;
-      const assets = [
-        "node_modules/**/*",
-      ].join(',');
+    return {
+      executablePath,
+      command: bin ? bin.name : null,
+      defaultCommand,
+    };
+  }
 
-      const pkgCommand = `npx pkg "${entryPoint}" --targets ${targetPlatform} --output "${executablePath}" --assets "${assets}"`;
+  /**
+   * Copy an uploaded npm project into the work directory and install its
+   * dependencies exactly as locked with `npm ci`. pkg goes into a separate
+   * prefix so the project's node_modules stay untouched.
+   *
+   * The project and its lockfile are uploaded by the user, so no lifecycle
+   * scripts (preinstall, install, postinstall, prepare) run on the build
+   * server. Native addons that compile in an install script are packaged
+   * without their build output.
+   */
+  async installProject(packageInfo, workDir, options = {}) {
+    const { onStep = () => {}, onOutput } = options;
+    const projectDir = path.join(workDir, "project");
+
+    onStep("copy-project", "Copying uploaded project");
+    fs.cpSync(packageInfo.projectPath, projectDir, { recursive: true });
+
+    onStep("npm-ci", "Installing locked dependencies with npm ci");
+    await runProcess("npm", ["ci", "--omit=dev", "--ignore-scripts"], {
+      cwd: projectDir,
+      timeout: 600000,
+      onOutput,
+    });
 
-      console.log(`Running pkg to build executable for ${os}...`);
-      console.log(`Executing command: ${pkgCommand}`);
-      const { stdout, stderr } = await this.executeCommand(pkgCommand, {
-        cwd: buildDir,
-      });
+    onStep("install-pkg", "Installing pkg");
+    await runProcess("npm", ["install", "--prefix", path.join(workDir, "tools"), "pkg"], {
+      cwd: workDir,
+      timeout: 600000,
+      onOutput,
+    });
+  }
 
-      if (stdout) console.log("pkg stdout:", stdout);
-      if (stderr) console.warn("pkg stderr:", stderr);
+  /**
+   * Package an installed project with pkg. The entry point is the requested
+   * bin, the uploaded entry file, the default bin or `main`, in that order.
+   */
+  async createProjectExecutable(packageInfo, workDir, target, options = {}) {
+    const { onStep = () => {}, onOutput } = options;
+    const { os } = target;
+    const projectDir = path.join(workDir, "project");
+
+    onStep("resolve-entry-point", "Determining project entry point");
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, "package.json"), "utf8"));
+    const bins = packageService.getNpmBinCommands(packageInfo.name, packageJson.bin);
+
+    let entryFile;
+    let command = null;
+    let defaultCommand = true;
+    if (packageInfo.entryFile && !target.command) {
+      entryFile = packageInfo.entryFile;
+    } else if (bins.length > 0 || target.command) {
+      const selected = this.selectCommand(packageInfo, bins, target.command);
+      entryFile = selected.command.path;
+      command = selected.command.name;
+      defaultCommand = selected.defaultCommand;
+    } else {
+      entryFile = packageJson.main || "index.js";
+    }
 
-      console.log(`\n✅ Executable created successfully!`);
-      console.log(`✅ Path: ${executablePath}`);
+    // Entry points come from uploaded files, so they must stay inside the project
+    const entryPoint = path.resolve(projectDir, entryFile);
+    if (!entryPoint.startsWith(projectDir + path.sep) || !fs.existsSync(entryPoint)) {
+      throw new Error(`Entry point '${entryFile}' not found in the uploaded project`);
+    }
+    logger.debug("Project entry point identified", { package: packageInfo.name, entryPoint });
+
+    const targetPlatform = this.getPkgTarget(target);
+    const executablePath = path.join(
+      workDir,
+      `${command || packageInfo.name.replace(/[@\/]/g, "_")}${this.getExecutableExtension(os)}`
+    );
+    const pkgBin = path.join(workDir, "tools", "node_modules", ".bin", "pkg");
+
+    // --config applies the project's own pkg settings (assets, scripts), limited to project files
+    const pkgArgs = [
+      entryPoint,
+      "--config",
+      this.writePkgConfig(packageInfo, packageJson, workDir),
+      "--targets",
+      targetPlatform,
+      "--output",
+      executablePath,
+    ];
+
+    onStep("run-pkg", `Running pkg for ${targetPlatform}`);
+    await runProcess(pkgBin, pkgArgs, {
+      cwd: projectDir,
+      timeout: 600000,
+      onOutput,
+    });
 
-      return executablePath;
-    } catch (error) {
-      console.error(`\n❌ An error occurred during the build process:`);
-      console.error(error);
-      throw error; // Re-throw the error for the caller to handle
+    if (!fs.existsSync(executablePath)) {
+      throw new Error("Executable was not created by pkg");
     }
+
+    return { executablePath, command, defaultCommand };
   }
 
-  async createPipExecutable(packageInfo, workDir, os) {
-    try {
-      // Check if PyInstaller is available
-      try {
-        execSync("which pyinstaller", { encoding: "utf8" });
-      } catch (error) {
-        // Install PyInstaller if not available
-        console.log("Installing PyInstaller for Python executable creation...");
-        execSync("pip install pyinstaller", {
-          encoding: "utf8",
-          timeout: 120000,
-        });
+  /**
+   * Write the pkg configuration for a project build. pkg resolves the asset
+   * and script globs of the project's `pkg` settings relative to the config
+   * file, so a glob like "../../keys/*" would bundle server files into the
+   * published executable. The globs are therefore expanded here and only
+   * files inside the project are listed in the written config.
+   * @param {Object} packageInfo - Package information of the build
+   * @param {Object} packageJson - The project's package.json
+   * @param {string} workDir - Build directory holding the project
+   * @returns {string} - Path of the config file
+   */
+  writePkgConfig(packageInfo, packageJson, workDir) {
+    const projectDir = path.join(workDir, "project");
+    const realProjectDir = fs.realpathSync(projectDir);
+    const settings = packageJson.pkg && typeof packageJson.pkg === "object" ? packageJson.pkg : {};
+    const pkgConfig = {};
+
+    for (const field of ["assets", "scripts"]) {
+      const patterns = [].concat(settings[field] || []).filter((pattern) => typeof pattern === "string");
+      if (patterns.length === 0) {
+        continue;
+      }
+      const files = fg.sync(patterns, { cwd: projectDir, dot: true, onlyFiles: true, absolute: true, followSymbolicLinks: false });
+      const outside = files.filter((file) => !fs.realpathSync(file).startsWith(realProjectDir + path.sep));
+      if (outside.length > 0) {
+        logger.warn("Ignoring pkg files outside the project", { package: packageInfo.name, field, count: outside.length });
       }
+      // Relative to the config file in workDir, escaped so pkg matches each file literally
+      pkgConfig[field] = files
+        .filter((file) => !outside.includes(file))
+        .map((file) => fg.escapePath(path.relative(workDir, file).split(path.sep).join("/")));
+    }
+
+    const configPath = path.join(workDir, "pkg-config.json");
+    fs.writeFileSync(configPath, JSON.stringify({ name: packageInfo.name, version: packageInfo.version, pkg: pkgConfig }, null, 2));
+    return configPath;
+  }
+
+  async createPipExecutable(packageInfo, workDir, target, options = {}) {
+    const { onStep = () => {}, onOutput } = options;
+    const { os } = target;
+    const venvDir = path.join(workDir, "venv");
+    const venvEnv = packageService.getVenvEnv(venvDir);
+    const venvPython = process.platform === "win32"
+      ? path.join(venvDir, "Scripts", "python.exe")
+      : path.join(venvDir, "bin", "python");
+
+    try {
+      // Pick the console script to package
+      onStep("resolve-entry-point", "Reading console_scripts entry points");
+      const scripts = packageService.getPipEntryPoints(venvDir, packageInfo.name);
+      const { command: script, defaultCommand } = this.selectCommand(
+        packageInfo,
+        scripts,
+        target.command
+      );
+      logger.debug("Selected Python entry point", {
+        package: packageInfo.name,
+        consoleScript: script ? `${script.name} (${script.module}:${script.attr || ""})` : null,
+      });
+
+      // PyInstaller runs inside the build venv so it bundles the installed dependencies
+      onStep("install-pyinstaller", "Installing PyInstaller");
+      await runProcess("uv", ["pip", "install", "pyinstaller"], {
+        timeout: 300000,
+        env: venvEnv,
+        onOutput,
+      });
 
       // Create a wrapper Python script
-      const wrapperScript = this.createPythonWrapper(packageInfo);
+      onStep("write-wrapper", "Writing Python wrapper script");
+      const wrapperScript = this.createPythonWrapper(packageInfo, script);
       const wrapperPath = path.join(workDir, "wrapper.py");
       fs.writeFileSync(wrapperPath, wrapperScript);
 
       // Build executable with PyInstaller
-      const outputName = `${packageInfo.name}${this.getExecutableExtension(
-        os
-      )}`;
-      const distPath = path.join(workDir, "dist", "wrapper");
+      const outputName = script ? script.name : packageInfo.name;
+      const distDir = path.join(workDir, "dist");
 
-      const pyinstallerCmd = [
-        "pyinstaller",
+      const pyinstallerArgs = [
+        "-m",
+        "PyInstaller",
         "--onefile",
         "--name",
-        "wrapper",
+        outputName,
+        // Many CLIs read their own version through importlib.metadata
+        "--copy-metadata",
+        packageInfo.name,
         "--distpath",
-        path.join(workDir, "dist"),
+        distDir,
         "--workpath",
         path.join(workDir, "build"),
         "--specpath",
         workDir,
         wrapperPath,
-      ].join(" ");
+      ];
 
-      execSync(pyinstallerCmd, {
-        encoding: "utf8",
-        timeout: 300000,
+      onStep("run-pyinstaller", "Running PyInstaller");
+      await runProcess(venvPython, pyinstallerArgs, {
+        timeout: 600000,
         cwd: workDir,
-        env: { ...process.env, PYTHONPATH: workDir },
+        env: venvEnv,
+        onOutput,
       });
 
-      const executablePath = distPath + this.getExecutableExtension(os);
+      const executablePath = path.join(
+        distDir,
+        outputName + this.getExecutableExtension(os)
+      );
 
       if (!fs.existsSync(executablePath)) {
         throw new Error("Executable was not created by PyInstaller");
       }
 
-      return executablePath;
+      return {
+        executablePath,
+        command: script ? script.name : null,
+        defaultCommand,
+      };
     } catch (error) {
-      console.error("PIP executable creation failed:", error);
       throw new Error(`Failed to create PIP executable: ${error.message}`);
     }
   }
 
+  /**
+   * Choose the bin / console script to package.
+   * Without a requested command the package's default command is used.
+   * @returns {{command: Object|null, defaultCommand: boolean}}
+   */
+  selectCommand(packageInfo, commands, requested) {
+    const defaultCommand = packageService.getDefaultCommand(packageInfo.name, commands);
+
+    if (!requested) {
+      return { command: defaultCommand, defaultCommand: true };
+    }
+
+    const command = commands.find((candidate) => candidate.name === requested);
+    if (!command) {
+      const available = commands.map((candidate) => candidate.name).join(", ") || "none";
+      throw new Error(
+        `Command '${requested}' is not provided by ${packageInfo.name}. Available: ${available}`
+      );
+    }
+    return { command, defaultCommand: command === defaultCommand };
+  }
+
   createNodeWrapper(packageInfo, mainFile) {
     // Create a more robust wrapper that can handle scoped packages
     return `#!/usr/bin/env node
@@ -334,44 +599,56 @@ try {
 `;
   }
 
-  createPythonWrapper(packageInfo) {
-    return `#!/usr/bin/env python3
+  createPythonWrapper(packageInfo, script = null) {
+    // The name is interpolated into Python source below
+    const nameError = validatePipName(packageInfo.name);
+    if (nameError) {
+      throw new Error(`Invalid pip package name '${packageInfo.name}': ${nameError}`);
+    }
+
+    if (!script || !script.attr) {
+      // No entry function: run the module like `python -m <module>`
+      const moduleName = script
+        ? script.module
+        : packageInfo.name.toLowerCase().replace(/[-.]/g, "_");
+      return `#!/usr/bin/env python3
 
 # Wrapper for ${packageInfo.name}==${packageInfo.version}
+import runpy
+
+if __name__ == "__main__":
+    runpy.run_module("${moduleName}", run_name="__main__", alter_sys=True)
+`;
+    }
+
+    // console_scripts reference module:object[.attr]; both only contain [\w.]
+    const [objectName, ...attrPath] = script.attr.split(".");
+    const callable = ["_entry_point", ...attrPath].join(".");
+    return `#!/usr/bin/env python3
+
+# Wrapper for ${packageInfo.name}==${packageInfo.version}, console script '${script.name}'
 import sys
-import os
-sys.path.insert(0, os.path.dirname(os.path.abspath(__file__)))
-
-try:
-    import ${packageInfo.name.replace("-", "_")}
-    
-    # Try to find and run main function or module
-    if hasattr(${packageInfo.name.replace("-", "_")}, 'main'):
-        ${packageInfo.name.replace("-", "_")}.main()
-    elif hasattr(${packageInfo.name.replace("-", "_")}, '__main__'):
-        exec(${packageInfo.name.replace("-", "_")}.__main__)
-    else:
-        print(f"${packageInfo.name} imported successfully")
-        
-except ImportError as e:
-    print(f"Error importing ${packageInfo.name}: {e}")
-    sys.exit(1)
-except Exception as e:
-    print(f"Error running ${packageInfo.name}: {e}")
-    sys.exit(1)
+
+from ${script.module} import ${objectName} as _entry_point
+
+if __name__ == "__main__":
+    sys.exit(${callable}())
 `;
   }
 
-  getPkgTarget(os) {
+  /**
+   * Map a build target to a pkg target triple, e.g. node18-win-arm64.
+   */
+  getPkgTarget({ os, arch = "x64", nodeVersion = 18 }) {
     switch (os.toLowerCase()) {
       case "windows":
-        return "node18-win-x64";
+        return `node${nodeVersion}-win-${arch}`;
       case "macos":
-        return "node18-macos-x64";
+        return `node${nodeVersion}-macos-${arch}`;
       case "linux":
-        return "node18-linux-x64";
+        return `node${nodeVersion}-linux-${arch}`;
       default:
-        return "node18-linux-x64";
+        return `node${nodeVersion}-linux-${arch}`;
     }
   }
 
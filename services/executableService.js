@@ -0,0 +1,277 @@
+import getExecutableModel from "../models/Executable.js";
+import analyticsService from "./analyticsService.js";
+import packageService from "./packageService.js";
+import storageService from "./storageService.js";
+import { compareVersions, getExactVersion, satisfiesRequest } from "../utils/versionUtils.js";
+
+// Identifies a package version independently of its build targets
+const versionKey = ({ repositoryManager, registry, name, version }) =>
+  [repositoryManager, registry || "", name, version].join(":");
+
+/**
+ * Queries over Executable documents. Every document is the artifact of a
+ * single target (os + arch, plus the Node runtime for npm) of a package version, so "targets" of an
+ * executable are the documents sharing its name, repositoryManager, registry and version.
+ */
+class ExecutableService {
+  /**
+   * Find the artifact built for exactly this target.
+   * When no version is given any stored version of the package matches, and
+   * without a command the package's default command matches. Artifacts built
+   * from uploaded files only match a request for the same upload.
+   */
+  async findArtifact(request) {
+    const Executable = getExecutableModel();
+    return Executable.findOne(this.getArtifactCriteria(request));
+  }
+
+  getArtifactCriteria({ name, repositoryManager, registry = null, source = "registry", sourceChecksum = null, version, os, arch = "x64", nodeVersion = null, command = null, format = "binary" }) {
+    const searchCriteria = { name, repositoryManager, registry, os, arch, nodeVersion };
+    // Documents from before output formats existed are bare executables
+    searchCriteria.format = format === "binary" ? { $in: ["binary", null] } : format;
+    if (source === "registry") {
+      // Documents from before uploads existed have no source
+      searchCriteria.source = { $in: ["registry", null] };
+    } else {
+      searchCriteria.source = source;
+      searchCriteria.sourceChecksum = sourceChecksum;
+    }
+    if (version) searchCriteria.version = version;
+    if (command) {
+      searchCriteria.command = command;
+    } else {
+      searchCriteria.defaultCommand = { $ne: false };
+    }
+    return searchCriteria;
+  }
+
+  /**
+   * Resolve the requested version of a registry package and find its stored
+   * artifact for the target. Exact versions are looked up in the cache
+   * first. Ranges, dist-tags and requests without a version are resolved
+   * against the registry; when the registry cannot resolve them, the highest
+   * stored version satisfying the request is served instead.
+   * @param {Object} request - Package, version and target, as for findArtifact
+   * @returns {Promise<Object>} - { version, resolvedFrom, executable, packageInfo }:
+   *   the concrete version ('request', 'registry' or 'cache' tells where it
+   *   came from, null when it could not be resolved), the stored artifact
+   *   whose file is present (null when it must be built) and the registry
+   *   package information to build it with (null when the registry failed)
+   */
+  async resolveRequest(request) {
+    const { name, repositoryManager, registry = null, version } = request;
+    const findStored = async (concreteVersion) => {
+      const executable = await this.findArtifact({ ...request, version: concreteVersion });
+      return executable && await storageService.exists(executable.fileName) ? executable : null;
+    };
+
+    const exactVersion = getExactVersion(repositoryManager, version);
+    if (exactVersion) {
+      const executable = await findStored(exactVersion);
+      if (executable) {
+        return { version: exactVersion, resolvedFrom: "request", executable, packageInfo: null };
+      }
+    }
+
+    const packageInfo = await packageService.getPackageInfo(name, repositoryManager, version || "latest", registry);
+    if (packageInfo) {
+      const executable = exactVersion ? null : await findStored(packageInfo.version);
+      return { version: packageInfo.version, resolvedFrom: "registry", executable, packageInfo };
+    }
+
+    // The registry is unreachable or does not know the version: fall back to the best stored match
+    const Executable = getExecutableModel();
+    const candidates = (await Executable.find(this.getArtifactCriteria({ ...request, version: undefined })))
+      .filter((executable) => satisfiesRequest(repositoryManager, executable.version, version))
+      .sort((left, right) => (
+        compareVersions(repositoryManager, right.version, left.version) || right.createdAt - left.createdAt
+      ));
+    for (const executable of candidates) {
+      if (await storageService.exists(executable.fileName)) {
+        return { version: executable.version, resolvedFrom: "cache", executable, packageInfo: null };
+      }
+    }
+    return { version: null, resolvedFrom: null, executable: null, packageInfo: null };
+  }
+
+  /**
+   * File name offered to clients: <pkg>-<version>-<os> plus the extension of
+   * the stored file (.exe, .tar.gz, .deb, ...). A command other than the
+   * package's own name is added after the package name.
+   */
+  getDownloadName(executable) {
+    const { name, version, os, command } = executable;
+    const packageName = command && command !== name ? `${name}-${command}` : name;
+    // Stored names end in _<timestamp>_<random>, see fileUtils.generateUniqueFileName
+    const extension = (executable.fileName.match(/_\d+_[a-z0-9]+(\..+)?$/) || [])[1] || "";
+    // Legacy executables whose os is unknown leave it out
+    return `${packageName.replace(/^@/, "").replace(/\//g, "-")}-${version}${os ? `-${os}` : ""}${extension}`;
+  }
+
+  /**
+   * Count a completed download of an executable and record it for analytics
+   * @param {Object} executable - Executable document
+   * @param {Object} context - { userId, requestId } of the download request
+   */
+  async recordDownload(executable, context = {}) {
+    const Executable = getExecutableModel();
+    await Executable.updateOne(
+      { _id: executable._id },
+      { $inc: { downloads: 1 }, lastDownloadedAt: new Date() }
+    );
+    await analyticsService.recordDownload(executable, context);
+  }
+
+  formatTarget(executable) {
+    return {
+      id: executable._id,
+      os: executable.os,
+      arch: executable.arch,
+      nodeVersion: executable.nodeVersion,
+      command: executable.command,
+      format: executable.format,
+      source: executable.source,
+      fileSize: executable.fileSize,
+      sha256: executable.sha256,
+      verified: executable.verified,
+      downloads: executable.downloads,
+    };
+  }
+
+  /**
+   * Every stored version of a package with its targets, newest version first
+   * @param {Object} pkg - { name, repositoryManager, registry }; without a registry every registry is included
+   * @returns {Promise<Object|null>} - { name, repositoryManager, latestVersion, downloads, versions }, or null when nothing is stored
+   */
+  async getPackageVersions({ name, repositoryManager, registry }) {
+    const executables = await this.findPackageExecutables({ name, repositoryManager, registry });
+    if (executables.length === 0) {
+      return null;
+    }
+
+    const versions = new Map();
+    executables.forEach((executable) => {
+      const key = versionKey(executable);
+      if (!versions.has(key)) {
+        versions.set(key, []);
+      }
+      versions.get(key).push(executable);
+    });
+
+    const summaries = [...versions.values()]
+      .map((group) => this.summarizeVersion(group))
+      .sort((left, right) => this.compareNewestFirst(repositoryManager, left, right));
+    return {
+      name: executables[0].name,
+      repositoryManager,
+      latestVersion: summaries[0].version,
+      downloads: summaries.reduce((total, summary) => total + summary.downloads, 0),
+      versions: summaries,
+    };
+  }
+
+  /**
+   * A stored version of a package with the details of every target
+   * @param {Object} pkg - { name, repositoryManager, registry, version }
+   * @returns {Promise<Object|null>} - Version summary with detailed targets, or null when the version is not stored
+   */
+  async getPackageVersion({ name, repositoryManager, registry, version }) {
+    const executables = await this.findPackageExecutables({ name, repositoryManager, registry, version });
+    if (executables.length === 0) {
+      return null;
+    }
+    // Metadata of the newest build; without a registry filter the targets of every registry are listed together
+    const newest = executables.reduce((latest, executable) => (executable.createdAt > latest.createdAt ? executable : latest));
+    return {
+      ...this.summarizeVersion(executables),
+      description: newest.description,
+      tags: newest.tags,
+      securityRating: newest.securityRating,
+      securityScannedAt: newest.securityScannedAt,
+      targets: executables.map((executable) => ({
+        ...this.formatTarget(executable),
+        registry: executable.registry || null,
+        fileName: executable.fileName,
+        downloadUrl: `/download/${executable.fileName}`,
+        signatureUrl: executable.signature ? `/download/${executable.fileName}.sig` : null,
+        sbomUrl: executable.sbomFileName ? `/api/executables/${executable._id}/sbom` : null,
+        licensesUrl: executable.licenseReportFileName ? `/api/executables/${executable._id}/licenses` : null,
+        licenseStatus: executable.licenseStatus,
+        securityRating: executable.securityRating,
+        lastDownloadedAt: executable.lastDownloadedAt,
+        createdAt: executable.createdAt,
+      })),
+    };
+  }
+
+  async findPackageExecutables({ name, repositoryManager, registry, version }) {
+    const Executable = getExecutableModel();
+    const filter = { name, repositoryManager };
+    if (registry !== undefined) filter.registry = registry;
+    if (version) filter.version = version;
+    return Executable.find(filter).sort({ os: 1, arch: 1, nodeVersion: 1, command: 1, format: 1 });
+  }
+
+  // Totals of the executables of one package version
+  summarizeVersion(executables) {
+    const builtAt = executables.map((executable) => executable.createdAt);
+    return {
+      version: executables[0].version,
+      registry: executables[0].registry || null,
+      downloads: executables.reduce((total, executable) => total + (executable.downloads || 0), 0),
+      totalSize: executables.reduce((total, executable) => total + (executable.fileSize || 0), 0),
+      firstBuiltAt: new Date(Math.min(...builtAt)),
+      lastBuiltAt: new Date(Math.max(...builtAt)),
+      targets: executables.map((executable) => this.formatTarget(executable)),
+    };
+  }
+
+  // Version order, or the latest build first for versions that cannot be compared
+  compareNewestFirst(repositoryManager, left, right) {
+    const comparison = compareVersions(repositoryManager, left.version, right.version);
+    if (comparison !== null && comparison !== 0) {
+      return -comparison;
+    }
+    return right.lastBuiltAt - left.lastBuiltAt;
+  }
+
+  /**
+   * Convert executables to plain objects carrying a `targets` array that
+   * lists every target built for the same package version.
+   */
+  async withTargets(executables) {
+    if (executables.length === 0) {
+      return [];
+    }
+
+    const Executable = getExecutableModel();
+    const versions = new Map();
+    executables.forEach((executable) => {
+      const { repositoryManager, name, version } = executable;
+      const registry = executable.registry || null;
+      versions.set(versionKey(executable), { repositoryManager, registry, name, version });
+    });
+
+    const siblings = await Executable.find(
+      { $or: [...versions.values()] },
+      "name repositoryManager registry version os arch nodeVersion command format source fileSize sha256 verified downloads"
+    ).sort({ os: 1, arch: 1, nodeVersion: 1, command: 1, format: 1 });
+
+    const targetsByVersion = new Map();
+    siblings.forEach((sibling) => {
+      const key = versionKey(sibling);
+      if (!targetsByVersion.has(key)) {
+        targetsByVersion.set(key, []);
+      }
+      targetsByVersion.get(key).push(this.formatTarget(sibling));
+    });
+
+    return executables.map((executable) => ({
+      ...executable.toObject(),
+      targets: targetsByVersion.get(versionKey(executable)) || [],
+    }));
+  }
+}
+
+const executableService = new ExecutableService();
+export default executableService;
@@ -0,0 +1,254 @@
+import fs from "fs";
+import path from "path";
+import sbomService from "./sbomService.js";
+import { classifyLicense, getLicenseAction, getLicensePolicy } from "../config/licensePolicy.js";
+
+// License and notice files shipped in packages
+const LICENSE_FILE = /^(licen[cs]e|copying|notice)([-._].*)?$/i;
+const MAX_LICENSE_FILE_BYTES = 64 * 1024;
+
+// Verdicts from best to worst; "OR" picks the best alternative, "AND" the worst part
+const VERDICT_ORDER = ["allowed", "unlisted", "unknown", "denied"];
+
+/**
+ * License compliance of built executables.
+ *
+ * The licenses declared by every bundled package (taken from the SBOM) are
+ * checked against the license policy (config/licensePolicy.js) right after
+ * the installing phase, and the license and notice files found in the
+ * installed packages are collected into a NOTICE text. A report whose status
+ * is "failed" stops the build; "flagged" executables are built and annotated.
+ */
+class LicenseService {
+  /**
+   * Create the license report of an installed package
+   * @param {Object} packageInfo - Package information of the build
+   * @param {string} workDir - Build work directory after the installing phase
+   * @param {Object} sbom - SBOM generated from the same work directory
+   * @returns {Object} - Report: { policy, status, summary, packages, violations, notice }
+   */
+  createReport(packageInfo, workDir, sbom) {
+    const licenseDirs = this.findPackageDirs(packageInfo, workDir);
+    const summary = {};
+    const violations = [];
+
+    const packages = [sbom.metadata.component, ...sbom.components].map((component) => {
+      const licenses = (component.licenses || []).map(
+        (entry) => entry.expression || entry.license.id || entry.license.name
+      );
+      const verdict = this.evaluate(licenses);
+      const action = getLicenseAction(verdict);
+      const packageDir = licenseDirs.get(component["bom-ref"]);
+      const licenseFiles = packageDir ? this.findLicenseFiles(packageDir) : [];
+
+      (licenses.length > 0 ? licenses : ["UNKNOWN"]).forEach((license) => {
+        summary[license] = (summary[license] || 0) + 1;
+      });
+      if (action !== "ignore") {
+        violations.push({ name: component.name, version: component.version, licenses, verdict, action });
+      }
+
+      return {
+        name: component.name,
+        version: component.version,
+        purl: component.purl,
+        licenses,
+        verdict,
+        licenseFiles: licenseFiles.map((file) => file.name),
+        texts: licenseFiles,
+      };
+    });
+
+    let status = "passed";
+    if (violations.some((violation) => violation.action === "fail")) {
+      status = "failed";
+    } else if (violations.length > 0) {
+      status = "flagged";
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      policy: getLicensePolicy(),
+      status,
+      summary,
+      packages: packages.map(({ texts, ...entry }) => entry),
+      violations,
+      notice: this.buildNotice(packageInfo, packages),
+    };
+  }
+
+  /**
+   * Verdict for the licenses declared by one package. Several declared
+   * licenses are alternatives, as in npm's legacy "licenses" array.
+   * @param {string[]} licenses - SPDX ids, expressions or license names
+   * @returns {string} - 'allowed', 'denied', 'unlisted' or 'unknown'
+   */
+  evaluate(licenses) {
+    const verdicts = licenses.map((license) => this.evaluateExpression(license));
+    if (verdicts.length === 0) {
+      return "unknown";
+    }
+    return this.best(verdicts);
+  }
+
+  /**
+   * Evaluate an SPDX license expression ("MIT OR (Apache-2.0 AND BSD-3-Clause)").
+   * A license with an exception ("GPL-2.0 WITH Classpath-exception-2.0") is
+   * judged by the license. Anything that cannot be parsed is treated as a
+   * single license name.
+   */
+  evaluateExpression(expression) {
+    if (/^SEE LICEN[CS]E IN /i.test(expression) || /^unknown$/i.test(expression)) {
+      return "unknown";
+    }
+
+    const tokens = expression.match(/\(|\)|[^\s()]+/g) || [];
+    let position = 0;
+
+    const parseOr = () => {
+      const verdicts = [parseAnd()];
+      while (tokens[position] && tokens[position].toUpperCase() === "OR") {
+        position++;
+        verdicts.push(parseAnd());
+      }
+      return this.best(verdicts);
+    };
+    const parseAnd = () => {
+      const verdicts = [parseTerm()];
+      while (tokens[position] && tokens[position].toUpperCase() === "AND") {
+        position++;
+        verdicts.push(parseTerm());
+      }
+      return this.worst(verdicts);
+    };
+    const parseTerm = () => {
+      const token = tokens[position++];
+      if (token === undefined) {
+        throw new Error("Unexpected end of license expression");
+      }
+      if (token === "(") {
+        const verdict = parseOr();
+        if (tokens[position++] !== ")") {
+          throw new Error("Unbalanced parentheses in license expression");
+        }
+        return verdict;
+      }
+      if (tokens[position] && tokens[position].toUpperCase() === "WITH") {
+        position += 2;
+      }
+      return classifyLicense(token.replace(/\+$/, ""));
+    };
+
+    const isExpression = tokens.length === 1 || tokens.some((token) => ["AND", "OR", "WITH", "(", ")"].includes(token.toUpperCase()));
+    if (isExpression) {
+      try {
+        const verdict = parseOr();
+        if (position === tokens.length) {
+          return verdict;
+        }
+      } catch {
+        // Not an SPDX expression; judge it as a name below
+      }
+    }
+    return classifyLicense(expression);
+  }
+
+  best(verdicts) {
+    return verdicts.reduce((best, verdict) =>
+      VERDICT_ORDER.indexOf(verdict) < VERDICT_ORDER.indexOf(best) ? verdict : best
+    );
+  }
+
+  worst(verdicts) {
+    return verdicts.reduce((worst, verdict) =>
+      VERDICT_ORDER.indexOf(verdict) > VERDICT_ORDER.indexOf(worst) ? verdict : worst
+    );
+  }
+
+  /**
+   * Directories holding the license files of the installed packages: the
+   * package directory for npm, the .dist-info directory for pip
+   * @returns {Map<string, string>} - Directory by SBOM bom-ref
+   */
+  findPackageDirs(packageInfo, workDir) {
+    const dirs = new Map();
+    if (packageInfo.repositoryManager === "pip") {
+      for (const distInfoDir of sbomService.listDistributions(path.join(workDir, "venv"))) {
+        const distribution = sbomService.readDistInfo(distInfoDir);
+        if (distribution) {
+          dirs.set(distribution.component["bom-ref"], distInfoDir);
+        }
+      }
+      return dirs;
+    }
+
+    const installDir = packageInfo.source === "project" ? path.join(workDir, "project") : workDir;
+    if (packageInfo.source === "project") {
+      const manifest = sbomService.readPackageJson(installDir);
+      if (manifest && manifest.name && manifest.version) {
+        dirs.set(sbomService.npmPurl(manifest.name, manifest.version), installDir);
+      }
+    }
+    for (const { dir, manifest } of sbomService.listNodeModules(installDir).values()) {
+      const ref = sbomService.npmPurl(manifest.name, manifest.version);
+      // The same version can be installed in several places; they ship the same files
+      if (!dirs.has(ref)) {
+        dirs.set(ref, dir);
+      }
+    }
+    return dirs;
+  }
+
+  /**
+   * License and notice files of a package, including the licenses/
+   * directory of core metadata 2.4
+   * @returns {Array<{name: string, content: string}>}
+   */
+  findLicenseFiles(packageDir) {
+    const candidates = [];
+    const addFrom = (dir, prefix) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isFile() && LICENSE_FILE.test(entry.name)) {
+          candidates.push({ name: `${prefix}${entry.name}`, filePath: path.join(dir, entry.name) });
+        }
+      }
+    };
+    addFrom(packageDir, "");
+    addFrom(path.join(packageDir, "licenses"), "licenses/");
+
+    return candidates
+      .sort((left, right) => left.name.localeCompare(right.name))
+      .map(({ name, filePath }) => {
+        const buffer = fs.readFileSync(filePath);
+        const content = buffer.subarray(0, MAX_LICENSE_FILE_BYTES).toString("utf8");
+        return {
+          name,
+          content: buffer.length > MAX_LICENSE_FILE_BYTES ? `${content}\n[truncated]` : content,
+        };
+      });
+  }
+
+  /**
+   * Aggregated NOTICE text: every bundled package with its declared licenses
+   * and the content of its license and notice files
+   */
+  buildNotice(packageInfo, packages) {
+    const separator = "-".repeat(79);
+    const sections = packages.map((entry) => {
+      const header = `${entry.name}@${entry.version}\nLicense: ${entry.licenses.join(" OR ") || "UNKNOWN"}`;
+      const texts = entry.texts.map((file) => `${file.name}:\n\n${file.content.trim()}`);
+      return [header, ...texts].join("\n\n");
+    });
+    return [
+      `Third-party notices for ${packageInfo.name}@${packageInfo.version}\n` +
+        `This executable bundles the following ${packages.length} packages.`,
+      ...sections,
+    ].join(`\n\n${separator}\n\n`) + "\n";
+  }
+}
+
+const licenseService = new LicenseService();
+export default licenseService;
@@ -1,20 +1,31 @@
-import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import semver from 'semver';
+import { runProcess } from '../utils/processRunner.js';
+import { getRegistryProfile, getRegistrySecrets } from '../config/registries.js';
+import { isValidCommandName } from '../config/targets.js';
+
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
 
 class PackageService {
-  async getPackageInfo(name, repositoryManager, version = 'latest') {
+  async getPackageInfo(name, repositoryManager, version = 'latest', registry = null) {
     try {
       let packageInfo;
       
       if (repositoryManager === 'npm') {
-        packageInfo = await this.getNpmPackageInfo(name, version);
+        packageInfo = await this.getNpmPackageInfo(name, version, registry);
       } else if (repositoryManager === 'pip') {
-        packageInfo = await this.getPipPackageInfo(name, version);
+        packageInfo = await this.getPipPackageInfo(name, version, registry);
       } else {
         throw new Error('Unsupported repository manager');
       }
       
+      // The registry profile the package was resolved from is used for the build too
+      packageInfo.registry = registry || null;
       return packageInfo;
     } catch (error) {
       console.error(`Failed to get package info for ${name}:`, error.message);
@@ -22,16 +33,18 @@ class PackageService {
     }
   }
 
-  async getNpmPackageInfo(name, version) {
+  async getNpmPackageInfo(name, version, registry = null) {
     try {
       const versionSpec = version === 'latest' ? name : `${name}@${version}`;
-      const result = execSync(`npm view ${versionSpec} --json`, {
-        encoding: 'utf8',
-        timeout: 30000
+      const registryOptions = this.getNpmRegistryOptions(registry);
+      const { stdout } = await runProcess('npm', ['view', '--json', ...registryOptions.args, '--', versionSpec], {
+        timeout: 30000,
+        env: registryOptions.env,
+        secrets: registryOptions.secrets
       });
       
-      const packageData = JSON.parse(result);
-      
+      const packageData = this.parseNpmView(stdout, name, version);
+
       return {
         name: packageData.name,
         version: packageData.version,
@@ -45,67 +58,41 @@ class PackageService {
     }
   }
 
-  async getPipPackageInfo(name, version) {
+  async getPipPackageInfo(name, version, registry = null) {
     try {
       // Use uv pip show for installed packages or try to get info from PyPI
       let packageData;
       
       try {
-        // Try to get info using uv pip show (if package is installed)
-        const result = execSync(`uv pip show ${name}`, {
-          encoding: 'utf8',
-          timeout: 30000
-        });
-        
-        packageData = this.parsePipShowOutput(result);
-      } catch (showError) {
-        // If uv pip show fails, try to install and get info
-        console.log(`Package ${name} not installed, attempting to fetch from PyPI...`);
-        
-        // Create a temporary directory for installation
-        const tempDir = path.join(__dirname, '..', 'temp', `pip_${Date.now()}`);
-        fs.mkdirSync(tempDir, { recursive: true });
-        
-        // Create a virtual environment using uv
-        const venvDir = path.join(tempDir, 'venv');
-        
-        try {
-          // Create virtual environment
-          execSync(`uv venv ${venvDir}`, {
-            encoding: 'utf8',
+        // Try to get info using uv pip show (if package is installed).
+        // Locally installed packages do not come from a registry profile,
+        // and only answer for the exact version that is installed.
+        if (!registry && version !== 'latest') {
+          const { stdout } = await runProcess('uv', ['pip', 'show', name], {
             timeout: 30000
           });
           
-          // Build the activation command
-          const activateCmd = process.platform === 'win32' 
-            ? `${path.join(venvDir, 'Scripts', 'activate.bat')} &&` 
-            : `. ${path.join(venvDir, 'bin', 'activate')} &&`;
-          
-          const versionSpec = version === 'latest' ? name : `${name}==${version}`;
-          
-          // Install package in the virtual environment
-          execSync(`${activateCmd} uv pip install ${versionSpec} --no-deps`, {
-            encoding: 'utf8',
-            timeout: 60000,
-            shell: true
-          });
-          
+          packageData = this.parsePipShowOutput(stdout);
+          if (packageData.version !== version) {
+            packageData = null;
+          }
+        }
+      } catch (showError) {
+        packageData = null;
+      }
+
+      if (!packageData) {
+        // If uv pip show fails, try to install and get info
+        console.log(`Package ${name} not installed, attempting to fetch from ${registry || 'PyPI'}...`);
+        
+        packageData = await this.withPipInstall(name, version, registry, async (venvDir) => {
           // Show package info
-          const result = execSync(`${activateCmd} uv pip show ${name}`, {
-            encoding: 'utf8',
+          const { stdout } = await runProcess('uv', ['pip', 'show', name], {
             timeout: 30000,
-            shell: true
+            env: this.getVenvEnv(venvDir)
           });
-          
-          packageData = this.parsePipShowOutput(result);
-        } finally {
-          // Clean up temp directory
-          try {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-          } catch (cleanupError) {
-            console.warn('Failed to cleanup temp directory:', cleanupError.message);
-          }
-        }
+          return this.parsePipShowOutput(stdout);
+        });
       }
       
       return {
@@ -121,6 +108,236 @@ class PackageService {
     }
   }
 
+  /**
+   * Parse the output of `npm view --json` for a version, range or dist-tag.
+   * A range matching several versions lists all of them; the highest is used,
+   * as npm install would.
+   * @param {string} stdout - npm output
+   * @param {string} name - Package name
+   * @param {string} version - Requested version, range or dist-tag
+   * @returns {Object} - Package document of a single version
+   */
+  parseNpmView(stdout, name, version) {
+    // Nothing matched the range
+    if (!stdout.trim()) {
+      throw new Error(`No version of ${name} matches ${version}`);
+    }
+    const packageData = JSON.parse(stdout);
+    if (!Array.isArray(packageData)) {
+      return packageData;
+    }
+    return packageData.reduce((highest, entry) => (
+      semver.gt(entry.version, highest.version) ? entry : highest
+    ));
+  }
+
+  /**
+   * Install a pip package without its dependencies into a throwaway virtual
+   * environment and run a callback against it
+   * @param {string} name - Distribution name
+   * @param {string} version - Version, or 'latest'
+   * @param {string|null} registry - Registry profile name
+   * @param {Function} callback - Called with the virtual environment directory
+   * @returns {Promise<*>} - Callback result
+   */
+  async withPipInstall(name, version, registry, callback) {
+    // Create a temporary directory for installation
+    const tempDir = path.join(__dirname, '..', 'temp', `pip_${Date.now()}`);
+    fs.mkdirSync(tempDir, { recursive: true });
+    
+    // Create a virtual environment using uv
+    const venvDir = path.join(tempDir, 'venv');
+    
+    try {
+      // Create virtual environment
+      await runProcess('uv', ['venv', venvDir], {
+        timeout: 30000
+      });
+      
+      const versionSpec = version === 'latest' ? name : `${name}==${version}`;
+      const registryOptions = this.getPipRegistryOptions(registry);
+      
+      // Install package in the virtual environment
+      await runProcess('uv', ['pip', 'install', '--no-deps', '--', versionSpec], {
+        timeout: 60000,
+        env: { ...this.getVenvEnv(venvDir), ...registryOptions.env },
+        secrets: registryOptions.secrets
+      });
+      
+      return await callback(venvDir);
+    } finally {
+      // Clean up temp directory
+      try {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      } catch (cleanupError) {
+        console.warn('Failed to cleanup temp directory:', cleanupError.message);
+      }
+    }
+  }
+
+  /**
+   * List the commands a package version can be built for: npm `bin` entries
+   * or pip `console_scripts`
+   * @param {string} name - Package name
+   * @param {string} repositoryManager - 'npm' or 'pip'
+   * @param {string} [version] - Version, defaults to 'latest'
+   * @param {string|null} [registry] - Registry profile name
+   * @returns {Promise<Object|null>} - { name, version, repositoryManager, commands }, or null when the package is not found
+   */
+  async getPackageCommands(name, repositoryManager, version = 'latest', registry = null) {
+    try {
+      let packageData;
+      let commands;
+
+      if (repositoryManager === 'npm') {
+        const versionSpec = version === 'latest' ? name : `${name}@${version}`;
+        const registryOptions = this.getNpmRegistryOptions(registry);
+        const { stdout } = await runProcess('npm', ['view', '--json', ...registryOptions.args, '--', versionSpec, 'name', 'version', 'bin'], {
+          timeout: 30000,
+          env: registryOptions.env,
+          secrets: registryOptions.secrets
+        });
+        packageData = this.parseNpmView(stdout, name, version);
+        commands = this.getNpmBinCommands(packageData.name, packageData.bin);
+      } else if (repositoryManager === 'pip') {
+        ({ packageData, commands } = await this.withPipInstall(name, version, registry, async (venvDir) => {
+          const { stdout } = await runProcess('uv', ['pip', 'show', name], {
+            timeout: 30000,
+            env: this.getVenvEnv(venvDir)
+          });
+          return {
+            packageData: this.parsePipShowOutput(stdout),
+            commands: this.getPipEntryPoints(venvDir, name)
+          };
+        }));
+      } else {
+        throw new Error('Unsupported repository manager');
+      }
+
+      const defaultCommand = this.getDefaultCommand(packageData.name, commands);
+      return {
+        name: packageData.name,
+        version: packageData.version,
+        repositoryManager,
+        commands: commands.map(command => ({
+          name: command.name,
+          default: command === defaultCommand
+        }))
+      };
+    } catch (error) {
+      console.error(`Failed to get commands for ${name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a package.json `bin` field into a list of commands.
+   * A string `bin` is installed under the package name without its scope.
+   * Names that are not valid command names are dropped, since they end up in
+   * file names and the stored command.
+   * @param {string} name - Package name
+   * @param {string|Object} [bin] - `bin` field
+   * @returns {Array<{name: string, path: string}>} - Commands
+   */
+  getNpmBinCommands(name, bin) {
+    if (!bin) {
+      return [];
+    }
+    const commands = typeof bin === 'string'
+      ? [{ name: name.replace(/^@[^/]+\//, ''), path: bin }]
+      : Object.entries(bin)
+        .filter(([, binPath]) => typeof binPath === 'string' && binPath)
+        .map(([commandName, binPath]) => ({ name: commandName, path: binPath }));
+    return commands.filter(command => isValidCommandName(command.name));
+  }
+
+  /**
+   * The command built when a request names none: the one named like the
+   * package (ignoring its npm scope), otherwise the first one declared
+   * @param {string} name - Package name
+   * @param {Array<{name: string}>} commands - Available commands
+   * @returns {Object|null} - Default command
+   */
+  getDefaultCommand(name, commands) {
+    // Compare names normalized as in PEP 503, which is harmless for npm names
+    const normalize = (value) => value.toLowerCase().replace(/[-_.]+/g, '-');
+    const packageName = normalize(name.replace(/^@[^/]+\//, ''));
+    return commands.find(command => normalize(command.name) === packageName) || commands[0] || null;
+  }
+
+  /**
+   * npm arguments and environment for installing from a registry profile.
+   * The profile is written to a generated userconfig file that references the
+   * token through an environment variable, so the token never appears in
+   * arguments or on disk.
+   * @param {string|null} registry - Registry profile name
+   * @returns {{args: string[], env: Object, secrets: string[]}}
+   */
+  getNpmRegistryOptions(registry) {
+    const profile = registry ? getRegistryProfile(registry, 'npm') : null;
+    if (!profile) {
+      return { args: [], env: process.env, secrets: [] };
+    }
+
+    const registryUrl = new URL(profile.registry);
+    const lines = [];
+    if (profile.token) {
+      // Auth settings are keyed by the registry URL without its protocol
+      const authPath = registryUrl.pathname.endsWith('/') ? registryUrl.pathname : `${registryUrl.pathname}/`;
+      lines.push(`//${registryUrl.host}${authPath}:_authToken=\${MODULEVAULT_NPM_TOKEN}`);
+    }
+
+    const configDir = path.join(__dirname, '..', 'temp', 'registries');
+    fs.mkdirSync(configDir, { recursive: true });
+    const userConfigPath = path.join(configDir, `${registry}.npmrc`);
+    fs.writeFileSync(userConfigPath, `${lines.join('\n')}\n`);
+
+    return {
+      // --registry also overrides NPM_CONFIG_REGISTRY from the environment
+      args: ['--userconfig', userConfigPath, '--registry', registryUrl.toString()],
+      env: profile.token ? { ...process.env, MODULEVAULT_NPM_TOKEN: profile.token } : process.env,
+      secrets: getRegistrySecrets(profile)
+    };
+  }
+
+  /**
+   * uv environment variables for installing from a registry profile.
+   * Index URLs are passed through the environment because they may carry credentials.
+   * @param {string|null} registry - Registry profile name
+   * @returns {{env: Object, secrets: string[]}} - env holds only the variables to add
+   */
+  getPipRegistryOptions(registry) {
+    const profile = registry ? getRegistryProfile(registry, 'pip') : null;
+    if (!profile) {
+      return { env: {}, secrets: [] };
+    }
+
+    const env = {};
+    if (profile.indexUrl) {
+      env.UV_INDEX_URL = profile.indexUrl;
+    }
+    if (profile.extraIndexUrls.length > 0) {
+      env.UV_EXTRA_INDEX_URL = profile.extraIndexUrls.join(' ');
+    }
+    return { env, secrets: getRegistrySecrets(profile) };
+  }
+
+  /**
+   * Environment equivalent to activating a virtual environment
+   * @param {string} venvDir - Virtual environment directory
+   * @returns {Object} - Environment variables
+   */
+  getVenvEnv(venvDir) {
+    const binDir = process.platform === 'win32'
+      ? path.join(venvDir, 'Scripts')
+      : path.join(venvDir, 'bin');
+    return {
+      ...process.env,
+      VIRTUAL_ENV: venvDir,
+      PATH: `${binDir}${path.delimiter}${process.env.PATH}`
+    };
+  }
+
   parsePipShowOutput(output) {
     const lines = output.split('\n');
     const packageData = {};
@@ -170,6 +387,26 @@ class PackageService {
     }
   }
 
+  /**
+   * Arguments of the npm install that fetches a package and its dependencies.
+   * Uploaded tarballs are installed from the stored archive without lifecycle
+   * scripts, so their preinstall/postinstall code never runs on the build host.
+   * @param {Object} packageInfo - Package information
+   * @param {string} prefix - Install prefix
+   * @param {string[]} registryArgs - From getNpmRegistryOptions
+   * @returns {string[]}
+   */
+  getNpmInstallArgs(packageInfo, prefix, registryArgs) {
+    const uploaded = packageInfo.source === 'upload';
+    const packageSpec = uploaded ? packageInfo.archivePath : `${packageInfo.name}@${packageInfo.version}`;
+    return [
+      'install', '--prefix', prefix, '--production',
+      ...(uploaded ? ['--ignore-scripts'] : []),
+      ...registryArgs,
+      '--', packageSpec
+    ];
+  }
+
   async downloadNpmPackage(packageInfo, targetDir) {
     // Always use a flat directory for npm install (no @ or / in the name)
     // If the package name is scoped (e.g., @scope/pkg), use only the last part for the directory
@@ -184,11 +421,12 @@ class PackageService {
     if (!fs.existsSync(packageJsonPath)) {
       fs.writeFileSync(packageJsonPath, JSON.stringify({ name: "temp-npm-install", version: "1.0.0" }, null, 2));
     }
-    const packageSpec = `${packageInfo.name}@${packageInfo.version}`;
-    execSync(`npm install ${packageSpec} --prefix ${flatTargetDir} --production`, {
-      encoding: 'utf8',
+    const registryOptions = this.getNpmRegistryOptions(packageInfo.registry);
+    await runProcess('npm', this.getNpmInstallArgs(packageInfo, flatTargetDir, registryOptions.args), {
       timeout: 120000,
-      cwd: flatTargetDir
+      cwd: flatTargetDir,
+      env: registryOptions.env,
+      secrets: registryOptions.secrets
     });
     // Copy installed node_modules to the original targetDir
     const srcNodeModules = path.join(flatTargetDir, 'node_modules');
@@ -204,29 +442,110 @@ class PackageService {
   }
 
   async downloadPipPackage(packageInfo, targetDir) {
-    const packageSpec = `${packageInfo.name}==${packageInfo.version}`;
+    // Uploaded wheels and sdists are installed from the stored archive
+    const packageSpec = packageInfo.archivePath || `${packageInfo.name}==${packageInfo.version}`;
     
     // Create a virtual environment in the target directory
     const venvDir = path.join(targetDir, 'venv');
     
     // Create the virtual environment using uv
-    execSync(`uv venv ${venvDir}`, {
-      encoding: 'utf8',
+    await runProcess('uv', ['venv', venvDir], {
       timeout: 30000
     });
     
-    // Build the activation command based on platform
-    const activateCmd = process.platform === 'win32' 
-      ? `${path.join(venvDir, 'Scripts', 'activate.bat')} &&` 
-      : `. ${path.join(venvDir, 'bin', 'activate')} &&`;
-    
-    // Install the package in the virtual environment
-    execSync(`${activateCmd} uv pip install ${packageSpec} --no-deps`, {
-      encoding: 'utf8',
-      timeout: 120000,
-      shell: true
+    // Install the package with its full dependency tree so PyInstaller can bundle it
+    const registryOptions = this.getPipRegistryOptions(packageInfo.registry);
+    await runProcess('uv', ['pip', 'install', '--', packageSpec], {
+      timeout: 300000,
+      env: { ...this.getVenvEnv(venvDir), ...registryOptions.env },
+      secrets: registryOptions.secrets
     });
   }
+
+  /**
+   * Locate the site-packages directory of a virtual environment
+   * @param {string} venvDir - Virtual environment directory
+   * @returns {string} - site-packages path
+   */
+  findSitePackages(venvDir) {
+    if (process.platform === 'win32') {
+      return path.join(venvDir, 'Lib', 'site-packages');
+    }
+    const libDir = path.join(venvDir, 'lib');
+    const pythonDir = fs.readdirSync(libDir).find(dir => dir.startsWith('python'));
+    if (!pythonDir) {
+      throw new Error(`No Python installation found in ${venvDir}`);
+    }
+    return path.join(libDir, pythonDir, 'site-packages');
+  }
+
+  /**
+   * Locate the installed .dist-info directory of a distribution
+   * @param {string} venvDir - Virtual environment directory
+   * @param {string} name - Distribution name
+   * @returns {string|null} - dist-info path, or null when not installed
+   */
+  findDistInfo(venvDir, name) {
+    // Compare names normalized as in PEP 503
+    const normalize = (value) => value.toLowerCase().replace(/[-_.]+/g, '-');
+    const sitePackages = this.findSitePackages(venvDir);
+    const distInfo = fs.readdirSync(sitePackages).find(dir =>
+      dir.endsWith('.dist-info') && normalize(dir.split('-')[0]) === normalize(name)
+    );
+    return distInfo ? path.join(sitePackages, distInfo) : null;
+  }
+
+  /**
+   * Read the console_scripts entry points of an installed distribution
+   * @param {string} venvDir - Virtual environment directory
+   * @param {string} name - Distribution name
+   * @returns {Array<{name: string, module: string, attr: string|null}>} - Console scripts
+   */
+  getPipEntryPoints(venvDir, name) {
+    const distInfo = this.findDistInfo(venvDir, name);
+    if (!distInfo) {
+      throw new Error(`Installed metadata for ${name} not found`);
+    }
+    const entryPointsPath = path.join(distInfo, 'entry_points.txt');
+    if (!fs.existsSync(entryPointsPath)) {
+      return [];
+    }
+    return this.parseConsoleScripts(fs.readFileSync(entryPointsPath, 'utf8'));
+  }
+
+  /**
+   * Parse the [console_scripts] section of an entry_points.txt file.
+   * Scripts whose names are not valid command names are skipped.
+   * @param {string} content - File content (INI format)
+   * @returns {Array<{name: string, module: string, attr: string|null}>} - Console scripts
+   */
+  parseConsoleScripts(content) {
+    const scripts = [];
+    let section = null;
+
+    for (const rawLine of content.split('\n')) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith(';')) {
+        continue;
+      }
+      const sectionMatch = line.match(/^\[(.+)\]$/);
+      if (sectionMatch) {
+        section = sectionMatch[1].trim();
+        continue;
+      }
+      if (section !== 'console_scripts') {
+        continue;
+      }
+
+      // name = module.path:object.attr [extra1, extra2]
+      const match = line.match(/^([^=\s]+)\s*=\s*([\w.]+)(?:\s*:\s*([\w.]+))?\s*(?:\[.*\])?$/);
+      if (match && isValidCommandName(match[1])) {
+        scripts.push({ name: match[1], module: match[2], attr: match[3] || null });
+      }
+    }
+
+    return scripts;
+  }
 }
 
 export default new PackageService();
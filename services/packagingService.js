@@ -0,0 +1,340 @@
+import fs from "fs";
+import path from "path";
+import licenseService from "./licenseService.js";
+import { runProcess } from "../utils/processRunner.js";
+
+const LICENSE_FILE = /^(licen[cs]e|copying|notice)([-._].*)?$/i;
+const README_FILE = /^readme([-._].*)?$/i;
+// Document names end up in package file lists; anything else is left out
+const SAFE_FILE_NAME = /^[A-Za-z0-9._+-]+$/;
+
+const DEFAULT_MAINTAINER = "ModuleVault <packages@modulevault.local>";
+const INSTALL_DIR = "/usr/local/bin";
+
+const EXTENSIONS = {
+  "tar.gz": ".tar.gz",
+  zip: ".zip",
+  deb: ".deb",
+  rpm: ".rpm",
+  appimage: ".AppImage",
+};
+
+const ARCHITECTURES = {
+  deb: { x64: "amd64", arm64: "arm64" },
+  rpm: { x64: "x86_64", arm64: "aarch64" },
+  appimage: { x64: "x86_64", arm64: "aarch64" },
+};
+
+// Placeholder icon; AppImages must ship one
+const APPIMAGE_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">
+<rect width="256" height="256" rx="32" fill="#2d3748"/>
+<path d="M64 88l48 40-48 40" stroke="#fff" stroke-width="20" fill="none" stroke-linecap="round" stroke-linejoin="round"/>
+<path d="M128 176h64" stroke="#fff" stroke-width="20" stroke-linecap="round"/>
+</svg>
+`;
+
+/**
+ * Wraps built executables into the output format requested for a target.
+ *
+ *   tar.gz, zip  <name>-<version>/ with the executable and the package's
+ *                license and README files
+ *   deb, rpm     a package installing the executable to /usr/local/bin, with
+ *                metadata generated from the package information
+ *   appimage     an AppImage running the executable in a terminal
+ *
+ * Archives can be made for every os; deb, rpm and AppImage only for Linux.
+ * Each format needs its tool on the build server: tar, zip, dpkg-deb,
+ * rpmbuild or appimagetool.
+ */
+class PackagingService {
+  getExtension(format) {
+    return EXTENSIONS[format] || "";
+  }
+
+  /**
+   * Wrap an executable
+   * @param {string} executablePath - Built executable
+   * @param {Object} packageInfo - Package information of the build
+   * @param {Object} target - Build target, with the format to produce
+   * @param {Object} context
+   * @param {string} context.workDir - Build work directory after the installing phase
+   * @param {string|null} context.command - Packaged command
+   * @param {Object} context.sbom - SBOM of the build; its root component carries the license
+   * @param {Function} [context.onOutput] - Called with (stream, line) for output of the packaging tools
+   * @returns {Promise<string>} - Path of the wrapped artifact
+   */
+  async wrap(executablePath, packageInfo, target, context) {
+    const outputDir = path.resolve(context.workDir, "output");
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const metadata = this.getMetadata(executablePath, packageInfo, target, context);
+    switch (target.format) {
+      case "tar.gz":
+      case "zip":
+        return this.createArchive(executablePath, metadata, target.format, outputDir, context);
+      case "deb":
+        return this.createDeb(executablePath, metadata, target, outputDir, context);
+      case "rpm":
+        return this.createRpm(executablePath, metadata, target, outputDir, context);
+      case "appimage":
+        return this.createAppImage(executablePath, metadata, target, outputDir, context);
+      default:
+        throw new Error(`Unsupported output format: ${target.format}`);
+    }
+  }
+
+  getMetadata(executablePath, packageInfo, target, { workDir, command, sbom }) {
+    const root = sbom.metadata.component;
+    const licenses = (root.licenses || []).map(
+      (entry) => entry.expression || entry.license.id || entry.license.name
+    );
+    const binaryName = path.basename(executablePath);
+    // One package per packaged command, so several commands can be installed side by side
+    const baseName = command && command !== packageInfo.name ? `${packageInfo.name}-${command}` : packageInfo.name;
+
+    return {
+      name: packageInfo.name,
+      version: packageInfo.version,
+      packageName: baseName.toLowerCase().replace(/[^a-z0-9.+-]+/g, "-").replace(/^[^a-z0-9]+/, ""),
+      binaryName,
+      description: packageInfo.description || `${packageInfo.name} packaged as a standalone executable`,
+      license: licenses.join(" OR ") || "Unknown",
+      documents: this.findDocuments(packageInfo, workDir, root),
+    };
+  }
+
+  /**
+   * License and README files of the package itself, for the archive root or
+   * /usr/share/doc. pip packages carry their README as the body of METADATA.
+   * @returns {Array<{name: string, filePath: string|null, content: string|null}>}
+   */
+  findDocuments(packageInfo, workDir, root) {
+    const packageDir = licenseService.findPackageDirs(packageInfo, workDir).get(root["bom-ref"]);
+    if (!packageDir) {
+      return [];
+    }
+
+    const documents = [];
+    const addFrom = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const isDocument = (LICENSE_FILE.test(entry.name) || README_FILE.test(entry.name)) && SAFE_FILE_NAME.test(entry.name);
+        if (entry.isFile() && isDocument && !documents.some((document) => document.name === entry.name)) {
+          documents.push({ name: entry.name, filePath: path.join(dir, entry.name), content: null });
+        }
+      }
+    };
+    addFrom(packageDir);
+    addFrom(path.join(packageDir, "licenses"));
+
+    const metadataPath = path.join(packageDir, "METADATA");
+    if (!documents.some((document) => README_FILE.test(document.name)) && fs.existsSync(metadataPath)) {
+      const metadata = fs.readFileSync(metadataPath, "utf8");
+      const separator = metadata.search(/\r?\n\r?\n/);
+      const body = separator === -1 ? "" : metadata.substring(separator).trim();
+      if (body) {
+        documents.push({ name: "README.txt", filePath: null, content: `${body}\n` });
+      }
+    }
+    return documents.sort((left, right) => left.name.localeCompare(right.name));
+  }
+
+  writeDocuments(documents, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const document of documents) {
+      const targetPath = path.join(dir, document.name);
+      if (document.filePath) {
+        fs.copyFileSync(document.filePath, targetPath);
+      } else {
+        fs.writeFileSync(targetPath, document.content);
+      }
+    }
+  }
+
+  installExecutable(executablePath, targetPath) {
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.copyFileSync(executablePath, targetPath);
+    fs.chmodSync(targetPath, 0o755);
+  }
+
+  async createArchive(executablePath, metadata, format, outputDir, { onOutput }) {
+    const stagingDir = path.join(outputDir, "staging");
+    const topDir = `${metadata.packageName}-${metadata.version}`;
+    const contentDir = path.join(stagingDir, topDir);
+    this.installExecutable(executablePath, path.join(contentDir, metadata.binaryName));
+    this.writeDocuments(metadata.documents, contentDir);
+
+    const archivePath = path.join(outputDir, `${topDir}${this.getExtension(format)}`);
+    if (format === "tar.gz") {
+      await this.runTool("tar", ["-czf", archivePath, "--owner=0", "--group=0", "-C", stagingDir, "--", topDir], {
+        timeout: 300000,
+        onOutput,
+      });
+    } else {
+      await this.runTool("zip", ["-r", "-X", "-q", archivePath, topDir], {
+        cwd: stagingDir,
+        timeout: 300000,
+        onOutput,
+      });
+    }
+    return archivePath;
+  }
+
+  // Debian versions must start with a digit; pre-releases sort before "~"
+  getDebVersion(version) {
+    const debVersion = version.replace(/-/g, "~").replace(/[^A-Za-z0-9.+~]/g, ".");
+    return /^[0-9]/.test(debVersion) ? debVersion : `0~${debVersion}`;
+  }
+
+  async createDeb(executablePath, metadata, target, outputDir, { onOutput }) {
+    const rootDir = path.join(outputDir, "deb");
+    this.installExecutable(executablePath, path.join(rootDir, INSTALL_DIR.substring(1), metadata.binaryName));
+    this.writeDocuments(metadata.documents, path.join(rootDir, "usr", "share", "doc", metadata.packageName));
+
+    const installedSize = Math.ceil(fs.statSync(executablePath).size / 1024);
+    const control = [
+      `Package: ${metadata.packageName}`,
+      `Version: ${this.getDebVersion(metadata.version)}`,
+      `Architecture: ${ARCHITECTURES.deb[target.arch]}`,
+      `Maintainer: ${process.env.PACKAGE_MAINTAINER || DEFAULT_MAINTAINER}`,
+      `Installed-Size: ${installedSize}`,
+      "Section: utils",
+      "Priority: optional",
+      `Description: ${this.singleLine(metadata.description)}`,
+      ` ${this.singleLine(`Standalone executable of ${metadata.name} ${metadata.version} (license: ${metadata.license}).`)}`,
+    ].join("\n");
+    fs.mkdirSync(path.join(rootDir, "DEBIAN"), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, "DEBIAN", "control"), `${control}\n`);
+
+    const debPath = path.join(outputDir, `${metadata.packageName}${this.getExtension("deb")}`);
+    await this.runTool("dpkg-deb", ["--build", "--root-owner-group", rootDir, debPath], {
+      timeout: 300000,
+      onOutput,
+    });
+    return debPath;
+  }
+
+  // RPM versions cannot contain "-"
+  getRpmVersion(version) {
+    return version.replace(/-/g, "~").replace(/[^A-Za-z0-9._+~^]/g, ".");
+  }
+
+  async createRpm(executablePath, metadata, target, outputDir, { onOutput }) {
+    const topDir = path.join(outputDir, "rpmbuild");
+    const sourceDir = path.join(topDir, "SOURCES", "root");
+    const docDir = `/usr/share/doc/${metadata.packageName}`;
+    this.installExecutable(executablePath, path.join(sourceDir, INSTALL_DIR.substring(1), metadata.binaryName));
+    this.writeDocuments(metadata.documents, path.join(sourceDir, docDir.substring(1)));
+
+    const files = [
+      `%attr(0755, root, root) ${INSTALL_DIR}/${metadata.binaryName}`,
+      ...metadata.documents.map((document) => `%doc ${docDir}/${this.rpmText(document.name)}`),
+    ];
+    const spec = [
+      `Name: ${metadata.packageName}`,
+      `Version: ${this.getRpmVersion(metadata.version)}`,
+      "Release: 1",
+      `Summary: ${this.rpmText(metadata.description)}`,
+      `License: ${this.rpmText(metadata.license)}`,
+      `Packager: ${process.env.PACKAGE_MAINTAINER || DEFAULT_MAINTAINER}`,
+      // pkg and PyInstaller binaries break when stripped, and bundle their dependencies
+      "AutoReqProv: no",
+      "%global __strip /bin/true",
+      "%global __brp_strip /bin/true",
+      "%global debug_package %{nil}",
+      "%define _build_id_links none",
+      "",
+      "%description",
+      this.rpmText(`Standalone executable of ${metadata.name} ${metadata.version}.`),
+      "",
+      "%install",
+      "cp -a %{_sourcedir}/root/. %{buildroot}/",
+      "",
+      "%files",
+      ...files,
+      "",
+    ].join("\n");
+    fs.mkdirSync(path.join(topDir, "SPECS"), { recursive: true });
+    const specPath = path.join(topDir, "SPECS", `${metadata.packageName}.spec`);
+    fs.writeFileSync(specPath, spec);
+
+    await this.runTool("rpmbuild", [
+      "-bb",
+      "--define", `_topdir ${topDir}`,
+      "--target", ARCHITECTURES.rpm[target.arch],
+      specPath,
+    ], {
+      timeout: 300000,
+      onOutput,
+    });
+
+    const rpmDir = path.join(topDir, "RPMS", ARCHITECTURES.rpm[target.arch]);
+    const rpmFile = fs.existsSync(rpmDir) && fs.readdirSync(rpmDir).find((file) => file.endsWith(".rpm"));
+    if (!rpmFile) {
+      throw new Error("rpmbuild did not produce a package");
+    }
+    return path.join(rpmDir, rpmFile);
+  }
+
+  async createAppImage(executablePath, metadata, target, outputDir, { onOutput }) {
+    const appDir = path.join(outputDir, "AppDir");
+    const name = metadata.packageName;
+    this.installExecutable(executablePath, path.join(appDir, "usr", "bin", metadata.binaryName));
+    this.writeDocuments(metadata.documents, path.join(appDir, "usr", "share", "doc", name));
+
+    fs.writeFileSync(
+      path.join(appDir, "AppRun"),
+      `#!/bin/sh\nHERE="$(dirname "$(readlink -f "$0")")"\nexec "$HERE/usr/bin/${metadata.binaryName}" "$@"\n`,
+      { mode: 0o755 }
+    );
+    const desktopEntry = [
+      "[Desktop Entry]",
+      "Type=Application",
+      `Name=${metadata.name}`,
+      `Comment=${this.singleLine(metadata.description)}`,
+      `Exec=${metadata.binaryName}`,
+      `Icon=${name}`,
+      "Terminal=true",
+      "Categories=Utility;",
+    ].join("\n");
+    fs.writeFileSync(path.join(appDir, `${name}.desktop`), `${desktopEntry}\n`);
+    fs.writeFileSync(path.join(appDir, `${name}.svg`), APPIMAGE_ICON);
+
+    const appImagePath = path.join(outputDir, `${name}${this.getExtension("appimage")}`);
+    await this.runTool("appimagetool", ["--no-appstream", appDir, appImagePath], {
+      timeout: 300000,
+      // appimagetool is itself an AppImage; extracting it avoids needing FUSE
+      env: { ...process.env, ARCH: ARCHITECTURES.appimage[target.arch], APPIMAGE_EXTRACT_AND_RUN: "1" },
+      onOutput,
+    });
+    return appImagePath;
+  }
+
+  // Packaging tools are optional installs on the build server; every external packager runs through here
+  async runTool(command, args, options) {
+    try {
+      return await runProcess(command, args, options);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`${command} is not installed on the build server`);
+      }
+      throw error;
+    }
+  }
+
+  // Package metadata comes from the registry: keep it to one line of printable text
+  singleLine(text) {
+    return String(text).replace(/[\s\x00-\x1f\x7f]+/g, " ").trim();
+  }
+
+  // rpmbuild expands macros such as %{...} and %(shell command) everywhere in a spec, header tags included
+  rpmText(text) {
+    return this.singleLine(text).replace(/%/g, "%%");
+  }
+}
+
+const packagingService = new PackagingService();
+export default packagingService;
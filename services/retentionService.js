@@ -0,0 +1,340 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import getExecutableModel from "../models/Executable.js";
+import getBuildJobModel, { ACTIVE_BUILD_JOB_STATES } from "../models/BuildJob.js";
+import storageService from "./storageService.js";
+import { GC_INTERVAL_MINUTES, getRetentionPolicy } from "../config/retention.js";
+import { compareVersions } from "../utils/versionUtils.js";
+import logger from "../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Builds store their files shortly before the executable is recorded
+const ORPHANED_FILE_GRACE_MS = HOUR_MS;
+// Entries of temp/ that are not build leftovers
+const TEMP_KEEP = ["uploads", "registries"];
+const UPLOADS_INCOMING = "incoming";
+
+/**
+ * Garbage collection of stored executables and of build leftovers in temp/.
+ *
+ * A run first computes a plan from the retention policy
+ * (config/retention.js), then deletes the executables it selects together
+ * with their .sig, .cdx.json and .licenses.json files, stored files no
+ * executable refers to, executables whose file is missing from storage, and
+ * old entries of temp/. Records are deleted before their files, so a failed
+ * deletion leaves an orphaned file that the next run removes rather than a
+ * record pointing at nothing. Build jobs keep their history but lose the
+ * link to a deleted executable.
+ */
+class RetentionService {
+  constructor() {
+    this.tempDir = path.join(__dirname, "..", "temp");
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Run the garbage collector every GC_INTERVAL_MINUTES
+   */
+  start() {
+    if (this.timer || GC_INTERVAL_MINUTES === 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.run().catch((error) => {
+        logger.error("Garbage collection failed", {
+          error: { message: error.message, stack: error.stack, name: error.name },
+        });
+      });
+    }, GC_INTERVAL_MINUTES * 60 * 1000);
+    // Never keep the process alive just for the collector
+    this.timer.unref();
+    logger.info("Scheduled garbage collection", { intervalMinutes: GC_INTERVAL_MINUTES, policy: getRetentionPolicy() });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * What a run would delete, without deleting anything
+   * @returns {Promise<Object>} - Report, see run()
+   */
+  async getReport() {
+    const plan = await this.plan();
+    return this.createReport(plan, { dryRun: true, startedAt: plan.createdAt, errors: [] });
+  }
+
+  /**
+   * Apply the retention policy
+   * @returns {Promise<Object|null>} - { dryRun, startedAt, finishedAt, policy, executables, orphanedFiles, tempEntries, totals, errors }, or null when a run is already in progress
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const startedAt = new Date();
+      const plan = await this.plan();
+      const errors = [];
+      const attempt = async (item, action) => {
+        try {
+          await action();
+        } catch (error) {
+          errors.push({ item, message: error.message });
+        }
+      };
+
+      const Executable = getExecutableModel();
+      const BuildJob = getBuildJobModel();
+      const executableIds = plan.executables.map((entry) => entry.executable._id);
+      if (executableIds.length > 0) {
+        await Executable.deleteMany({ _id: { $in: executableIds } });
+        await BuildJob.updateMany(
+          { executable: { $in: executableIds } },
+          { executable: null, downloadUrl: null }
+        );
+      }
+      for (const key of plan.executables.flatMap((entry) => entry.files)) {
+        await attempt(key, () => storageService.delete(key));
+      }
+      for (const file of plan.orphanedFiles) {
+        await attempt(file.key, () => storageService.delete(file.key));
+      }
+      for (const entry of plan.tempEntries) {
+        await attempt(entry.path, () => fs.promises.rm(path.join(this.tempDir, entry.path), { recursive: true, force: true }));
+      }
+
+      const report = this.createReport(plan, { dryRun: false, startedAt, errors });
+      this.lastRun = { ...report.totals, startedAt, finishedAt: report.finishedAt, errors: errors.length };
+      const logMethod = errors.length > 0 ? "warn" : "info";
+      logger[logMethod]("Garbage collection finished", { totals: report.totals, errors });
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      policy: getRetentionPolicy(),
+      intervalMinutes: GC_INTERVAL_MINUTES,
+      running: this.running,
+      lastRun: this.lastRun,
+    };
+  }
+
+  /**
+   * Select everything a run deletes
+   * @returns {Promise<{createdAt: Date, executables: Array, orphanedFiles: Array, tempEntries: Array}>}
+   */
+  async plan() {
+    const createdAt = new Date();
+    const policy = getRetentionPolicy();
+    const Executable = getExecutableModel();
+    const executables = await Executable.find(
+      {},
+      "name version repositoryManager registry os arch nodeVersion command format fileName fileSize sbomFileName licenseReportFileName lastDownloadedAt createdAt"
+    ).lean();
+    const storedFiles = await storageService.list();
+    const storedKeys = new Set(storedFiles.map((file) => file.key));
+
+    const reasons = new Map(executables.map((executable) => [executable._id.toString(), []]));
+    const addReason = (executable, reason) => reasons.get(executable._id.toString()).push(reason);
+
+    for (const executable of executables) {
+      if (!storedKeys.has(executable.fileName)) {
+        addReason(executable, "missing");
+      }
+    }
+
+    if (policy.maxIdleDays > 0) {
+      const idleSince = createdAt.getTime() - policy.maxIdleDays * DAY_MS;
+      for (const executable of executables) {
+        // Executables never downloaded since they were built count from the build
+        const lastUsed = executable.lastDownloadedAt || executable.createdAt;
+        if (lastUsed.getTime() < idleSince) {
+          addReason(executable, "idle");
+        }
+      }
+    }
+
+    if (policy.keepVersions > 0) {
+      for (const group of this.groupByTarget(executables).values()) {
+        const versions = [...new Set(group.map((executable) => executable.version))]
+          .sort((left, right) => this.compareNewestFirst(group, left, right));
+        const kept = new Set(versions.slice(0, policy.keepVersions));
+        for (const executable of group) {
+          if (!kept.has(executable.version)) {
+            addReason(executable, "superseded");
+          }
+        }
+      }
+    }
+
+    const selected = executables
+      .filter((executable) => reasons.get(executable._id.toString()).length > 0)
+      .map((executable) => ({
+        executable,
+        reasons: reasons.get(executable._id.toString()),
+        files: this.getFiles(executable).filter((key) => storedKeys.has(key)),
+      }));
+
+    const referencedKeys = new Set(executables.flatMap((executable) => this.getFiles(executable)));
+    const orphanedBefore = createdAt.getTime() - ORPHANED_FILE_GRACE_MS;
+    const orphanedFiles = storedFiles.filter(
+      (file) => !referencedKeys.has(file.key) && file.lastModified.getTime() < orphanedBefore
+    );
+
+    return {
+      createdAt,
+      executables: selected,
+      orphanedFiles,
+      tempEntries: await this.findTempEntries(createdAt, policy),
+    };
+  }
+
+  // Executables of the same package and target, across versions
+  groupByTarget(executables) {
+    const groups = new Map();
+    for (const executable of executables) {
+      const key = [
+        executable.repositoryManager,
+        executable.registry || "",
+        executable.name,
+        executable.os,
+        executable.arch,
+        executable.nodeVersion || "",
+        executable.command || "",
+        executable.format || "binary",
+      ].join(":");
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(executable);
+    }
+    return groups;
+  }
+
+  // Version order, or build order for versions that cannot be compared
+  compareNewestFirst(group, left, right) {
+    const comparison = compareVersions(group[0].repositoryManager, left, right);
+    if (comparison !== null && comparison !== 0) {
+      return -comparison;
+    }
+    const builtAt = (version) => Math.max(
+      ...group.filter((executable) => executable.version === version).map((executable) => executable.createdAt.getTime())
+    );
+    return builtAt(right) - builtAt(left);
+  }
+
+  // Storage keys of an executable and the files stored next to it
+  getFiles(executable) {
+    return [
+      executable.fileName,
+      `${executable.fileName}.sig`,
+      executable.sbomFileName,
+      executable.licenseReportFileName,
+    ].filter(Boolean);
+  }
+
+  /**
+   * Entries of temp/ older than TEMP_MAX_AGE_HOURS: build work directories,
+   * npm install and pip directories, smoke test scratch directories, and
+   * uploads no active build job uses
+   * @returns {Promise<Array<{path: string, modifiedAt: Date}>>} - Paths relative to temp/
+   */
+  async findTempEntries(now, policy) {
+    if (policy.tempMaxAgeHours === 0 || !fs.existsSync(this.tempDir)) {
+      return [];
+    }
+    const olderThan = now.getTime() - policy.tempMaxAgeHours * HOUR_MS;
+    const entries = [];
+    const collect = async (relativeDir, skip) => {
+      const dir = path.join(this.tempDir, relativeDir);
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const name of await fs.promises.readdir(dir)) {
+        if (skip.includes(name)) {
+          continue;
+        }
+        const entryPath = path.join(relativeDir, name);
+        const stats = await fs.promises.lstat(path.join(this.tempDir, entryPath));
+        if (stats.mtime.getTime() < olderThan) {
+          entries.push({ path: entryPath, modifiedAt: stats.mtime });
+        }
+      }
+    };
+
+    // Uploads stay until the job that builds them finishes
+    const BuildJob = getBuildJobModel();
+    const activeJobs = await BuildJob.find(
+      { state: { $in: ACTIVE_BUILD_JOB_STATES } },
+      "archivePath projectPath"
+    ).lean();
+    const activeUploads = activeJobs
+      .map((job) => job.archivePath || job.projectPath)
+      .filter(Boolean)
+      .map((uploadPath) => path.basename(path.dirname(uploadPath)));
+
+    await collect("", TEMP_KEEP);
+    await collect("uploads", [UPLOADS_INCOMING, ...activeUploads]);
+    await collect(path.join("uploads", UPLOADS_INCOMING), []);
+    return entries;
+  }
+
+  createReport(plan, { dryRun, startedAt, errors }) {
+    const executables = plan.executables.map(({ executable, reasons, files }) => ({
+      id: executable._id,
+      name: executable.name,
+      version: executable.version,
+      repositoryManager: executable.repositoryManager,
+      registry: executable.registry,
+      os: executable.os,
+      arch: executable.arch,
+      nodeVersion: executable.nodeVersion,
+      command: executable.command,
+      format: executable.format || "binary",
+      fileName: executable.fileName,
+      fileSize: executable.fileSize,
+      lastDownloadedAt: executable.lastDownloadedAt || null,
+      createdAt: executable.createdAt,
+      reasons,
+      files,
+    }));
+    const orphanedFiles = plan.orphanedFiles.map(({ key, size, lastModified }) => ({ key, size, lastModified }));
+    const bytes = executables.reduce((total, executable) => total + (executable.reasons.includes("missing") ? 0 : executable.fileSize), 0) +
+      orphanedFiles.reduce((total, file) => total + file.size, 0);
+
+    return {
+      dryRun,
+      startedAt,
+      finishedAt: new Date(),
+      policy: getRetentionPolicy(),
+      executables,
+      orphanedFiles,
+      tempEntries: plan.tempEntries,
+      totals: {
+        executables: executables.length,
+        files: executables.reduce((total, executable) => total + executable.files.length, 0) + orphanedFiles.length,
+        tempEntries: plan.tempEntries.length,
+        bytes,
+      },
+      errors,
+    };
+  }
+}
+
+const retentionService = new RetentionService();
+export default retentionService;
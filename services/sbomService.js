@@ -0,0 +1,456 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createRequire } from "module";
+import packageService from "./packageService.js";
+
+const require = createRequire(import.meta.url);
+
+// CycloneDX only accepts SPDX list ids in license.id; lowercased id -> id
+const SPDX_IDS = new Map(
+  [...require("spdx-license-ids"), ...require("spdx-license-ids/deprecated")].map((id) => [id.toLowerCase(), id])
+);
+
+const SPEC_VERSION = "1.5";
+
+// npm integrity prefixes mapped to CycloneDX hash algorithms
+const INTEGRITY_ALGORITHMS = {
+  sha512: "SHA-512",
+  sha384: "SHA-384",
+  sha256: "SHA-256",
+  sha1: "SHA-1",
+};
+
+// SPDX ids of license trove classifiers and common free-text license names
+const SPDX_LICENSE_NAMES = {
+  "mit license": "MIT",
+  "apache software license": "Apache-2.0",
+  "apache 2.0": "Apache-2.0",
+  "apache license 2.0": "Apache-2.0",
+  "apache license, version 2.0": "Apache-2.0",
+  "isc license (iscl)": "ISC",
+  "mozilla public license 2.0 (mpl 2.0)": "MPL-2.0",
+  "python software foundation license": "PSF-2.0",
+  "the unlicense (unlicense)": "Unlicense",
+  "gnu affero general public license v3": "AGPL-3.0-only",
+  "gnu affero general public license v3 or later (agplv3+)": "AGPL-3.0-or-later",
+  "gnu general public license v2 (gplv2)": "GPL-2.0-only",
+  "gnu general public license v2 or later (gplv2+)": "GPL-2.0-or-later",
+  "gnu general public license v3 (gplv3)": "GPL-3.0-only",
+  "gnu general public license v3 or later (gplv3+)": "GPL-3.0-or-later",
+  "gnu lesser general public license v2 (lgplv2)": "LGPL-2.0-only",
+  "gnu lesser general public license v2 or later (lgplv2+)": "LGPL-2.0-or-later",
+  "gnu lesser general public license v3 (lgplv3)": "LGPL-3.0-only",
+  "gnu lesser general public license v3 or later (lgplv3+)": "LGPL-3.0-or-later",
+};
+
+// Component property marking pip components whose archive hash is unknown
+const HASHES_PROPERTY = "modulevault:hashes";
+const HASHES_NOT_RECORDED = "not recorded: the installer only keeps the archive hash of installs from a file or URL";
+
+// Python distribution names compared and put in purls as in PEP 503
+const normalizePipName = (name) => name.toLowerCase().replace(/[-_.]+/g, "-");
+
+/**
+ * CycloneDX software bills of materials for built executables.
+ *
+ * The SBOM is taken from the installed dependency tree right after the
+ * installing phase: node_modules for npm packages and projects, the build
+ * venv's site-packages for pip packages. The package that was built is the
+ * metadata component; everything installed with it is a component.
+ */
+class SbomService {
+  /**
+   * Generate the SBOM of an installed package
+   * @param {Object} packageInfo - Package information of the build
+   * @param {string} workDir - Build work directory after the installing phase
+   * @returns {Object} - CycloneDX JSON document
+   */
+  generate(packageInfo, workDir) {
+    const { root, components, dependencies } = packageInfo.repositoryManager === "pip"
+      ? this.readSitePackages(packageInfo, path.join(workDir, "venv"))
+      : this.readNodeModules(packageInfo, packageInfo.source === "project" ? path.join(workDir, "project") : workDir);
+
+    return {
+      bomFormat: "CycloneDX",
+      specVersion: SPEC_VERSION,
+      serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+      version: 1,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        tools: {
+          components: [{ type: "application", name: "ModuleVault" }],
+        },
+        component: { ...root, type: "application" },
+      },
+      components: [...components.values()],
+      dependencies: [...dependencies.entries()].map(([ref, dependsOn]) => ({
+        ref,
+        dependsOn: [...dependsOn].sort(),
+      })),
+    };
+  }
+
+  /**
+   * Components of an npm install. Integrity hashes and resolved URLs come
+   * from npm's hidden lockfile (node_modules/.package-lock.json) when present.
+   */
+  readNodeModules(packageInfo, installDir) {
+    const lockPath = path.join(installDir, "node_modules", ".package-lock.json");
+    const locked = fs.existsSync(lockPath)
+      ? JSON.parse(fs.readFileSync(lockPath, "utf8")).packages || {}
+      : {};
+
+    const installed = new Map();
+    for (const [location, { manifest }] of this.listNodeModules(installDir)) {
+      installed.set(location, manifest);
+    }
+
+    // Node resolution: look in the nearest node_modules up the tree
+    const resolveDependency = (location, name) => {
+      let base = location;
+      while (true) {
+        const candidate = `${base ? `${base}/` : ""}node_modules/${name}`;
+        if (installed.has(candidate)) {
+          return candidate;
+        }
+        if (!base) {
+          return null;
+        }
+        const index = base.lastIndexOf("/node_modules/");
+        base = index === -1 ? "" : base.substring(0, index);
+      }
+    };
+
+    const refs = new Map();
+    const components = new Map();
+    for (const [location, manifest] of installed) {
+      const component = this.npmComponent(manifest, locked[location]);
+      refs.set(location, component["bom-ref"]);
+      components.set(component["bom-ref"], component);
+    }
+
+    // Uploaded projects are the root themselves; registry builds are rooted at the installed package
+    let root;
+    if (packageInfo.source === "project") {
+      root = this.npmComponent(this.readPackageJson(installDir) || packageInfo, null);
+      refs.set("", root["bom-ref"]);
+    } else {
+      const rootLocation = resolveDependency("", packageInfo.name);
+      root = rootLocation
+        ? components.get(refs.get(rootLocation))
+        : this.npmComponent(packageInfo, null);
+      components.delete(root["bom-ref"]);
+    }
+
+    const dependencies = new Map();
+    const addDependencies = (location, manifest) => {
+      const ref = refs.get(location);
+      if (!dependencies.has(ref)) {
+        dependencies.set(ref, new Set());
+      }
+      const names = Object.keys({ ...manifest.dependencies, ...manifest.optionalDependencies });
+      for (const name of names) {
+        const resolved = resolveDependency(location, name);
+        if (resolved && refs.get(resolved) !== ref) {
+          dependencies.get(ref).add(refs.get(resolved));
+        }
+      }
+    };
+    for (const [location, manifest] of installed) {
+      addDependencies(location, manifest);
+    }
+    if (packageInfo.source === "project") {
+      addDependencies("", this.readPackageJson(installDir) || {});
+    }
+
+    return { root, components, dependencies };
+  }
+
+  /**
+   * Packages installed in a node_modules tree
+   * @param {string} installDir - Directory holding node_modules
+   * @returns {Map<string, {dir: string, manifest: Object}>} - By location relative to installDir, e.g. node_modules/a/node_modules/b
+   */
+  listNodeModules(installDir) {
+    const installed = new Map();
+    const walk = (dir, location) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith(".") || !entry.isDirectory()) {
+          continue;
+        }
+        if (entry.name.startsWith("@")) {
+          walk(path.join(dir, entry.name), `${location}${entry.name}/`);
+          continue;
+        }
+        const packageDir = path.join(dir, entry.name);
+        const packageLocation = `${location}${entry.name}`;
+        const manifest = this.readPackageJson(packageDir);
+        if (manifest && manifest.name && manifest.version) {
+          installed.set(packageLocation, { dir: packageDir, manifest });
+        }
+        walk(path.join(packageDir, "node_modules"), `${packageLocation}/node_modules/`);
+      }
+    };
+    walk(path.join(installDir, "node_modules"), "node_modules/");
+    return installed;
+  }
+
+  npmComponent(manifest, lockEntry) {
+    const purl = this.npmPurl(manifest.name, manifest.version);
+    const component = {
+      type: "library",
+      "bom-ref": purl,
+      name: manifest.name,
+      version: manifest.version,
+      purl,
+    };
+    if (manifest.description) {
+      component.description = manifest.description;
+    }
+
+    const licenses = this.npmLicenses(manifest);
+    if (licenses.length > 0) {
+      component.licenses = licenses;
+    }
+
+    const integrity = (lockEntry && lockEntry.integrity) || manifest._integrity;
+    const hashes = this.integrityHashes(integrity);
+    if (hashes.length > 0) {
+      component.hashes = hashes;
+    }
+
+    const resolved = (lockEntry && lockEntry.resolved) || manifest._resolved;
+    if (resolved && /^https?:/.test(resolved)) {
+      component.externalReferences = [{ type: "distribution", url: resolved }];
+    }
+    return component;
+  }
+
+  npmPurl(name, version) {
+    const [scope, localName] = name.startsWith("@") ? name.split("/") : [null, name];
+    const namespace = scope ? `${encodeURIComponent(scope)}/` : "";
+    return `pkg:npm/${namespace}${encodeURIComponent(localName)}@${encodeURIComponent(version)}`;
+  }
+
+  /**
+   * Licenses of a package.json: an SPDX expression in "license", or the
+   * deprecated { type } object and "licenses" array
+   */
+  npmLicenses(manifest) {
+    const declared = manifest.license || manifest.licenses;
+    const values = (Array.isArray(declared) ? declared : [declared])
+      .map((license) => (license && typeof license === "object" ? license.type : license))
+      .filter((license) => typeof license === "string" && license.trim());
+    return values.map((license) => this.formatLicense(license.trim()));
+  }
+
+  // Convert npm SRI strings ("sha512-<base64>") to hex CycloneDX hashes
+  integrityHashes(integrity) {
+    if (!integrity) {
+      return [];
+    }
+    return integrity.split(/\s+/).flatMap((entry) => {
+      const separator = entry.indexOf("-");
+      const alg = INTEGRITY_ALGORITHMS[entry.substring(0, separator)];
+      if (separator === -1 || !alg) {
+        return [];
+      }
+      return [{ alg, content: Buffer.from(entry.substring(separator + 1), "base64").toString("hex") }];
+    });
+  }
+
+  /**
+   * Components of a pip install, read from the .dist-info directories of the
+   * venv. Archive hashes are only known when the installer recorded them in
+   * direct_url.json, which is the case for installs from a URL or file;
+   * components installed from an index carry a HASHES_PROPERTY saying so.
+   */
+  readSitePackages(packageInfo, venvDir) {
+    const distributions = this.listDistributions(venvDir)
+      .map((distInfoDir) => this.readDistInfo(distInfoDir))
+      .filter(Boolean);
+
+    const byName = new Map(distributions.map((distribution) => [normalizePipName(distribution.component.name), distribution]));
+    const rootDistribution = byName.get(normalizePipName(packageInfo.name));
+    const root = rootDistribution ? rootDistribution.component : this.pipComponent({ name: packageInfo.name, version: packageInfo.version });
+
+    const components = new Map();
+    const dependencies = new Map();
+    for (const { component, requires } of distributions) {
+      if (component !== root) {
+        components.set(component["bom-ref"], component);
+      }
+      const dependsOn = new Set();
+      for (const name of requires) {
+        const dependency = byName.get(normalizePipName(name));
+        if (dependency && dependency.component !== component) {
+          dependsOn.add(dependency.component["bom-ref"]);
+        }
+      }
+      dependencies.set(component["bom-ref"], dependsOn);
+    }
+
+    return { root, components, dependencies };
+  }
+
+  /**
+   * .dist-info directories of the distributions installed in a venv
+   * @param {string} venvDir - Virtual environment directory
+   * @returns {string[]} - dist-info paths
+   */
+  listDistributions(venvDir) {
+    const sitePackages = packageService.findSitePackages(venvDir);
+    return fs.readdirSync(sitePackages)
+      .filter((dir) => dir.endsWith(".dist-info"))
+      .map((dir) => path.join(sitePackages, dir));
+  }
+
+  readDistInfo(distInfoDir) {
+    const metadataPath = path.join(distInfoDir, "METADATA");
+    if (!fs.existsSync(metadataPath)) {
+      return null;
+    }
+    const headers = this.parseMetadataHeaders(fs.readFileSync(metadataPath, "utf8"));
+    const name = headers.get("name")?.[0];
+    const version = headers.get("version")?.[0];
+    if (!name || !version) {
+      return null;
+    }
+
+    const component = this.pipComponent({
+      name,
+      version,
+      description: headers.get("summary")?.[0],
+      licenses: this.pipLicenses(headers),
+      hashes: this.pipArchiveHashes(distInfoDir),
+    });
+
+    // Requirements that only apply to extras are not installed
+    const requires = (headers.get("requires-dist") || [])
+      .filter((requirement) => !/extra\s*==/.test(requirement))
+      .map((requirement) => requirement.match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/))
+      .filter(Boolean)
+      .map((match) => match[1]);
+
+    return { component, requires };
+  }
+
+  pipComponent({ name, version, description, licenses = [], hashes = [] }) {
+    const purl = `pkg:pypi/${encodeURIComponent(normalizePipName(name))}@${encodeURIComponent(version)}`;
+    const component = {
+      type: "library",
+      "bom-ref": purl,
+      name,
+      version,
+      purl,
+    };
+    if (description) {
+      component.description = description;
+    }
+    if (licenses.length > 0) {
+      component.licenses = licenses;
+    }
+    if (hashes.length > 0) {
+      component.hashes = hashes;
+    } else {
+      // RECORD only hashes the installed files, not the archive they came from
+      component.properties = [{ name: HASHES_PROPERTY, value: HASHES_NOT_RECORDED }];
+    }
+    return component;
+  }
+
+  // Core metadata headers by lower-cased name; repeated headers keep every value
+  parseMetadataHeaders(metadata) {
+    const headers = new Map();
+    const block = metadata.split(/\r?\n\r?\n/)[0];
+    let current = null;
+    for (const line of block.split(/\r?\n/)) {
+      if (/^\s/.test(line) && current) {
+        // Continuation line of a folded header
+        const values = headers.get(current);
+        values[values.length - 1] += `\n${line.trim()}`;
+        continue;
+      }
+      const separator = line.indexOf(":");
+      if (separator <= 0) {
+        continue;
+      }
+      current = line.substring(0, separator).trim().toLowerCase();
+      if (!headers.has(current)) {
+        headers.set(current, []);
+      }
+      headers.get(current).push(line.substring(separator + 1).trim());
+    }
+    return headers;
+  }
+
+  /**
+   * Licenses from core metadata: License-Expression (metadata 2.4), else the
+   * License field when it is short enough to be a name, else the license
+   * trove classifiers. Well-known names are converted to SPDX ids.
+   */
+  pipLicenses(headers) {
+    const expression = headers.get("license-expression")?.[0];
+    if (expression) {
+      return [this.formatLicense(expression)];
+    }
+    const license = headers.get("license")?.[0];
+    if (license && license.toUpperCase() !== "UNKNOWN" && !license.includes("\n") && license.length <= 100) {
+      return [this.formatLicense(SPDX_LICENSE_NAMES[license.toLowerCase()] || license)];
+    }
+    return (headers.get("classifier") || [])
+      .filter((classifier) => classifier.startsWith("License ::"))
+      .map((classifier) => classifier.split("::").pop().trim())
+      .filter((name) => name && name !== "OSI Approved")
+      .map((name) => {
+        const id = SPDX_LICENSE_NAMES[name.toLowerCase()];
+        return id ? { license: { id } } : { license: { name } };
+      });
+  }
+
+  pipArchiveHashes(distInfoDir) {
+    const directUrlPath = path.join(distInfoDir, "direct_url.json");
+    if (!fs.existsSync(directUrlPath)) {
+      return [];
+    }
+    try {
+      const { archive_info: archiveInfo } = JSON.parse(fs.readFileSync(directUrlPath, "utf8"));
+      const hashes = (archiveInfo && archiveInfo.hashes) || {};
+      return Object.entries(hashes)
+        .filter(([alg]) => INTEGRITY_ALGORITHMS[alg])
+        .map(([alg, content]) => ({ alg: INTEGRITY_ALGORITHMS[alg], content }));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * License entry for a declared license: SPDX ids and expressions as such,
+   * anything else (including unknown single tokens like "UNLICENSED") by name
+   */
+  formatLicense(license) {
+    const id = SPDX_IDS.get(license.toLowerCase());
+    if (id) {
+      return { license: { id } };
+    }
+    if (/\s(AND|OR|WITH)\s/.test(license) || /^\(.*\)$/.test(license) || /^(DocumentRef-[A-Za-z0-9.-]+:)?LicenseRef-[A-Za-z0-9.-]+$/.test(license)) {
+      return { expression: license };
+    }
+    return { license: { name: license } };
+  }
+
+  readPackageJson(dir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+}
+
+const sbomService = new SbomService();
+export default sbomService;
@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import getExecutableModel from "../models/Executable.js";
+import logger from "../utils/logger.js";
+import fileUtils from "../utils/fileUtils.js";
+import storageService from "./storageService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_KEY_PATH = path.join(__dirname, "..", "keys", "signing-key.pem");
+
+/**
+ * Integrity data for artifacts.
+ *
+ * Every artifact gets a SHA-256 digest and an ed25519 signature over the raw
+ * 32-byte digest, made with a key held by the server. The signature is stored
+ * base64 encoded next to the artifact as `<file>.sig`, so it is served from
+ * `/download/<file>.sig`. The private key is read from SIGNING_KEY_PATH
+ * (PEM, PKCS#8) and generated there on first use when missing. With S3
+ * storage several instances share the artifacts, so they must share the key
+ * too: it is never generated and has to exist at SIGNING_KEY_PATH.
+ */
+class SigningService {
+  constructor() {
+    this.keyPath = process.env.SIGNING_KEY_PATH || DEFAULT_KEY_PATH;
+    this.privateKey = null;
+    this.publicKey = null;
+  }
+
+  loadKeys() {
+    if (this.privateKey) {
+      return;
+    }
+
+    if (fs.existsSync(this.keyPath)) {
+      this.privateKey = crypto.createPrivateKey(fs.readFileSync(this.keyPath));
+      if (this.privateKey.asymmetricKeyType !== "ed25519") {
+        throw new Error(`Signing key ${this.keyPath} is not an ed25519 key`);
+      }
+    } else if (storageService.name === "s3") {
+      throw new Error(
+        `Signing key ${this.keyPath} not found. With STORAGE_BACKEND=s3 every instance must use the same key: ` +
+        "create one with `openssl genpkey -algorithm ed25519` and point SIGNING_KEY_PATH at it"
+      );
+    } else {
+      const { privateKey } = crypto.generateKeyPairSync("ed25519");
+      fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+      fs.writeFileSync(this.keyPath, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+      this.privateKey = privateKey;
+      logger.warn("Generated a new artifact signing key", { keyPath: this.keyPath });
+    }
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+  }
+
+  /**
+   * Public key for offline verification
+   * @returns {{algorithm: string, keyId: string, publicKey: string}} - PEM (SPKI) public key and its id
+   */
+  getPublicKey() {
+    this.loadKeys();
+    return {
+      algorithm: "ed25519",
+      keyId: this.getKeyId(),
+      publicKey: this.publicKey.export({ type: "spki", format: "pem" }),
+    };
+  }
+
+  // Key id: first 16 hex characters of the SHA-256 of the DER public key
+  getKeyId() {
+    this.loadKeys();
+    const der = this.publicKey.export({ type: "spki", format: "der" });
+    return crypto.createHash("sha256").update(der).digest("hex").substring(0, 16);
+  }
+
+  /**
+   * Hash and sign an artifact
+   * @param {string} filePath - Artifact path
+   * @returns {Promise<{sha256: string, signature: string, signingKeyId: string}>}
+   */
+  async signArtifact(filePath) {
+    return this.signDigest(await fileUtils.computeSha256(filePath));
+  }
+
+  signDigest(sha256) {
+    this.loadKeys();
+    const signature = crypto
+      .sign(null, Buffer.from(sha256, "hex"), this.privateKey)
+      .toString("base64");
+    return { sha256, signature, signingKeyId: this.getKeyId() };
+  }
+
+  /**
+   * Store the detached signature of an artifact as `<fileName>.sig`
+   * @param {string} fileName - Storage key of the artifact
+   * @param {string} signature - Base64 signature from signArtifact
+   */
+  async storeSignature(fileName, signature) {
+    await storageService.putContent(`${fileName}.sig`, `${signature}\n`);
+  }
+
+  /**
+   * Sign stored artifacts recorded before checksums existed, or whose signature file is missing
+   * @returns {Promise<number>} - Number of artifacts signed
+   */
+  async signExistingArtifacts() {
+    const Executable = getExecutableModel();
+    const executables = await Executable.find({}, "fileName sha256");
+    let signed = 0;
+
+    for (const executable of executables) {
+      try {
+        if (!(await storageService.exists(executable.fileName)) ||
+          (executable.sha256 && (await storageService.exists(`${executable.fileName}.sig`)))) {
+          continue;
+        }
+        const sha256 = await fileUtils.hashStream(await storageService.getStream(executable.fileName));
+        const integrity = this.signDigest(sha256);
+        await this.storeSignature(executable.fileName, integrity.signature);
+        await Executable.updateOne({ _id: executable._id }, integrity);
+        signed++;
+      } catch (error) {
+        logger.error("Failed to sign artifact", {
+          fileName: executable.fileName,
+          error: { message: error.message, name: error.name },
+        });
+      }
+    }
+
+    if (signed > 0) {
+      logger.info("Signed existing artifacts", { count: signed });
+    }
+    return signed;
+  }
+}
+
+const signingService = new SigningService();
+export default signingService;
@@ -0,0 +1,192 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { SMOKE_TEST_TIMEOUT_MS, SMOKE_TEST_ALLOW_UNSANDBOXED, getSmokeTest } from "../config/smokeTests.js";
+import { runProcess } from "../utils/processRunner.js";
+import logger from "../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const STDOUT_EXCERPT_LENGTH = 500;
+
+// Inside the sandbox the executable runs as nobody, sees only these system
+// directories (read-only), itself and its scratch directory
+const SANDBOX_UID = 65534;
+const SYSTEM_PATHS = ["/usr", "/bin", "/lib", "/lib64", "/etc/ld.so.cache"];
+const SANDBOX_HOME = "/smoke";
+const SANDBOX_BIN_DIR = "/opt/smoke";
+
+/**
+ * Runs freshly built Linux executables before they are published.
+ *
+ * The executable is started with the configured arguments (see
+ * config/smokeTests.js) in a bubblewrap sandbox: as uid 65534 in its own
+ * user, mount, pid and network namespaces, with the system directories
+ * mounted read-only and the scratch directory as the only writable path, so
+ * it cannot see the server's keys, artifacts or configuration. Without
+ * bubblewrap nothing is run unless SMOKE_TEST_ALLOW_UNSANDBOXED is set. Only
+ * targets the host can execute are tested; other targets stay unverified (null).
+ */
+class SmokeTestService {
+  constructor() {
+    this.tempDir = path.join(__dirname, "..", "temp");
+    this.sandboxAvailable = null;
+  }
+
+  /**
+   * Smoke test to run for a build, or null when the target cannot be run on this host
+   * @param {Object} packageInfo - Package information of the build
+   * @param {Object} target - Build target
+   * @param {string|null} command - Packaged command
+   * @returns {{args: string[][], exitCodes: number[]}|null}
+   */
+  getPlan(packageInfo, target, command) {
+    const hostArch = process.arch === "arm64" ? "arm64" : "x64";
+    if (target.os !== "linux" || process.platform !== "linux" || target.arch !== hostArch) {
+      return null;
+    }
+    return getSmokeTest(packageInfo.repositoryManager, packageInfo.name, command);
+  }
+
+  /**
+   * Run the smoke test. Argument sets are tried in order until one exits
+   * with an accepted code.
+   * @param {string} executablePath - Built executable
+   * @param {{args: string[][], exitCodes: number[]}} plan - From getPlan
+   * @returns {Promise<Object|null>} - { verified, args, exitCode, signal, timedOut, stdout, durationMs },
+   *   or null when the executable cannot be run in the sandbox and running it unsandboxed is not allowed
+   */
+  async run(executablePath, plan) {
+    const sandboxed = await this.isSandboxAvailable();
+    if (!sandboxed && !SMOKE_TEST_ALLOW_UNSANDBOXED) {
+      return null;
+    }
+    let result = null;
+
+    for (const args of plan.args) {
+      // The executable may unpack files here
+      const scratchDir = fs.mkdtempSync(path.join(this.tempDir, "smoke_"));
+
+      try {
+        const command = sandboxed ? "bwrap" : executablePath;
+        const commandArgs = sandboxed ? this.getSandboxArgs(scratchDir, executablePath, args) : args;
+        const homeDir = sandboxed ? SANDBOX_HOME : scratchDir;
+        let processResult;
+        try {
+          processResult = await runProcess(command, commandArgs, {
+            cwd: scratchDir,
+            env: {
+              PATH: "/usr/local/bin:/usr/bin:/bin",
+              HOME: homeDir,
+              TMPDIR: homeDir,
+              LANG: "C.UTF-8",
+            },
+            timeout: SMOKE_TEST_TIMEOUT_MS,
+            maxOutputBytes: MAX_OUTPUT_BYTES,
+            allowFailure: true,
+            processGroup: true,
+          });
+        } catch (error) {
+          // Timeouts and start failures carry the partial result
+          if (!error.result) {
+            throw error;
+          }
+          processResult = error.result;
+        }
+
+        result = {
+          verified: !processResult.timedOut && plan.exitCodes.includes(processResult.exitCode),
+          args,
+          exitCode: processResult.exitCode,
+          signal: processResult.signal,
+          timedOut: processResult.timedOut,
+          stdout: processResult.stdout.trim().substring(0, STDOUT_EXCERPT_LENGTH),
+          durationMs: processResult.durationMs,
+        };
+      } finally {
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+      }
+
+      if (result.verified) {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * bwrap arguments that run the executable as nobody without network
+   * access, with nothing of the host writable but the scratch directory
+   * @param {string} scratchDir - Mounted as the working and home directory
+   * @param {string} executablePath - Mounted read-only
+   * @param {string[]} args - Arguments for the executable
+   * @returns {string[]}
+   */
+  getSandboxArgs(scratchDir, executablePath, args) {
+    const sandboxedPath = path.posix.join(SANDBOX_BIN_DIR, path.basename(executablePath));
+    return [
+      "--unshare-all",
+      "--unshare-user",
+      "--uid", String(SANDBOX_UID),
+      "--gid", String(SANDBOX_UID),
+      "--cap-drop", "ALL",
+      "--die-with-parent",
+      "--new-session",
+      ...SYSTEM_PATHS.flatMap((systemPath) => ["--ro-bind-try", systemPath, systemPath]),
+      "--proc", "/proc",
+      "--dev", "/dev",
+      "--bind", scratchDir, SANDBOX_HOME,
+      "--ro-bind", executablePath, sandboxedPath,
+      "--chdir", SANDBOX_HOME,
+      "--",
+      sandboxedPath,
+      ...args,
+    ];
+  }
+
+  // Checks that bwrap starts and that the sandboxed process really runs as nobody
+  async isSandboxAvailable() {
+    if (this.sandboxAvailable === null) {
+      const scratchDir = fs.mkdtempSync(path.join(this.tempDir, "smoke_"));
+      try {
+        const { exitCode, stdout } = await runProcess("bwrap", this.getSandboxArgs(scratchDir, "/usr/bin/id", ["-u"]), {
+          env: { PATH: "/usr/bin:/bin" },
+          timeout: 10000,
+          allowFailure: true,
+        });
+        this.sandboxAvailable = exitCode === 0 && stdout.trim() === String(SANDBOX_UID);
+      } catch {
+        this.sandboxAvailable = false;
+      } finally {
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+      }
+      if (!this.sandboxAvailable) {
+        logger.warn(
+          SMOKE_TEST_ALLOW_UNSANDBOXED
+            ? "The bubblewrap sandbox is not available; smoke tests run as the server user without isolation"
+            : "The bubblewrap sandbox is not available; executables are not smoke tested"
+        );
+      }
+    }
+    return this.sandboxAvailable;
+  }
+
+  /**
+   * One-line description of a failed smoke test, for build errors
+   */
+  describe(result) {
+    const invocation = result.args.join(" ") || "(no arguments)";
+    if (result.timedOut) {
+      return `'${invocation}' did not finish within ${SMOKE_TEST_TIMEOUT_MS}ms`;
+    }
+    const exit = result.signal ? `was killed by ${result.signal}` : `exited with code ${result.exitCode}`;
+    return `'${invocation}' ${exit}${result.stdout ? `: ${result.stdout.split("\n")[0]}` : ""}`;
+  }
+}
+
+const smokeTestService = new SmokeTestService();
+export default smokeTestService;
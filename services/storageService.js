@@ -0,0 +1,301 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import logger from "../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/*
+ * Artifact storage.
+ *
+ * Executables and the files stored next to them (signatures, SBOMs, license
+ * reports) are addressed by file name. STORAGE_BACKEND selects where they
+ * live:
+ *
+ *   local - a directory on this machine, STORAGE_LOCAL_DIR (default ./executables)
+ *   s3    - an S3-compatible bucket (AWS S3, MinIO, ...), configured with
+ *           S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE, S3_PREFIX
+ *           and S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (or the default AWS
+ *           credential chain)
+ *
+ * Every backend implements the same methods; routes never touch the file
+ * system or the bucket directly.
+ */
+
+class ArtifactStorage {
+  // Keys are plain file names, never paths
+  isValidKey(key) {
+    return typeof key === "string" && key !== "" && key === path.basename(key) && key !== "." && key !== "..";
+  }
+
+  assertKey(key) {
+    if (!this.isValidKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+}
+
+class LocalStorage extends ArtifactStorage {
+  constructor(rootDir) {
+    super();
+    this.name = "local";
+    this.rootDir = rootDir;
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  resolve(key) {
+    this.assertKey(key);
+    return path.join(this.rootDir, key);
+  }
+
+  async putFile(key, filePath) {
+    const target = this.resolve(key);
+    // Write under a temporary name so readers never see a partial file
+    const partial = `${target}.partial`;
+    await fs.promises.copyFile(filePath, partial);
+    await fs.promises.rename(partial, target);
+  }
+
+  async putContent(key, content) {
+    const target = this.resolve(key);
+    const partial = `${target}.partial`;
+    await fs.promises.writeFile(partial, content);
+    await fs.promises.rename(partial, target);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getContent(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} key - File name
+   * @param {{start: number, end: number}} [range] - Inclusive byte range
+   * @returns {Promise<Readable>}
+   */
+  async getStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Every stored file, including partial writes left behind by a crash
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  async list() {
+    const entries = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      if (entry.isFile()) {
+        const stats = await fs.promises.stat(path.join(this.rootDir, entry.name));
+        files.push({ key: entry.name, size: stats.size, lastModified: stats.mtime });
+      }
+    }
+    return files;
+  }
+
+  // Local files are served by this server
+  async getDownloadUrl() {
+    return null;
+  }
+
+  // Path of a stored file, for backends that keep files on this machine
+  getLocalPath(key) {
+    return this.resolve(key);
+  }
+}
+
+class S3Storage extends ArtifactStorage {
+  constructor(options) {
+    super();
+    this.name = "s3";
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || "";
+    this.redirect = options.redirect;
+    this.urlExpiresIn = options.urlExpiresIn;
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined,
+    });
+  }
+
+  objectKey(key) {
+    this.assertKey(key);
+    return `${this.prefix}${key}`;
+  }
+
+  isNotFound(error) {
+    return error.name === "NotFound" || error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404;
+  }
+
+  async putFile(key, filePath) {
+    // Multipart upload for large executables
+    const upload = new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: this.objectKey(key), Body: fs.createReadStream(filePath) },
+    });
+    await upload.done();
+  }
+
+  async putContent(key, content) {
+    await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key), Body: content }));
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getContent(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getStream(key, range = {}) {
+    const object = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: range.start !== undefined ? `bytes=${range.start}-${range.end ?? ""}` : undefined,
+    }));
+    return object.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+
+  async list() {
+    const files = [];
+    let continuationToken;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken,
+      }));
+      for (const object of page.Contents || []) {
+        const key = object.Key.substring(this.prefix.length);
+        if (key && !key.includes("/")) {
+          files.push({ key, size: object.Size, lastModified: object.LastModified });
+        }
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return files;
+  }
+
+  /**
+   * Presigned GET URL clients are redirected to, or null when downloads are
+   * streamed through this server (S3_DOWNLOAD_MODE=stream)
+   * @param {string} key - File name
+   * @param {Object} [options]
+   * @param {string} [options.contentDisposition] - Content-Disposition the bucket should answer with
+   */
+  async getDownloadUrl(key, { contentDisposition } = {}) {
+    if (!this.redirect) {
+      return null;
+    }
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ResponseContentDisposition: contentDisposition,
+    });
+    return getSignedUrl(this.client, command, { expiresIn: this.urlExpiresIn });
+  }
+
+  getLocalPath() {
+    return null;
+  }
+}
+
+const createStorage = () => {
+  const backend = process.env.STORAGE_BACKEND || "local";
+  if (backend === "local") {
+    return new LocalStorage(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "executables"));
+  }
+  if (backend === "s3") {
+    if (!process.env.S3_BUCKET) {
+      throw new Error("STORAGE_BACKEND=s3 requires S3_BUCKET");
+    }
+    const downloadMode = process.env.S3_DOWNLOAD_MODE || "redirect";
+    if (!["redirect", "stream"].includes(downloadMode)) {
+      throw new Error('S3_DOWNLOAD_MODE must be "redirect" or "stream"');
+    }
+    const prefix = process.env.S3_PREFIX || "";
+    const storage = new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      // MinIO and most self-hosted S3 implementations need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : Boolean(process.env.S3_ENDPOINT),
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix,
+      redirect: downloadMode === "redirect",
+      urlExpiresIn: parseInt(process.env.S3_URL_EXPIRES_SECONDS) || 300,
+    });
+    logger.info("Using S3 artifact storage", { bucket: storage.bucket, endpoint: process.env.S3_ENDPOINT || null });
+    return storage;
+  }
+  throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Use "local" or "s3"`);
+};
+
+const storageService = createStorage();
+export default storageService;
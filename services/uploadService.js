@@ -0,0 +1,246 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import packageService from "./packageService.js";
+import fileUtils from "../utils/fileUtils.js";
+import { runProcess } from "../utils/processRunner.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Metadata files are small; anything bigger is not a real manifest
+const MAX_METADATA_BYTES = 1024 * 1024;
+
+/**
+ * Uploads built without a registry: package archives (npm tarballs from
+ * `npm pack`, Python wheels and sdists) and whole npm projects. Uploads are
+ * kept under temp/uploads until the build job that uses them finishes, and
+ * their metadata is read from the upload itself instead of a registry.
+ */
+class UploadService {
+  constructor() {
+    this.uploadDir = path.join(__dirname, "..", "temp", "uploads");
+  }
+
+  /**
+   * Archive format from the file name
+   * @param {string} fileName - Original file name
+   * @returns {string|null} - 'tar' (.tgz, .tar.gz), 'zip' (.whl, .zip) or null
+   */
+  getArchiveFormat(fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith(".tgz") || lowerName.endsWith(".tar.gz")) {
+      return "tar";
+    }
+    if (lowerName.endsWith(".whl") || lowerName.endsWith(".zip")) {
+      return "zip";
+    }
+    return null;
+  }
+
+  /**
+   * Move an uploaded file into its own directory under temp/uploads.
+   * The original base name is kept because installers parse it (wheel tags).
+   * @param {string} tempPath - Path the upload was written to
+   * @param {string} originalName - File name sent by the client
+   * @returns {Promise<{archivePath: string, checksum: string}>}
+   */
+  async storeArchive(tempPath, originalName) {
+    const checksum = await fileUtils.computeSha256(tempPath);
+    const archiveDir = path.join(this.uploadDir, `${checksum.substring(0, 16)}_${Date.now()}`);
+    fs.mkdirSync(archiveDir, { recursive: true });
+
+    const archivePath = path.join(archiveDir, path.basename(originalName).replace(/[^A-Za-z0-9._+-]/g, "_"));
+    fs.renameSync(tempPath, archivePath);
+    return { archivePath, checksum };
+  }
+
+  /**
+   * Read package information from an archive's own manifest: package.json for
+   * npm tarballs, METADATA for wheels and PKG-INFO for sdists.
+   * @param {string} archivePath - Stored archive
+   * @returns {Promise<Object>} - Package information as returned by packageService.getPackageInfo
+   */
+  async readPackageInfo(archivePath) {
+    const format = this.getArchiveFormat(archivePath);
+    if (!format) {
+      throw new Error("Unsupported archive. Upload an npm .tgz, a Python wheel (.whl) or an sdist (.tar.gz, .zip)");
+    }
+
+    const members = await this.listMembers(archivePath, format);
+
+    // npm pack puts everything under package/
+    if (format === "tar" && members.includes("package/package.json")) {
+      const packageJson = JSON.parse(await this.readMember(archivePath, format, "package/package.json"));
+      return {
+        name: packageJson.name,
+        version: packageJson.version,
+        description: packageJson.description || "No description available",
+        keywords: Array.isArray(packageJson.keywords) ? packageJson.keywords : [],
+        repositoryManager: "npm",
+      };
+    }
+
+    const metadataMember =
+      members.find((member) => /^[^/]+\.dist-info\/METADATA$/.test(member)) ||
+      members.find((member) => /^[^/]+\/PKG-INFO$/.test(member));
+    if (!metadataMember) {
+      throw new Error("Archive contains neither package/package.json nor Python package metadata");
+    }
+
+    // Core metadata is a block of email-style headers followed by the description
+    const metadata = await this.readMember(archivePath, format, metadataMember);
+    const headers = metadata.split(/\r?\n\r?\n/)[0];
+    const packageData = packageService.parsePipShowOutput(headers);
+    return {
+      name: packageData.name,
+      version: packageData.version,
+      description: packageData.summary || "No description available",
+      keywords: packageData.keywords || [],
+      repositoryManager: "pip",
+    };
+  }
+
+  async listMembers(archivePath, format) {
+    const { stdout } = format === "tar"
+      ? await runProcess("tar", ["-tzf", archivePath], { timeout: 60000 })
+      : await runProcess("unzip", ["-Z1", archivePath], { timeout: 60000 });
+    return stdout.split("\n").map((member) => member.trim()).filter(Boolean);
+  }
+
+  async readMember(archivePath, format, member) {
+    const { stdout, stdoutTruncated } = format === "tar"
+      ? await runProcess("tar", ["-xzOf", archivePath, "--", member], {
+        timeout: 60000,
+        maxOutputBytes: MAX_METADATA_BYTES,
+      })
+      : await runProcess("unzip", ["-p", archivePath, member], {
+        timeout: 60000,
+        maxOutputBytes: MAX_METADATA_BYTES,
+      });
+    if (stdoutTruncated) {
+      throw new Error(`${member} is larger than ${MAX_METADATA_BYTES} bytes`);
+    }
+    return stdout;
+  }
+
+  /**
+   * Store an uploaded npm project: either separate package.json, lockfile and
+   * entry files, or a zip of the project directory.
+   * @param {Object} files - Uploaded files by field ({ archive } or { packageJson, lockfile, entry })
+   * @returns {Promise<{projectPath: string, checksum: string, entryFile: string|null}>}
+   */
+  async storeProject(files) {
+    const uploadDir = path.join(this.uploadDir, `project_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`);
+    const projectPath = path.join(uploadDir, "project");
+    fs.mkdirSync(projectPath, { recursive: true });
+
+    try {
+      if (files.archive) {
+        const { path: zipPath, originalname } = files.archive;
+        if (!originalname.toLowerCase().endsWith(".zip")) {
+          throw new Error("Project archives must be .zip files");
+        }
+        const checksum = await fileUtils.computeSha256(zipPath);
+        await runProcess("unzip", ["-q", zipPath, "-d", projectPath], { timeout: 120000 });
+        fs.rmSync(zipPath, { force: true });
+        this.assertNoSymlinks(projectPath);
+
+        // Zips of a project folder have a single top-level directory
+        if (!fs.existsSync(path.join(projectPath, "package.json"))) {
+          const entries = fs.readdirSync(projectPath);
+          const rootDir = entries.length === 1 ? path.join(projectPath, entries[0]) : null;
+          if (!rootDir || !fs.existsSync(path.join(rootDir, "package.json"))) {
+            throw new Error("The zip has no package.json at its root");
+          }
+          const unwrapped = path.join(uploadDir, "unwrapped");
+          fs.renameSync(rootDir, unwrapped);
+          fs.rmSync(projectPath, { recursive: true, force: true });
+          fs.renameSync(unwrapped, projectPath);
+        }
+        return { projectPath, checksum, entryFile: null };
+      }
+
+      if (!files.packageJson || !files.lockfile || !files.entry) {
+        throw new Error("Upload packageJson, lockfile and entry, or a zip of the project as archive");
+      }
+      const entryFile = path.basename(files.entry.originalname).replace(/[^A-Za-z0-9._-]/g, "_");
+      if (["package.json", "package-lock.json"].includes(entryFile)) {
+        throw new Error(`The entry file cannot be named ${entryFile}`);
+      }
+
+      fs.renameSync(files.packageJson.path, path.join(projectPath, "package.json"));
+      fs.renameSync(files.lockfile.path, path.join(projectPath, "package-lock.json"));
+      fs.renameSync(files.entry.path, path.join(projectPath, entryFile));
+
+      // Identify the project by the content of all three files
+      const hash = crypto.createHash("sha256");
+      for (const fileName of ["package.json", "package-lock.json", entryFile]) {
+        hash.update(`${fileName}\0`);
+        hash.update(await fileUtils.computeSha256(path.join(projectPath, fileName)));
+      }
+      return { projectPath, checksum: hash.digest("hex"), entryFile };
+    } catch (error) {
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Read package information from an uploaded project's package.json
+   * @param {string} projectPath - Stored project directory
+   * @returns {Object} - Package information as returned by packageService.getPackageInfo
+   */
+  readProjectInfo(projectPath) {
+    const hasLockfile = ["package-lock.json", "npm-shrinkwrap.json"].some((fileName) =>
+      fs.existsSync(path.join(projectPath, fileName))
+    );
+    if (!hasLockfile) {
+      throw new Error("The project needs a package-lock.json for npm ci");
+    }
+
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectPath, "package.json"), "utf8"));
+    if (!packageJson.name || !packageJson.version) {
+      throw new Error("package.json must have a name and a version");
+    }
+    return {
+      name: packageJson.name,
+      version: packageJson.version,
+      description: packageJson.description || "No description available",
+      keywords: Array.isArray(packageJson.keywords) ? packageJson.keywords : [],
+      repositoryManager: "npm",
+    };
+  }
+
+  // Symlinks in an extracted zip could point pkg at files outside the project
+  assertNoSymlinks(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isSymbolicLink()) {
+        throw new Error(`The zip contains a symbolic link: ${path.relative(dir, entryPath)}`);
+      }
+      if (entry.isDirectory()) {
+        this.assertNoSymlinks(entryPath);
+      }
+    }
+  }
+
+  /**
+   * Delete a stored upload (archive or project directory) together with its
+   * upload directory
+   * @param {string} uploadPath - Stored archive or project directory
+   */
+  removeUpload(uploadPath) {
+    const uploadDir = path.dirname(uploadPath);
+    // Never delete anything outside the upload directory
+    if (path.dirname(uploadDir) !== this.uploadDir) {
+      return;
+    }
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  }
+}
+
+const uploadService = new UploadService();
+export default uploadService;
@@ -0,0 +1,510 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import getAdvisoryModel from "../models/Advisory.js";
+import getExecutableModel from "../models/Executable.js";
+import storageService from "./storageService.js";
+import fileUtils from "../utils/fileUtils.js";
+import logger from "../utils/logger.js";
+import { runProcess } from "../utils/processRunner.js";
+import { compareVersions } from "../utils/versionUtils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// OSV ecosystems of the repository managers
+const ECOSYSTEMS = { npm: "npm", PyPI: "pip" };
+
+// Scores used for advisories without a CVSS v3 vector, by severity label
+const SEVERITY_SCORES = { low: 2.5, moderate: 5.5, medium: 5.5, high: 7.5, critical: 9.5 };
+const DEFAULT_SCORE = SEVERITY_SCORES.medium;
+
+// Every advisory after the most severe one lowers the rating by this much
+const ADDITIONAL_ADVISORY_PENALTY = 0.25;
+
+const IMPORT_BATCH_SIZE = 500;
+
+// CVSS v3.x base metric weights
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  PR_CHANGED: { N: 0.85, L: 0.68, H: 0.5 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+const normalizeName = (repositoryManager, name) =>
+  repositoryManager === "pip" ? name.toLowerCase().replace(/[-_.]+/g, "-") : name;
+
+/**
+ * Vulnerability scanning against a local advisory database.
+ *
+ * Advisories are imported from OSV-format dumps (the per-ecosystem zips from
+ * osv.dev or a checkout of the GitHub Advisory Database) named by
+ * ADVISORY_DB_PATH. An executable is scanned by matching the components of
+ * its SBOM against the affected version ranges of the imported advisories;
+ * the matches are stored on the executable together with a 0-10
+ * securityRating, where 10 means no known advisories. Refreshing the
+ * advisory data re-scores every executable that has an SBOM.
+ */
+class VulnerabilityService {
+  constructor() {
+    this.tempDir = path.join(__dirname, "..", "temp");
+    this.sources = (process.env.ADVISORY_DB_PATH || "")
+      .split(",")
+      .map((source) => source.trim())
+      .filter(Boolean);
+    this.refreshStatus = { state: "idle", startedAt: null, finishedAt: null, error: null };
+  }
+
+  /**
+   * Import advisories from OSV JSON files. Each source is a directory
+   * (searched recursively), a zip of OSV files or a single JSON file.
+   * Withdrawn advisories are removed.
+   * @param {string[]} sources - Paths to import from
+   * @returns {Promise<{imported: number, withdrawn: number, skipped: number}>}
+   */
+  async importAdvisories(sources) {
+    const Advisory = getAdvisoryModel();
+    const counts = { imported: 0, withdrawn: 0, skipped: 0 };
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length > 0) {
+        await Advisory.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    };
+
+    for (const source of sources) {
+      let extractDir = null;
+      try {
+        let root = source;
+        if (source.toLowerCase().endsWith(".zip")) {
+          extractDir = path.join(this.tempDir, `advisories_${Date.now()}`);
+          fs.mkdirSync(extractDir, { recursive: true });
+          await runProcess("unzip", ["-q", "-o", source, "-d", extractDir], { timeout: 600000 });
+          root = extractDir;
+        }
+
+        for (const filePath of this.findJsonFiles(root)) {
+          let osv;
+          try {
+            osv = JSON.parse(fs.readFileSync(filePath, "utf8"));
+          } catch {
+            counts.skipped++;
+            continue;
+          }
+          if (!osv || !osv.id) {
+            counts.skipped++;
+            continue;
+          }
+
+          if (osv.withdrawn) {
+            operations.push({ deleteOne: { filter: { advisoryId: osv.id } } });
+            counts.withdrawn++;
+          } else {
+            const advisory = this.parseAdvisory(osv);
+            if (!advisory) {
+              counts.skipped++;
+              continue;
+            }
+            operations.push({
+              updateOne: { filter: { advisoryId: advisory.advisoryId }, update: { $set: advisory }, upsert: true },
+            });
+            counts.imported++;
+          }
+
+          if (operations.length >= IMPORT_BATCH_SIZE) {
+            await flush();
+          }
+        }
+        await flush();
+      } finally {
+        if (extractDir) {
+          fileUtils.cleanupDirectory(extractDir);
+        }
+      }
+    }
+
+    logger.info("Imported advisories", { sources, ...counts });
+    return counts;
+  }
+
+  *findJsonFiles(root) {
+    const stat = fs.statSync(root);
+    if (stat.isFile()) {
+      if (root.endsWith(".json")) {
+        yield root;
+      }
+      return;
+    }
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      const entryPath = path.join(root, entry.name);
+      if (entry.isDirectory()) {
+        yield* this.findJsonFiles(entryPath);
+      } else if (entry.isFile() && entry.name.endsWith(".json")) {
+        yield entryPath;
+      }
+    }
+  }
+
+  /**
+   * Convert an OSV record to an Advisory document, keeping only the npm and
+   * PyPI packages it affects
+   * @param {Object} osv - OSV record
+   * @returns {Object|null} - Advisory fields, or null when no npm/PyPI package is affected
+   */
+  parseAdvisory(osv) {
+    const affected = (osv.affected || []).filter(
+      (entry) => entry.package && ECOSYSTEMS[entry.package.ecosystem] && entry.package.name
+    );
+    if (affected.length === 0) {
+      return null;
+    }
+
+    const packages = affected.map((entry) => {
+      const repositoryManager = ECOSYSTEMS[entry.package.ecosystem];
+      return { repositoryManager, name: normalizeName(repositoryManager, entry.package.name) };
+    });
+    const reference = (osv.references || []).find((ref) => ref.type === "ADVISORY") || (osv.references || [])[0];
+
+    return {
+      advisoryId: osv.id,
+      aliases: osv.aliases || [],
+      summary: osv.summary || (osv.details ? osv.details.split("\n")[0].substring(0, 300) : null),
+      ...this.getSeverity(osv),
+      url: reference ? reference.url : `https://osv.dev/vulnerability/${encodeURIComponent(osv.id)}`,
+      published: osv.published ? new Date(osv.published) : null,
+      modified: osv.modified ? new Date(osv.modified) : null,
+      packages,
+      affected: affected.map(({ package: pkg, ranges, versions }) => ({
+        package: pkg,
+        ranges: ranges || [],
+        versions: versions || [],
+      })),
+    };
+  }
+
+  /**
+   * Severity of an OSV record: the CVSS v3 base score when a vector is
+   * given, otherwise the label of the source database (GitHub's
+   * database_specific.severity)
+   * @returns {{severity: string, score: number}}
+   */
+  getSeverity(osv) {
+    for (const { type, score } of osv.severity || []) {
+      if (type === "CVSS_V3") {
+        const baseScore = this.computeCvss3Score(score);
+        if (baseScore !== null) {
+          return { severity: this.getSeverityLabel(baseScore), score: baseScore };
+        }
+      }
+    }
+
+    const labels = [
+      osv.database_specific && osv.database_specific.severity,
+      ...(osv.affected || []).map((entry) => entry.ecosystem_specific && entry.ecosystem_specific.severity),
+    ].filter((label) => typeof label === "string");
+    const label = labels.map((value) => value.toLowerCase()).find((value) => SEVERITY_SCORES[value]);
+    if (label) {
+      return { severity: label === "moderate" ? "medium" : label, score: SEVERITY_SCORES[label] };
+    }
+    return { severity: null, score: null };
+  }
+
+  getSeverityLabel(score) {
+    if (score >= 9) return "critical";
+    if (score >= 7) return "high";
+    if (score >= 4) return "medium";
+    return "low";
+  }
+
+  /**
+   * CVSS v3.0/v3.1 base score of a vector string
+   * @param {string} vector - e.g. "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"
+   * @returns {number|null} - Base score, or null when the vector is not valid
+   */
+  computeCvss3Score(vector) {
+    if (typeof vector !== "string" || !/^CVSS:3\.[01]\//.test(vector)) {
+      return null;
+    }
+    const metrics = Object.fromEntries(
+      vector.split("/").slice(1).map((part) => part.split(":"))
+    );
+    const changed = metrics.S === "C";
+    const weights = {
+      AV: CVSS3_WEIGHTS.AV[metrics.AV],
+      AC: CVSS3_WEIGHTS.AC[metrics.AC],
+      PR: (changed ? CVSS3_WEIGHTS.PR_CHANGED : CVSS3_WEIGHTS.PR)[metrics.PR],
+      UI: CVSS3_WEIGHTS.UI[metrics.UI],
+      C: CVSS3_WEIGHTS.CIA[metrics.C],
+      I: CVSS3_WEIGHTS.CIA[metrics.I],
+      A: CVSS3_WEIGHTS.CIA[metrics.A],
+    };
+    if (Object.values(weights).some((weight) => weight === undefined) || !["U", "C"].includes(metrics.S)) {
+      return null;
+    }
+
+    // Round up to one decimal as specified in CVSS v3.1
+    const roundUp = (value) => {
+      const integer = Math.round(value * 100000);
+      return integer % 10000 === 0 ? integer / 100000 : (Math.floor(integer / 10000) + 1) / 10;
+    };
+
+    const iss = 1 - (1 - weights.C) * (1 - weights.I) * (1 - weights.A);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    const exploitability = 8.22 * weights.AV * weights.AC * weights.PR * weights.UI;
+    if (impact <= 0) {
+      return 0;
+    }
+    return changed
+      ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+      : roundUp(Math.min(impact + exploitability, 10));
+  }
+
+  /**
+   * Check a version against an OSV "affected" entry
+   * @returns {{affected: boolean, fixedIn: string|null}}
+   */
+  matchAffected(entry, repositoryManager, version) {
+    const sameVersion = (other) => compareVersions(repositoryManager, version, other) === 0 || version === other;
+    if ((entry.versions || []).some(sameVersion)) {
+      return { affected: true, fixedIn: null };
+    }
+
+    for (const range of entry.ranges || []) {
+      if (!["SEMVER", "ECOSYSTEM"].includes(range.type)) {
+        continue;
+      }
+      const eventVersion = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+      const events = [...(range.events || [])].sort((left, right) => {
+        if (left.introduced === "0") return -1;
+        if (right.introduced === "0") return 1;
+        return compareVersions(repositoryManager, eventVersion(left), eventVersion(right)) || 0;
+      });
+
+      // Walk the events in version order; the last one at or below the version decides
+      let affected = false;
+      for (const event of events) {
+        if (event.introduced !== undefined) {
+          if (event.introduced === "0" || compareVersions(repositoryManager, version, event.introduced) >= 0) {
+            affected = true;
+          }
+        } else if (event.fixed !== undefined || event.limit !== undefined) {
+          const bound = event.fixed ?? event.limit;
+          const comparison = compareVersions(repositoryManager, version, bound);
+          if (comparison === null) {
+            continue;
+          }
+          if (comparison >= 0) {
+            affected = false;
+          } else if (affected) {
+            return { affected: true, fixedIn: event.fixed ?? null };
+          }
+        } else if (event.last_affected !== undefined) {
+          const comparison = compareVersions(repositoryManager, version, event.last_affected);
+          if (comparison === null) {
+            continue;
+          }
+          if (comparison > 0) {
+            affected = false;
+          } else if (affected) {
+            return { affected: true, fixedIn: null };
+          }
+        }
+      }
+      if (affected) {
+        return { affected: true, fixedIn: null };
+      }
+    }
+    return { affected: false, fixedIn: null };
+  }
+
+  /**
+   * Match the components of an SBOM against the advisory database
+   * @param {Object} sbom - CycloneDX document from sbomService
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRoot=true] - Also check the built package itself
+   * @returns {Promise<Array<Object>>} - Matched advisories, most severe first
+   */
+  async matchSbom(sbom, { includeRoot = true } = {}) {
+    const Advisory = getAdvisoryModel();
+    const components = [...(includeRoot ? [sbom.metadata.component] : []), ...(sbom.components || [])]
+      .map((component) => {
+        const repositoryManager = component.purl && component.purl.startsWith("pkg:pypi/") ? "pip" : "npm";
+        return {
+          repositoryManager,
+          name: component.name,
+          normalizedName: normalizeName(repositoryManager, component.name),
+          version: component.version,
+        };
+      });
+
+    const matches = new Map();
+    for (const repositoryManager of ["npm", "pip"]) {
+      const ofManager = components.filter((component) => component.repositoryManager === repositoryManager);
+      if (ofManager.length === 0) {
+        continue;
+      }
+      const advisories = await Advisory.find({
+        packages: {
+          $elemMatch: { repositoryManager, name: { $in: [...new Set(ofManager.map((component) => component.normalizedName))] } },
+        },
+      }).lean();
+
+      for (const advisory of advisories) {
+        for (const entry of advisory.affected) {
+          const entryName = normalizeName(repositoryManager, entry.package.name);
+          if (ECOSYSTEMS[entry.package.ecosystem] !== repositoryManager) {
+            continue;
+          }
+          for (const component of ofManager) {
+            if (component.normalizedName !== entryName) {
+              continue;
+            }
+            const { affected, fixedIn } = this.matchAffected(entry, repositoryManager, component.version);
+            const key = `${advisory.advisoryId}:${component.name}@${component.version}`;
+            if (affected && !matches.has(key)) {
+              matches.set(key, {
+                advisoryId: advisory.advisoryId,
+                aliases: advisory.aliases,
+                summary: advisory.summary,
+                severity: advisory.severity,
+                score: advisory.score,
+                url: advisory.url,
+                package: component.name,
+                version: component.version,
+                fixedIn,
+              });
+            }
+          }
+        }
+      }
+    }
+
+    return [...matches.values()].sort((left, right) => (right.score ?? DEFAULT_SCORE) - (left.score ?? DEFAULT_SCORE));
+  }
+
+  /**
+   * Rating from matched advisories: 10 without advisories, otherwise 10 minus
+   * the highest score, lowered further for every additional advisory
+   * @param {Array<Object>} advisories - Matched advisories
+   * @returns {number} - Rating between 0 and 10, one decimal
+   */
+  computeRating(advisories) {
+    if (advisories.length === 0) {
+      return 10;
+    }
+    const highest = Math.max(...advisories.map((advisory) => advisory.score ?? DEFAULT_SCORE));
+    const rating = 10 - highest - ADDITIONAL_ADVISORY_PENALTY * (advisories.length - 1);
+    return Math.round(Math.max(0, rating) * 10) / 10;
+  }
+
+  /**
+   * Scan an executable's SBOM and store the matched advisories and rating on it.
+   * Executables without an SBOM, and all executables while no advisories
+   * have been imported, are left unrated.
+   * @param {Object} executable - Executable document
+   * @returns {Promise<{securityRating: number, advisories: Array<Object>}|null>} - Result, or null when not scanned
+   */
+  async scanExecutable(executable) {
+    const Advisory = getAdvisoryModel();
+    if (!executable.sbomFileName || (await Advisory.estimatedDocumentCount()) === 0) {
+      return null;
+    }
+    const content = await storageService.getContent(executable.sbomFileName);
+    if (!content) {
+      return null;
+    }
+
+    const sbom = JSON.parse(content.toString("utf8"));
+    // An uploaded project is not a published package; only its dependencies can have advisories
+    const advisories = await this.matchSbom(sbom, { includeRoot: executable.source !== "project" });
+    const result = { securityRating: this.computeRating(advisories), advisories };
+
+    const Executable = getExecutableModel();
+    await Executable.updateOne(
+      { _id: executable._id },
+      { ...result, securityScannedAt: new Date() }
+    );
+    return result;
+  }
+
+  /**
+   * Re-score every executable that has an SBOM
+   * @returns {Promise<number>} - Number of executables scanned
+   */
+  async rescoreAll() {
+    const Executable = getExecutableModel();
+    const executables = await Executable.find({ sbomFileName: { $ne: null } }, "sbomFileName source");
+    let scanned = 0;
+    for (const executable of executables) {
+      try {
+        if (await this.scanExecutable(executable)) {
+          scanned++;
+        }
+      } catch (error) {
+        logger.error("Failed to scan executable", {
+          executableId: executable._id,
+          error: { message: error.message, name: error.name },
+        });
+      }
+    }
+    logger.info("Re-scored executables", { count: scanned });
+    return scanned;
+  }
+
+  /**
+   * Import the advisory dumps named by ADVISORY_DB_PATH and re-score every
+   * executable. Only one refresh runs at a time.
+   * @returns {Promise<Object>} - Refresh status once finished
+   */
+  async refresh() {
+    if (this.refreshStatus.state === "running") {
+      throw new Error("An advisory refresh is already running");
+    }
+    if (this.sources.length === 0) {
+      throw new Error("ADVISORY_DB_PATH is not configured");
+    }
+
+    this.refreshStatus = { state: "running", startedAt: new Date(), finishedAt: null, error: null };
+    try {
+      const counts = await this.importAdvisories(this.sources);
+      const rescored = await this.rescoreAll();
+      this.refreshStatus = { ...this.refreshStatus, ...counts, rescored, state: "succeeded", finishedAt: new Date() };
+    } catch (error) {
+      logger.error("Advisory refresh failed", { error: { message: error.message, name: error.name } });
+      this.refreshStatus = { ...this.refreshStatus, state: "failed", finishedAt: new Date(), error: error.message };
+    }
+    return this.refreshStatus;
+  }
+
+  /**
+   * Advisory database contents and the state of the last refresh
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const Advisory = getAdvisoryModel();
+    const [counts, latest] = await Promise.all([
+      Advisory.aggregate([
+        { $unwind: "$packages" },
+        { $group: { _id: { advisoryId: "$advisoryId", repositoryManager: "$packages.repositoryManager" } } },
+        { $group: { _id: "$_id.repositoryManager", count: { $sum: 1 } } },
+      ]),
+      Advisory.findOne({}, "modified").sort({ modified: -1 }),
+    ]);
+
+    return {
+      configured: this.sources.length > 0,
+      advisories: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      lastModified: latest ? latest.modified : null,
+      refresh: this.refreshStatus,
+    };
+  }
+}
+
+const vulnerabilityService = new VulnerabilityService();
+export default vulnerabilityService;
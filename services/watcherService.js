@@ -0,0 +1,281 @@
+import getExecutableModel from "../models/Executable.js";
+import getWatchedPackageModel from "../models/WatchedPackage.js";
+import packageService from "./packageService.js";
+import buildJobService from "./buildJobService.js";
+import executableService from "./executableService.js";
+import { WATCH_INTERVAL_MINUTES, WATCH_ALL_PACKAGES } from "../config/watcher.js";
+import { resolveTarget, validateTarget } from "../config/targets.js";
+import { validateRegistry } from "../config/registries.js";
+import { compareVersions } from "../utils/versionUtils.js";
+import logger from "../utils/logger.js";
+
+// Build jobs queued by the watcher are attributed to this user
+const WATCHER_USER_ID = "watcher";
+
+const packageKey = ({ repositoryManager, registry, name }) =>
+  [repositoryManager, registry || "", name].join(":");
+
+/**
+ * Watches the registries for new releases of built packages.
+ *
+ * A package is tracked when it opted in, or when it was built from a
+ * registry and WATCH_ALL_PACKAGES is on and it did not opt out. A run asks
+ * the registry for the latest version of every tracked package; when it is
+ * newer than every version built so far, a build of it is queued for each
+ * target (os, arch, Node runtime, command, format) built before. Packages
+ * built from uploads are never watched.
+ *
+ * The latest version and the builds queued for it are stored per package,
+ * and a release is only queued once, so a build that fails is not retried
+ * on every run.
+ */
+class WatcherService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Check for new releases every WATCH_INTERVAL_MINUTES
+   */
+  start() {
+    if (this.timer || WATCH_INTERVAL_MINUTES === 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.run().catch((error) => {
+        logger.error("Upstream version check failed", {
+          error: { message: error.message, stack: error.stack, name: error.name },
+        });
+      });
+    }, WATCH_INTERVAL_MINUTES * 60 * 1000);
+    // Never keep the process alive just for the watcher
+    this.timer.unref();
+    logger.info("Scheduled upstream version checks", { intervalMinutes: WATCH_INTERVAL_MINUTES, watchAll: WATCH_ALL_PACKAGES });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getStatus() {
+    return {
+      intervalMinutes: WATCH_INTERVAL_MINUTES,
+      watchAll: WATCH_ALL_PACKAGES,
+      running: this.running,
+      lastRun: this.lastRun,
+    };
+  }
+
+  /**
+   * Built packages and packages with a tracking setting, with the targets
+   * built so far and the result of their last check
+   * @returns {Promise<Array>}
+   */
+  async listPackages() {
+    const Executable = getExecutableModel();
+    const WatchedPackage = getWatchedPackageModel();
+    const [executables, watchedPackages] = await Promise.all([
+      // Documents from before uploads existed have no source
+      Executable.find(
+        { source: { $in: ["registry", null] } },
+        "name repositoryManager registry version os arch nodeVersion command defaultCommand format"
+      ),
+      WatchedPackage.find(),
+    ]);
+
+    const packages = new Map();
+    const getEntry = ({ name, repositoryManager, registry }) => {
+      const key = packageKey({ name, repositoryManager, registry });
+      if (!packages.has(key)) {
+        packages.set(key, { name, repositoryManager, registry: registry || null, versions: new Set(), targets: new Map(), watched: null });
+      }
+      return packages.get(key);
+    };
+
+    for (const executable of executables) {
+      const entry = getEntry(executable);
+      entry.versions.add(executable.version);
+      // The default command is requested without a command, so it follows the default of the new release
+      const target = {
+        os: executable.os,
+        arch: executable.arch,
+        nodeVersion: executable.nodeVersion || null,
+        command: executable.defaultCommand === false ? executable.command : null,
+        format: executable.format || "binary",
+      };
+      entry.targets.set(Object.values(target).join(":"), target);
+    }
+    for (const watchedPackage of watchedPackages) {
+      getEntry(watchedPackage).watched = watchedPackage;
+    }
+
+    return [...packages.values()]
+      .map(({ name, repositoryManager, registry, versions, targets, watched }) => {
+        const enabled = watched ? watched.enabled : null;
+        return {
+          name,
+          repositoryManager,
+          registry,
+          enabled,
+          tracked: enabled === null ? WATCH_ALL_PACKAGES && versions.size > 0 : enabled,
+          newestBuiltVersion: this.findNewestVersion(repositoryManager, [...versions]),
+          targets: [...targets.values()],
+          latestVersion: watched ? watched.latestVersion : null,
+          lastCheckedAt: watched ? watched.lastCheckedAt : null,
+          lastError: watched ? watched.lastError : null,
+          lastRebuild: watched ? watched.lastRebuild : null,
+        };
+      })
+      .sort((left, right) => left.name.localeCompare(right.name) || left.repositoryManager.localeCompare(right.repositoryManager));
+  }
+
+  /**
+   * Opt a package in or out of tracking; null returns it to WATCH_ALL_PACKAGES
+   * @param {Object} pkg - { name, repositoryManager, registry }
+   * @param {boolean|null} enabled
+   */
+  async setTracking({ name, repositoryManager, registry = null }, enabled) {
+    const WatchedPackage = getWatchedPackageModel();
+    await WatchedPackage.updateOne(
+      { name, repositoryManager, registry },
+      { enabled },
+      { upsert: true }
+    );
+    const packages = await this.listPackages();
+    return packages.find((entry) => packageKey(entry) === packageKey({ name, repositoryManager, registry }));
+  }
+
+  /**
+   * Check every tracked package and queue builds for new releases
+   * @returns {Promise<Object|null>} - { startedAt, finishedAt, packages, totals }, or null when a run is already in progress
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const startedAt = new Date();
+      const tracked = (await this.listPackages()).filter((entry) => entry.tracked);
+      const results = [];
+      for (const entry of tracked) {
+        try {
+          results.push(await this.checkPackage(entry));
+        } catch (error) {
+          results.push({ name: entry.name, repositoryManager: entry.repositoryManager, registry: entry.registry, error: error.message });
+        }
+      }
+
+      const totals = {
+        checked: results.length,
+        newReleases: results.filter((result) => result.newRelease).length,
+        queuedJobs: results.reduce((total, result) => total + (result.queued ? result.queued.length : 0), 0),
+        errors: results.filter((result) => result.error).length,
+      };
+      const finishedAt = new Date();
+      this.lastRun = { startedAt, finishedAt, totals };
+      const logMethod = totals.errors > 0 ? "warn" : "info";
+      logger[logMethod]("Upstream version check finished", { totals });
+      return { startedAt, finishedAt, packages: results, totals };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Look up the latest release of a package and queue its builds when it is new
+   * @param {Object} entry - Entry of listPackages()
+   */
+  async checkPackage(entry) {
+    const { name, repositoryManager, registry } = entry;
+    const WatchedPackage = getWatchedPackageModel();
+    const result = { name, repositoryManager, registry, previousVersion: entry.newestBuiltVersion };
+    const update = { lastCheckedAt: new Date() };
+
+    const packageInfo = await packageService.getPackageInfo(name, repositoryManager, "latest", registry);
+    if (!packageInfo) {
+      update.lastError = `Could not get the latest version of '${name}' from the ${repositoryManager} registry`;
+      await WatchedPackage.updateOne({ name, repositoryManager, registry }, update, { upsert: true });
+      return { ...result, error: update.lastError };
+    }
+
+    const latestVersion = packageInfo.version;
+    update.latestVersion = latestVersion;
+    update.lastError = null;
+    result.latestVersion = latestVersion;
+    result.newRelease = this.isNewRelease(repositoryManager, latestVersion, entry);
+    result.queued = [];
+    result.skipped = [];
+
+    const alreadyQueued = entry.lastRebuild && entry.lastRebuild.version === latestVersion;
+    if (result.newRelease && !alreadyQueued) {
+      for (const builtTarget of entry.targets) {
+        // Targets built earlier may no longer be supported, e.g. a removed Node.js major
+        const target = resolveTarget({ repositoryManager, ...builtTarget });
+        const targetError = validateTarget(repositoryManager, target) || validateRegistry(registry, repositoryManager);
+        if (targetError) {
+          logger.warn("Skipping a target that is no longer supported", {
+            package: `${name}@${latestVersion}`,
+            repositoryManager,
+            registry,
+            target: builtTarget,
+            error: targetError,
+          });
+          result.skipped.push({ ...builtTarget, error: targetError });
+          continue;
+        }
+        // Someone may have requested the new release for this target already
+        const built = await executableService.findArtifact({ name, repositoryManager, registry, version: latestVersion, ...target });
+        if (built) {
+          continue;
+        }
+        const { job, attached } = await buildJobService.enqueue(packageInfo, target, {
+          requestedVersion: "latest",
+          userId: WATCHER_USER_ID,
+        });
+        result.queued.push({ jobId: job._id, ...target, attached });
+      }
+      if (result.queued.length > 0) {
+        update.lastRebuild = { version: latestVersion, queuedAt: new Date(), jobs: result.queued };
+        logger.info("Queued builds for a new upstream release", {
+          package: `${name}@${latestVersion}`,
+          repositoryManager,
+          registry,
+          previousVersion: entry.newestBuiltVersion,
+          jobs: result.queued.length,
+        });
+      }
+    }
+
+    await WatchedPackage.updateOne({ name, repositoryManager, registry }, update, { upsert: true });
+    return result;
+  }
+
+  // Newer than everything built; versions that cannot be ordered count as new unless built
+  isNewRelease(repositoryManager, latestVersion, entry) {
+    if (!entry.newestBuiltVersion || entry.targets.length === 0) {
+      return false;
+    }
+    const comparison = compareVersions(repositoryManager, latestVersion, entry.newestBuiltVersion);
+    if (comparison === null) {
+      return latestVersion !== entry.newestBuiltVersion;
+    }
+    return comparison > 0;
+  }
+
+  findNewestVersion(repositoryManager, versions) {
+    return versions.reduce((newest, version) => {
+      if (newest === null) {
+        return version;
+      }
+      return compareVersions(repositoryManager, version, newest) > 0 ? version : newest;
+    }, null);
+  }
+}
+
+const watcherService = new WatcherService();
+export default watcherService;
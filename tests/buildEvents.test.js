@@ -0,0 +1,81 @@
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import express from 'express';
+
+// The poll interval is read when routes/builds.js is loaded
+process.env.BUILD_EVENTS_POLL_INTERVAL_MS = '20';
+
+const { requestTracker, performanceTracker } = await import('../utils/requestUtils.js');
+const { default: buildRoutes } = await import('../routes/builds.js');
+const { default: buildJobService } = await import('../services/buildJobService.js');
+const { default: getBuildJobModel } = await import('../models/BuildJob.js');
+
+const BuildJob = getBuildJobModel();
+
+let server;
+let baseUrl;
+let job;
+
+const findById = async (id) => (job._id.equals(id) ? { ...job, id: job._id.toString() } : null);
+
+before(async () => {
+  BuildJob.findById = findById;
+
+  const app = express();
+  app.use(requestTracker);
+  app.use(performanceTracker);
+  app.use('/api/builds', buildRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/builds`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  job = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'cowsay',
+    version: '1.6.0',
+    repositoryManager: 'npm',
+    os: 'linux',
+    arch: 'x64',
+    state: 'queued'
+  };
+});
+
+// Event names in the order they were streamed, once the server closed the stream
+const readEvents = async (signal) => {
+  const response = await fetch(`${baseUrl}/${job._id}/events`, { signal });
+  const text = await response.text();
+  return text.split('\n').filter((line) => line.startsWith('event: ')).map((line) => line.slice(7));
+};
+
+test('the event stream ends when a job finishes on another instance', async (t) => {
+  // Progress of another instance never reaches this one; only the database changes
+  const states = ['queued', 'queued', 'packaging', 'packaging', 'succeeded'];
+  BuildJob.findById = async () => ({ ...job, id: job._id.toString(), state: states.shift() || 'succeeded' });
+  t.after(() => {
+    BuildJob.findById = findById;
+  });
+
+  assert.deepEqual(await readEvents(AbortSignal.timeout(5000)), ['job', 'state', 'end']);
+  assert.equal(buildJobService.listenerCount('finished'), 0);
+});
+
+test('the event stream ends when the job is deleted while it runs', async (t) => {
+  let lookups = 0;
+  BuildJob.findById = async () => (lookups++ < 2 ? { ...job, id: job._id.toString() } : null);
+  t.after(() => {
+    BuildJob.findById = findById;
+  });
+
+  assert.deepEqual(await readEvents(AbortSignal.timeout(5000)), ['job']);
+});
+
+test('the event stream ends at once for a job that finished before subscribing', async () => {
+  job.state = 'failed';
+
+  assert.deepEqual(await readEvents(AbortSignal.timeout(5000)), ['job', 'end']);
+});
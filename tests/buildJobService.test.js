@@ -0,0 +1,147 @@
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import buildJobService from '../services/buildJobService.js';
+import getBuildJobModel from '../models/BuildJob.js';
+
+const BuildJob = getBuildJobModel();
+const PACKAGE_INFO = { name: 'cowsay', version: '1.6.0', repositoryManager: 'npm' };
+const TARGET = { os: 'linux', arch: 'x64', nodeVersion: 18, command: null, format: 'binary' };
+
+let jobs;
+
+const newJob = (fields) => ({ _id: new mongoose.Types.ObjectId(), state: 'queued', coalescedRequests: 0, ...PACKAGE_INFO, ...TARGET, ...fields });
+
+beforeEach(() => {
+  jobs = [];
+  buildJobService.inFlight.clear();
+  // Jobs are not run in these tests
+  buildJobService.schedule = () => {};
+  BuildJob.findOne = async () => jobs.find((job) => job.state === 'queued') || null;
+  BuildJob.create = async (fields) => {
+    // Lets concurrent callers reach the lookup before the job exists
+    await new Promise((resolve) => setImmediate(resolve));
+    const job = newJob(fields);
+    job.id = job._id.toString();
+    jobs.push(job);
+    return job;
+  };
+  BuildJob.findOneAndUpdate = async ({ _id }) => {
+    const job = jobs.find((entry) => entry._id.equals(_id) && entry.state === 'queued');
+    if (job) {
+      job.coalescedRequests++;
+    }
+    return job || null;
+  };
+  BuildJob.findById = async (id) => jobs.find((job) => job._id.equals(id)) || null;
+});
+
+test('enqueue coalesces concurrent identical requests into one job', async () => {
+  const results = await Promise.all([
+    buildJobService.enqueue(PACKAGE_INFO, TARGET, { requestId: 'a' }),
+    buildJobService.enqueue(PACKAGE_INFO, TARGET, { requestId: 'b' }),
+    buildJobService.enqueue(PACKAGE_INFO, TARGET, { requestId: 'c' })
+  ]);
+
+  assert.equal(jobs.length, 1);
+  assert.deepEqual(results.map((result) => result.attached), [false, true, true]);
+  assert.ok(results.every((result) => result.job._id.equals(jobs[0]._id)));
+  assert.equal(jobs[0].coalescedRequests, 2);
+  assert.equal(jobs[0].activeBuildKey, buildJobService.getBuildKey(PACKAGE_INFO, TARGET));
+});
+
+test('enqueue starts separate jobs for different targets', async () => {
+  BuildJob.findOne = async () => null;
+
+  const [linux, windows] = await Promise.all([
+    buildJobService.enqueue(PACKAGE_INFO, TARGET),
+    buildJobService.enqueue(PACKAGE_INFO, { ...TARGET, os: 'windows' })
+  ]);
+
+  assert.equal(jobs.length, 2);
+  assert.equal(linux.attached, false);
+  assert.equal(windows.attached, false);
+});
+
+test('enqueue attaches to an active job found in the database', async () => {
+  const existing = newJob({});
+  jobs.push(existing);
+
+  const result = await buildJobService.enqueue(PACKAGE_INFO, TARGET);
+  assert.equal(result.attached, true);
+  assert.ok(result.job._id.equals(existing._id));
+});
+
+test('enqueue attaches when another instance created the job after the lookup', async () => {
+  const concurrent = newJob({});
+  let lookups = 0;
+  BuildJob.findOne = async () => (lookups++ === 0 ? null : concurrent);
+  BuildJob.create = async () => {
+    jobs.push(concurrent);
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  };
+
+  const result = await buildJobService.enqueue(PACKAGE_INFO, TARGET);
+  assert.equal(result.attached, true);
+  assert.ok(result.job._id.equals(concurrent._id));
+});
+
+test('enqueue returns the finished job when it completed before attaching', async () => {
+  const finished = newJob({ state: 'succeeded' });
+  jobs.push(finished);
+  BuildJob.findOne = async () => finished;
+
+  const result = await buildJobService.enqueue(PACKAGE_INFO, TARGET);
+  assert.equal(result.attached, true);
+  assert.equal(result.job.state, 'succeeded');
+});
+
+test('enqueue rejects and forgets the key when the job cannot be created', async () => {
+  BuildJob.create = async () => {
+    throw new Error('database unavailable');
+  };
+
+  await assert.rejects(buildJobService.enqueue(PACKAGE_INFO, TARGET), /database unavailable/);
+  // The rejection handler runs after the callers' own handlers
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(buildJobService.inFlight.size, 0);
+});
+
+test('resumePendingJobs claims only this instance\'s jobs and jobs with an expired lease', async (t) => {
+  t.after(() => buildJobService.stopHeartbeat());
+  const own = newJob({ state: 'packaging', owner: buildJobService.instanceId, heartbeatAt: new Date() });
+  const expired = newJob({ owner: 'builder-2', heartbeatAt: new Date(Date.now() - 2 * buildJobService.leaseMs) });
+  const live = newJob({ owner: 'builder-3', heartbeatAt: new Date() });
+  const legacy = newJob({});
+  jobs.push(own, expired, live, legacy);
+
+  // Evaluates the ownership conditions the way MongoDB would
+  const matches = (job, filter) => {
+    if (filter.$or) {
+      return filter.$or.some((condition) => matches(job, condition));
+    }
+    if (filter.owner) {
+      return job.owner === filter.owner;
+    }
+    return !(job.heartbeatAt >= filter.heartbeatAt.$not.$gte);
+  };
+  BuildJob.find = ({ state, ...filter }) => ({ sort: async () => jobs.filter((job) => matches(job, filter)) });
+  BuildJob.findOneAndUpdate = async ({ _id, state, ...filter }, update) => {
+    const job = jobs.find((entry) => entry._id.equals(_id) && matches(entry, filter));
+    // Another instance claims the expired job first
+    if (!job || job === expired) {
+      return null;
+    }
+    Object.assign(job, update);
+    job.id = job._id.toString();
+    return job;
+  };
+  const scheduled = [];
+  buildJobService.schedule = (jobId) => scheduled.push(jobId);
+
+  assert.equal(await buildJobService.resumePendingJobs(), 2);
+  assert.deepEqual(scheduled, [own._id.toString(), legacy._id.toString()]);
+  assert.equal(own.state, 'queued');
+  assert.equal(legacy.owner, buildJobService.instanceId);
+  assert.equal(live.owner, 'builder-3');
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import buildService from '../services/buildService.js';
+
+const PACKAGE_INFO = { name: 'release-tool', version: '1.0.0', repositoryManager: 'npm', source: 'project' };
+
+test('writePkgConfig keeps only project files matched by the pkg globs', (t) => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pkg-config-'));
+  t.after(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+  const workDir = path.join(baseDir, 'build');
+  const projectDir = path.join(workDir, 'project');
+  fs.mkdirSync(path.join(projectDir, 'templates'), { recursive: true });
+  fs.mkdirSync(path.join(baseDir, 'keys'));
+  fs.writeFileSync(path.join(projectDir, 'templates', 'default [v1].txt'), 'template');
+  fs.writeFileSync(path.join(projectDir, 'plugin.js'), 'module.exports = {};');
+  fs.writeFileSync(path.join(baseDir, 'keys', 'signing-key.pem'), 'secret');
+
+  const configPath = buildService.writePkgConfig(PACKAGE_INFO, {
+    pkg: {
+      assets: ['templates/**/*', '../../keys/*', path.join(baseDir, 'keys', '*')],
+      scripts: 'plugin.js'
+    }
+  }, workDir);
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  assert.equal(path.dirname(configPath), workDir);
+  assert.deepEqual(config.pkg, {
+    assets: ['project/templates/default \\[v1\\].txt'],
+    scripts: ['project/plugin.js']
+  });
+});
+
+test('writePkgConfig writes an empty pkg section for projects without pkg settings', (t) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pkg-config-'));
+  t.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(workDir, 'project'));
+
+  const config = JSON.parse(fs.readFileSync(buildService.writePkgConfig(PACKAGE_INFO, {}, workDir), 'utf8'));
+  assert.deepEqual(config, { name: 'release-tool', version: '1.0.0', pkg: {} });
+});
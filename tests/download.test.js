@@ -0,0 +1,159 @@
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Readable } from 'stream';
+import express from 'express';
+import { requestTracker, performanceTracker } from '../utils/requestUtils.js';
+import downloadRoutes from '../routes/download.js';
+import storageService from '../services/storageService.js';
+import executableService from '../services/executableService.js';
+import getExecutableModel from '../models/Executable.js';
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+const SHA256 = 'a'.repeat(64);
+const FILE_NAME = 'cowsay_linux_1700000000000_abc123';
+const LAST_MODIFIED = new Date('2026-01-01T00:00:00Z');
+
+let server;
+let baseUrl;
+let recorded;
+let downloadUrl;
+
+before(async () => {
+  const Executable = getExecutableModel();
+  Executable.findOne = async ({ fileName }) => (fileName === FILE_NAME
+    ? { fileName, name: 'cowsay', version: '1.6.0', os: 'linux', command: null, sha256: SHA256 }
+    : null);
+  storageService.stat = async (key) => (key === FILE_NAME ? { size: CONTENT.length, lastModified: LAST_MODIFIED } : null);
+  storageService.getStream = async (key, { start, end }) => Readable.from([CONTENT.subarray(start, end + 1)]);
+  storageService.getDownloadUrl = async () => downloadUrl;
+  executableService.recordDownload = async (executable) => {
+    recorded.push(executable.fileName);
+  };
+
+  const app = express();
+  app.use(requestTracker);
+  app.use(performanceTracker);
+  app.use('/download', downloadRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/download`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  recorded = [];
+  downloadUrl = null;
+});
+
+// fetch adds Cache-Control: no-cache to conditional requests, which disables them
+const getStatus = (headers) => new Promise((resolve, reject) => {
+  http.get(`${baseUrl}/${FILE_NAME}`, { headers }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  }).on('error', reject);
+});
+
+const download = async (headers = {}, options = {}) => {
+  const response = await fetch(`${baseUrl}/${FILE_NAME}`, { headers, redirect: 'manual', ...options });
+  const body = Buffer.from(await response.arrayBuffer());
+  return { response, body };
+};
+
+test('serves the whole file with a friendly name and counts the download', async () => {
+  const { response, body } = await download();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body, CONTENT);
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.equal(response.headers.get('etag'), `"${SHA256}"`);
+  assert.match(response.headers.get('content-disposition'), /filename="cowsay-1\.6\.0-linux"/);
+  assert.deepEqual(recorded, [FILE_NAME]);
+});
+
+test('serves a single byte range without counting it', async () => {
+  const { response, body } = await download({ Range: 'bytes=2-5' });
+
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), `bytes 2-5/${CONTENT.length}`);
+  assert.equal(response.headers.get('content-length'), '4');
+  assert.equal(body.toString(), '2345');
+  assert.deepEqual(recorded, []);
+});
+
+test('counts a resumed download that reaches the end of the file', async () => {
+  const { response, body } = await download({ Range: 'bytes=15-' });
+
+  assert.equal(response.status, 206);
+  assert.equal(body.toString(), 'fghij');
+  assert.deepEqual(recorded, [FILE_NAME]);
+});
+
+test('serves the tail of the file for suffix ranges', async () => {
+  const { response, body } = await download({ Range: 'bytes=-3' });
+
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), `bytes 17-19/${CONTENT.length}`);
+  assert.equal(body.toString(), 'hij');
+});
+
+test('answers unsatisfiable ranges with 416', async () => {
+  const { response } = await download({ Range: 'bytes=100-200' });
+
+  assert.equal(response.status, 416);
+  assert.equal(response.headers.get('content-range'), `bytes */${CONTENT.length}`);
+  assert.deepEqual(recorded, []);
+});
+
+test('answers multiple and malformed ranges with the whole file', async () => {
+  for (const range of ['bytes=0-1,5-6', 'items=0-1', 'bytes']) {
+    const { response, body } = await download({ Range: range });
+    assert.equal(response.status, 200, range);
+    assert.deepEqual(body, CONTENT, range);
+  }
+});
+
+test('honours If-Range only when it matches the strong ETag', async () => {
+  const matching = await download({ Range: 'bytes=0-1', 'If-Range': `"${SHA256}"` });
+  assert.equal(matching.response.status, 206);
+
+  const changed = await download({ Range: 'bytes=0-1', 'If-Range': '"something-else"' });
+  assert.equal(changed.response.status, 200);
+  assert.deepEqual(changed.body, CONTENT);
+});
+
+test('answers conditional requests with 304 without counting them', async () => {
+  assert.equal(await getStatus({ 'If-None-Match': `"${SHA256}"` }), 304);
+  assert.equal(await getStatus({ 'If-Modified-Since': LAST_MODIFIED.toUTCString() }), 304);
+  assert.equal(await getStatus({ 'If-None-Match': '"something-else"' }), 200);
+  assert.deepEqual(recorded, [FILE_NAME]);
+});
+
+test('does not count HEAD requests', async () => {
+  const { response } = await download({}, { method: 'HEAD' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-length'), String(CONTENT.length));
+  assert.deepEqual(recorded, []);
+});
+
+test('redirects to the storage URL and counts full downloads when it is issued', async () => {
+  downloadUrl = 'https://bucket.example.com/presigned';
+
+  const full = await download();
+  assert.equal(full.response.status, 302);
+  assert.equal(full.response.headers.get('location'), downloadUrl);
+
+  const ranged = await download({ Range: 'bytes=0-1' });
+  assert.equal(ranged.response.status, 302);
+  assert.deepEqual(recorded, [FILE_NAME]);
+});
+
+test('answers unknown and invalid file names with 404', async () => {
+  for (const fileName of ['missing', '..', '%2E%2E%2Fetc%2Fpasswd']) {
+    const response = await fetch(`${baseUrl}/${fileName}`);
+    await response.arrayBuffer();
+    assert.equal(response.status, 404, fileName);
+  }
+});
@@ -0,0 +1,100 @@
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import executableService from '../services/executableService.js';
+import packageService from '../services/packageService.js';
+import storageService from '../services/storageService.js';
+import getExecutableModel from '../models/Executable.js';
+
+const Executable = getExecutableModel();
+const TARGET = { os: 'linux', arch: 'x64', nodeVersion: 18, command: null, format: 'binary' };
+
+const stored = (version, createdAt = new Date('2026-01-01T00:00:00Z')) => ({
+  version,
+  fileName: `cowsay-${version}`,
+  createdAt
+});
+
+let executables;
+let missingFiles;
+let registry;
+
+beforeEach(() => {
+  executables = [];
+  missingFiles = new Set();
+  // version -> resolved version; requests the registry cannot answer resolve to null
+  registry = {};
+  Executable.findOne = async (criteria) => executables.find((executable) => executable.version === criteria.version) || null;
+  Executable.find = async () => executables;
+  storageService.exists = async (key) => !missingFiles.has(key);
+  packageService.getPackageInfo = async (name, repositoryManager, version) => (
+    registry[version] ? { name, repositoryManager, version: registry[version] } : null
+  );
+});
+
+const resolve = (version) => executableService.resolveRequest({ name: 'cowsay', repositoryManager: 'npm', version, ...TARGET });
+
+test('resolveRequest serves a stored exact version without asking the registry', async () => {
+  executables = [stored('1.5.0')];
+  packageService.getPackageInfo = async () => assert.fail('the registry must not be asked');
+
+  const resolution = await resolve('1.5.0');
+  assert.equal(resolution.resolvedFrom, 'request');
+  assert.equal(resolution.version, '1.5.0');
+  assert.equal(resolution.executable.fileName, 'cowsay-1.5.0');
+});
+
+test('resolveRequest resolves ranges against the registry before the cache lookup', async () => {
+  executables = [stored('1.5.0'), stored('1.6.0')];
+  registry['^1.0.0'] = '1.6.0';
+
+  const resolution = await resolve('^1.0.0');
+  assert.equal(resolution.resolvedFrom, 'registry');
+  assert.equal(resolution.version, '1.6.0');
+  assert.equal(resolution.executable.fileName, 'cowsay-1.6.0');
+  assert.deepEqual(resolution.packageInfo, { name: 'cowsay', repositoryManager: 'npm', version: '1.6.0' });
+});
+
+test('resolveRequest returns the package information when the resolved version is not built yet', async () => {
+  executables = [stored('1.5.0')];
+  registry.latest = '1.6.0';
+
+  const resolution = await resolve(undefined);
+  assert.equal(resolution.resolvedFrom, 'registry');
+  assert.equal(resolution.executable, null);
+  assert.equal(resolution.packageInfo.version, '1.6.0');
+});
+
+test('resolveRequest falls back to the highest stored version matching the range', async () => {
+  executables = [stored('1.4.0'), stored('1.6.0'), stored('2.0.0'), stored('1.5.0')];
+
+  const resolution = await resolve('^1.0.0');
+  assert.equal(resolution.resolvedFrom, 'cache');
+  assert.equal(resolution.version, '1.6.0');
+  assert.equal(resolution.packageInfo, null);
+});
+
+test('resolveRequest skips cached versions whose file is gone', async () => {
+  executables = [stored('1.5.0'), stored('1.6.0')];
+  missingFiles.add('cowsay-1.6.0');
+
+  const resolution = await resolve(undefined);
+  assert.equal(resolution.resolvedFrom, 'cache');
+  assert.equal(resolution.version, '1.5.0');
+});
+
+test('resolveRequest cannot resolve dist-tags other than latest offline', async () => {
+  executables = [stored('2.0.0-beta.1')];
+
+  assert.deepEqual(await resolve('beta'), { version: null, resolvedFrom: null, executable: null, packageInfo: null });
+});
+
+test('getDownloadName leaves out an unknown os of legacy executables', () => {
+  assert.equal(
+    executableService.getDownloadName({ name: '@scope/tool', version: '1.0.0', os: 'windows', command: null, fileName: 'tool_windows_1700000000000_abc123.exe' }),
+    'scope-tool-1.0.0-windows.exe'
+  );
+  assert.equal(
+    executableService.getDownloadName({ name: 'tool', version: '1.0.0', os: null, command: null, fileName: 'tool-legacy' }),
+    'tool-1.0.0'
+  );
+});
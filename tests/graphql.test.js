@@ -0,0 +1,87 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requestTracker, performanceTracker } from '../utils/requestUtils.js';
+import graphqlRoutes from '../routes/graphql.js';
+import buildJobService from '../services/buildJobService.js';
+import executableService from '../services/executableService.js';
+
+const DOWNLOAD = `
+  mutation {
+    downloadExecutable(name: "cowsay", repositoryManager: "npm", os: "linux", version: "^1.0.0") {
+      success
+      message
+      downloadUrl
+      version
+      build { jobId state attached statusUrl }
+    }
+  }
+`;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(requestTracker);
+  app.use(performanceTracker);
+  app.use('/graphql', graphqlRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/graphql`;
+});
+
+after(() => server.close());
+
+const run = async (query, headers = {}) => {
+  const response = await fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ query })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('downloadExecutable queues a build and returns the job without waiting for it', async () => {
+  executableService.resolveRequest = async () => ({
+    version: '1.6.0',
+    resolvedFrom: 'registry',
+    executable: null,
+    packageInfo: { name: 'cowsay', version: '1.6.0', repositoryManager: 'npm' }
+  });
+  let context;
+  buildJobService.enqueue = async (packageInfo, target, requestContext) => {
+    context = requestContext;
+    return { job: { id: '665f1c2ab4d1e8a9c0f12345', state: 'queued' }, attached: false };
+  };
+  buildJobService.waitForJob = () => assert.fail('the mutation must not wait for the build');
+
+  const { status, body } = await run(DOWNLOAD, { 'X-User-Id': 'user-7' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.downloadExecutable, {
+    success: true,
+    message: 'Build queued',
+    downloadUrl: null,
+    version: '1.6.0',
+    build: {
+      jobId: '665f1c2ab4d1e8a9c0f12345',
+      state: 'queued',
+      attached: false,
+      statusUrl: '/api/builds/665f1c2ab4d1e8a9c0f12345'
+    }
+  });
+  assert.equal(context.requestedVersion, '^1.0.0');
+  assert.equal(context.userId, 'user-7');
+  assert.equal(typeof context.requestId, 'string');
+});
+
+test('downloadExecutable reports field errors without queueing a build', async () => {
+  buildJobService.enqueue = () => assert.fail('invalid requests must not be queued');
+
+  const { body } = await run(DOWNLOAD.replace('"cowsay"', '"../evil"'));
+
+  assert.equal(body.data.downloadExecutable.success, false);
+  assert.equal(body.data.downloadExecutable.build, null);
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import packageService from '../services/packageService.js';
+
+test('getNpmInstallArgs installs uploaded tarballs without lifecycle scripts', () => {
+  const args = packageService.getNpmInstallArgs(
+    { name: 'my-cli', version: '1.4.0', source: 'upload', archivePath: '/srv/uploads/my-cli-1.4.0.tgz' },
+    '/tmp/my-cli_1',
+    ['--registry', 'https://npm.example.com/']
+  );
+
+  assert.ok(args.includes('--ignore-scripts'));
+  assert.ok(args.indexOf('--ignore-scripts') < args.indexOf('--'));
+  assert.deepEqual(args.slice(args.indexOf('--')), ['--', '/srv/uploads/my-cli-1.4.0.tgz']);
+});
+
+test('getNpmInstallArgs installs registry packages by name and version', () => {
+  const args = packageService.getNpmInstallArgs({ name: 'cowsay', version: '1.6.0', source: 'registry' }, '/tmp/cowsay_1', []);
+
+  assert.deepEqual(args, ['install', '--prefix', '/tmp/cowsay_1', '--production', '--', 'cowsay@1.6.0']);
+});
+
+test('parseConsoleScripts reads only the console_scripts section', () => {
+  const scripts = packageService.parseConsoleScripts([
+    '[console_scripts]',
+    'http = httpie.__main__:main',
+    '# a comment',
+    'https=httpie.__main__:main [socks]',
+    'httpie = httpie.manager.__main__',
+    '',
+    '[gui_scripts]',
+    'http-gui = httpie.gui:main'
+  ].join('\n'));
+
+  assert.deepEqual(scripts, [
+    { name: 'http', module: 'httpie.__main__', attr: 'main' },
+    { name: 'https', module: 'httpie.__main__', attr: 'main' },
+    { name: 'httpie', module: 'httpie.manager.__main__', attr: null }
+  ]);
+});
+
+test('parseConsoleScripts ignores names that are not valid command names', () => {
+  const scripts = packageService.parseConsoleScripts([
+    '[console_scripts]',
+    '../evil = evil:main',
+    '-rf = evil:main',
+    'tool = tool.cli:main',
+    'bad = not a module'
+  ].join('\n'));
+
+  assert.deepEqual(scripts.map((script) => script.name), ['tool']);
+});
+
+test('getNpmBinCommands names string bins after the unscoped package and drops invalid names', () => {
+  assert.deepEqual(packageService.getNpmBinCommands('@scope/tool', './cli.js'), [{ name: 'tool', path: './cli.js' }]);
+  assert.deepEqual(
+    packageService.getNpmBinCommands('tool', { tool: './cli.js', '../evil': './evil.js', '.hidden': './x.js', empty: '' }),
+    [{ name: 'tool', path: './cli.js' }]
+  );
+  assert.deepEqual(packageService.getNpmBinCommands('tool', undefined), []);
+});
+
+test('getDefaultCommand prefers the command named like the package', () => {
+  const commands = [{ name: 'cowthink' }, { name: 'cowsay' }];
+  assert.equal(packageService.getDefaultCommand('cowsay', commands).name, 'cowsay');
+  assert.equal(packageService.getDefaultCommand('Zope.Interface', [{ name: 'other' }, { name: 'zope-interface' }]).name, 'zope-interface');
+  assert.equal(packageService.getDefaultCommand('typescript', [{ name: 'tsc' }, { name: 'tsserver' }]).name, 'tsc');
+  assert.equal(packageService.getDefaultCommand('tool', []), null);
+});
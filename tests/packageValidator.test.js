@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateNpmName,
+  validatePipName,
+  validateNpmVersion,
+  validatePipVersion,
+  validatePackageRequest
+} from '../utils/packageValidator.js';
+
+test('validateNpmName accepts registry names', () => {
+  for (const name of ['express', '@babel/cli', 'lodash.merge', 'JSONStream', 'left-pad']) {
+    assert.equal(validateNpmName(name), null, name);
+  }
+});
+
+test('validateNpmName rejects names that could escape paths or arguments', () => {
+  for (const name of ['../evil', '.hidden', '_private', '@scope', '@scope/a/b', 'a b', ' express', 'node_modules', '--registry=x', 'a'.repeat(215)]) {
+    assert.notEqual(validateNpmName(name), null, name);
+  }
+});
+
+test('validatePipName follows PEP 508', () => {
+  assert.equal(validatePipName('requests'), null);
+  assert.equal(validatePipName('zope.interface'), null);
+  assert.equal(validatePipName('A'), null);
+  for (const name of ['-e', 'requests-', 'a/b', 'a b', '']) {
+    assert.notEqual(validatePipName(name), null, name);
+  }
+});
+
+test('validateNpmVersion accepts versions, ranges and dist-tags', () => {
+  for (const version of ['1.2.3', '^1.2.0', '>=1 <3', '1.x', 'latest', 'next', 'beta-2']) {
+    assert.equal(validateNpmVersion(version), null, version);
+  }
+  for (const version of ['1.2.3; rm -rf /', '$(whoami)', '-1', 'x'.repeat(257)]) {
+    assert.notEqual(validateNpmVersion(version), null, version);
+  }
+});
+
+test('validatePipVersion accepts PEP 440 versions and latest', () => {
+  for (const version of ['2.31.0', '1.0rc1', '1!2.0.post1.dev3', '1.0+local.1', 'latest']) {
+    assert.equal(validatePipVersion(version), null, version);
+  }
+  for (const version of ['>=2.0', '2.0; echo', 'next']) {
+    assert.notEqual(validatePipVersion(version), null, version);
+  }
+});
+
+test('validatePackageRequest reports one error per invalid field', () => {
+  assert.deepEqual(validatePackageRequest({ name: 'express', version: '^4', repositoryManager: 'npm' }), []);
+  assert.deepEqual(validatePackageRequest({ name: 'requests', repositoryManager: 'pip' }), []);
+
+  const errors = validatePackageRequest({ name: '../x', version: '1.0; rm', repositoryManager: 'pip' });
+  assert.deepEqual(errors.map(error => error.field), ['name', 'version']);
+  assert.match(errors[0].message, /^Invalid pip package name: /);
+
+  assert.deepEqual(validatePackageRequest({ repositoryManager: 'npm' }), [{ field: 'name', message: 'name is required' }]);
+  assert.deepEqual(
+    validatePackageRequest({ name: 'express', version: 4, repositoryManager: 'npm' }),
+    [{ field: 'version', message: 'version must be a string' }]
+  );
+});
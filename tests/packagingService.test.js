@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import packagingService from '../services/packagingService.js';
+import licenseService from '../services/licenseService.js';
+
+const TARGET = { os: 'linux', arch: 'x64', format: 'rpm' };
+
+// Registry metadata is untrusted: macros, a second header line and control characters
+const METADATA = {
+  name: 'evil',
+  version: '1.0.0-beta.1',
+  packageName: 'evil',
+  binaryName: 'evil',
+  description: 'Tool %(rm -rf /)\nRelease: 99\r\x07%{nil}',
+  license: 'MIT %{?dist}',
+  documents: [{ name: 'LICENSE%{x}', filePath: null, content: 'MIT\n' }],
+};
+
+const makeOutputDir = (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'packaging-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+  const executablePath = path.join(outputDir, 'evil');
+  fs.writeFileSync(executablePath, 'binary');
+  return { outputDir, executablePath };
+};
+
+const stubTools = (t, onRun = () => {}) => {
+  const originalRunTool = packagingService.runTool;
+  t.after(() => {
+    packagingService.runTool = originalRunTool;
+  });
+  packagingService.runTool = async (command, args) => onRun(command, args);
+};
+
+test('singleLine keeps registry text to one line of printable characters', () => {
+  assert.equal(packagingService.singleLine('  first\nsecond\r\n\tthird\x00\x1b[31m\x7f '), 'first second third [31m');
+  assert.equal(packagingService.singleLine(undefined), 'undefined');
+});
+
+test('rpmText escapes macros after joining lines', () => {
+  assert.equal(packagingService.rpmText('100% %(id) %{nil}\n%install'), '100%% %%(id) %%{nil} %%install');
+});
+
+test('getDebVersion and getRpmVersion map versions to the package managers\' syntax', () => {
+  assert.equal(packagingService.getDebVersion('1.0.0-beta.1'), '1.0.0~beta.1');
+  assert.equal(packagingService.getDebVersion('v2.0.0'), '0~v2.0.0');
+  assert.equal(packagingService.getDebVersion('1.0.0 ;rm'), '1.0.0..rm');
+  assert.equal(packagingService.getRpmVersion('1.0.0-rc.1'), '1.0.0~rc.1');
+  assert.equal(packagingService.getRpmVersion('1.0.0%{nil}'), '1.0.0..nil.');
+});
+
+test('createRpm escapes registry metadata in the spec', async (t) => {
+  const { outputDir, executablePath } = makeOutputDir(t);
+  let spec;
+  stubTools(t, (command, args) => {
+    spec = fs.readFileSync(args[args.length - 1], 'utf8');
+    const rpmDir = path.join(outputDir, 'rpmbuild', 'RPMS', 'x86_64');
+    fs.mkdirSync(rpmDir, { recursive: true });
+    fs.writeFileSync(path.join(rpmDir, 'evil.rpm'), '');
+  });
+
+  await packagingService.createRpm(executablePath, METADATA, TARGET, outputDir, {});
+
+  const lines = spec.split('\n');
+  assert.ok(lines.includes('Summary: Tool %%(rm -rf /) Release: 99 %%{nil}'));
+  assert.ok(lines.includes('License: MIT %%{?dist}'));
+  assert.ok(lines.includes('Version: 1.0.0~beta.1'));
+  assert.ok(lines.includes('%doc /usr/share/doc/evil/LICENSE%%{x}'));
+  assert.equal(lines.filter((line) => line.startsWith('Release:')).length, 1);
+});
+
+test('createDeb writes the description as a single control field', async (t) => {
+  const { outputDir, executablePath } = makeOutputDir(t);
+  stubTools(t);
+
+  await packagingService.createDeb(executablePath, { ...METADATA, documents: [] }, { ...TARGET, format: 'deb' }, outputDir, {});
+
+  const control = fs.readFileSync(path.join(outputDir, 'deb', 'DEBIAN', 'control'), 'utf8');
+  const lines = control.trimEnd().split('\n');
+  assert.equal(lines.filter((line) => /^[A-Za-z-]+:/.test(line)).length, 8);
+  assert.ok(lines.includes('Description: Tool %(rm -rf /) Release: 99 %{nil}'));
+  // The extended description is the only continuation line
+  assert.deepEqual(lines.filter((line) => line.startsWith(' ')), [' Standalone executable of evil 1.0.0-beta.1 (license: MIT %{?dist}).']);
+});
+
+test('findDocuments leaves out document names that are unsafe in package file lists', (t) => {
+  const packageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'package-'));
+  t.after(() => fs.rmSync(packageDir, { recursive: true, force: true }));
+  for (const name of ['LICENSE', 'README.md', 'LICENSE %{nil}', 'README\nmd', 'readme$(id)']) {
+    fs.writeFileSync(path.join(packageDir, name), 'text');
+  }
+  const originalFindPackageDirs = licenseService.findPackageDirs;
+  t.after(() => {
+    licenseService.findPackageDirs = originalFindPackageDirs;
+  });
+  licenseService.findPackageDirs = () => new Map([['pkg:npm/evil@1.0.0', packageDir]]);
+
+  const documents = packagingService.findDocuments({ name: 'evil' }, packageDir, { 'bom-ref': 'pkg:npm/evil@1.0.0' });
+  assert.deepEqual(documents.map((document) => document.name), ['LICENSE', 'README.md']);
+});
+
+test('runTool reports a packager missing from the build server', async () => {
+  await assert.rejects(
+    packagingService.runTool('modulevault-missing-packager', [], { timeout: 5000 }),
+    /modulevault-missing-packager is not installed on the build server/
+  );
+});
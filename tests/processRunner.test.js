@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runProcess } from '../utils/processRunner.js';
+
+const SECRET = 's3cr3t-token';
+
+test('runProcess masks secrets in arguments, output and streamed lines', async () => {
+  const lines = [];
+  const result = await runProcess(process.execPath, ['-e', 'console.log(process.argv[1]); console.error("auth " + process.argv[1])', `token=${SECRET}`], {
+    secrets: [SECRET],
+    onOutput: (stream, line) => lines.push([stream, line])
+  });
+
+  assert.deepEqual(result.args.slice(-1), ['token=[FILTERED]']);
+  assert.equal(result.stdout.trim(), 'token=[FILTERED]');
+  assert.equal(result.stderr.trim(), 'auth token=[FILTERED]');
+  assert.deepEqual(lines.sort(), [['stderr', 'auth token=[FILTERED]'], ['stdout', 'token=[FILTERED]']]);
+  assert.ok(!JSON.stringify(result).includes(SECRET));
+});
+
+test('runProcess masks secrets in the error of a failed command', async () => {
+  await assert.rejects(
+    runProcess(process.execPath, ['-e', 'console.error("401 for " + process.argv[1]); process.exit(3)', SECRET], { secrets: [SECRET, ''] }),
+    (error) => {
+      assert.equal(error.code, 'EEXITCODE');
+      assert.equal(error.result.exitCode, 3);
+      assert.match(error.message, /exited with code 3: 401 for \[FILTERED\]/);
+      assert.ok(!error.message.includes(SECRET));
+      assert.ok(!JSON.stringify(error.result).includes(SECRET));
+      return true;
+    }
+  );
+});
+
+test('runProcess passes arguments verbatim without a shell', async () => {
+  const argument = '$(echo injected); "quoted" | cat';
+  const { stdout } = await runProcess(process.execPath, ['-e', 'console.log(process.argv[1])', argument]);
+
+  assert.equal(stdout.trim(), argument);
+});
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// The policy is read when config/retention.js is loaded
+process.env.RETENTION_KEEP_VERSIONS = '1';
+process.env.RETENTION_MAX_IDLE_DAYS = '30';
+process.env.TEMP_MAX_AGE_HOURS = '0';
+
+const { default: retentionService } = await import('../services/retentionService.js');
+const { default: storageService } = await import('../services/storageService.js');
+const { default: getExecutableModel } = await import('../models/Executable.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+const executable = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'cowsay',
+  repositoryManager: 'npm',
+  registry: null,
+  os: 'linux',
+  arch: 'x64',
+  nodeVersion: 18,
+  command: null,
+  format: 'binary',
+  fileSize: 100,
+  sbomFileName: null,
+  licenseReportFileName: null,
+  lastDownloadedAt: null,
+  createdAt: daysAgo(1),
+  ...fields
+});
+
+const storedFile = (key, lastModified = daysAgo(1)) => ({ key, size: 10, lastModified });
+
+const stubStorage = (executables, files) => {
+  const Executable = getExecutableModel();
+  Executable.find = () => ({ lean: async () => executables });
+  storageService.list = async () => files;
+};
+
+const planFor = async (executables, files) => {
+  stubStorage(executables, files);
+  const plan = await retentionService.plan();
+  return new Map(plan.executables.map((entry) => [entry.executable.fileName, entry]));
+};
+
+test('plan keeps the newest versions of each target and selects older ones as superseded', async () => {
+  const executables = [
+    executable({ version: '1.10.0', fileName: 'new-linux' }),
+    executable({ version: '1.9.0', fileName: 'old-linux', sbomFileName: 'old-linux.cdx.json' }),
+    // Another target of the old version is the newest of its own group
+    executable({ version: '1.9.0', fileName: 'old-windows', os: 'windows' })
+  ];
+  const selected = await planFor(executables, [
+    storedFile('new-linux'),
+    storedFile('old-linux'),
+    storedFile('old-linux.sig'),
+    storedFile('old-linux.cdx.json'),
+    storedFile('old-windows')
+  ]);
+
+  assert.deepEqual([...selected.keys()], ['old-linux']);
+  assert.deepEqual(selected.get('old-linux').reasons, ['superseded']);
+  assert.deepEqual(selected.get('old-linux').files, ['old-linux', 'old-linux.sig', 'old-linux.cdx.json']);
+});
+
+test('plan selects idle executables counted from the last download or the build', async () => {
+  const executables = [
+    executable({ version: '1.0.0', fileName: 'idle', createdAt: daysAgo(90), lastDownloadedAt: daysAgo(40) }),
+    executable({ version: '1.0.0', fileName: 'used', os: 'macos', createdAt: daysAgo(90), lastDownloadedAt: daysAgo(2) }),
+    executable({ version: '1.0.0', fileName: 'never', os: 'windows', createdAt: daysAgo(31) })
+  ];
+  const selected = await planFor(executables, executables.map((entry) => storedFile(entry.fileName)));
+
+  assert.deepEqual([...selected.keys()].sort(), ['idle', 'never']);
+  assert.deepEqual(selected.get('idle').reasons, ['idle']);
+});
+
+test('plan selects executables whose file is missing and stored files nobody refers to', async () => {
+  stubStorage(
+    [executable({ version: '1.0.0', fileName: 'gone' })],
+    [storedFile('orphan-old', daysAgo(2)), storedFile('orphan-new', new Date())]
+  );
+  const plan = await retentionService.plan();
+
+  assert.equal(plan.executables.length, 1);
+  assert.deepEqual(plan.executables[0].reasons, ['missing']);
+  assert.deepEqual(plan.executables[0].files, []);
+  // Files of builds that are still being recorded get a grace period
+  assert.deepEqual(plan.orphanedFiles.map((file) => file.key), ['orphan-old']);
+  assert.deepEqual(plan.tempEntries, []);
+});
+
+test('plan orders versions that cannot be compared by build time', async () => {
+  const executables = [
+    executable({ version: 'custom-a', fileName: 'older', createdAt: daysAgo(3) }),
+    executable({ version: 'custom-b', fileName: 'newer', createdAt: daysAgo(2) })
+  ];
+  const selected = await planFor(executables, executables.map((entry) => storedFile(entry.fileName)));
+
+  assert.deepEqual([...selected.keys()], ['older']);
+});
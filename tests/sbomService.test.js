@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sbomService from '../services/sbomService.js';
+
+const SHA256 = 'b'.repeat(64);
+
+const writeDistInfo = (t, { metadata, directUrl }) => {
+  const distInfoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'requests-2.31.0.dist-info-'));
+  t.after(() => fs.rmSync(distInfoDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(distInfoDir, 'METADATA'), metadata);
+  if (directUrl) {
+    fs.writeFileSync(path.join(distInfoDir, 'direct_url.json'), JSON.stringify(directUrl));
+  }
+  return distInfoDir;
+};
+
+const METADATA = 'Metadata-Version: 2.1\nName: requests\nVersion: 2.31.0\nLicense: Apache 2.0\nRequires-Dist: idna (<4,>=2.5)\nRequires-Dist: PySocks (!=1.5.7,>=1.5.6) ; extra == "socks"\n\nLong description\n';
+
+test('formatLicense only uses SPDX list ids as license ids', () => {
+  assert.deepEqual(sbomService.formatLicense('MIT'), { license: { id: 'MIT' } });
+  assert.deepEqual(sbomService.formatLicense('apache-2.0'), { license: { id: 'Apache-2.0' } });
+  // Deprecated ids are still on the list
+  assert.deepEqual(sbomService.formatLicense('GPL-2.0'), { license: { id: 'GPL-2.0' } });
+  assert.deepEqual(sbomService.formatLicense('UNLICENSED'), { license: { name: 'UNLICENSED' } });
+  assert.deepEqual(sbomService.formatLicense('SEE LICENSE IN LICENSE.md'), { license: { name: 'SEE LICENSE IN LICENSE.md' } });
+});
+
+test('formatLicense keeps SPDX expressions and license references as expressions', () => {
+  assert.deepEqual(sbomService.formatLicense('MIT OR Apache-2.0'), { expression: 'MIT OR Apache-2.0' });
+  assert.deepEqual(sbomService.formatLicense('(MIT)'), { expression: '(MIT)' });
+  assert.deepEqual(sbomService.formatLicense('GPL-2.0-only WITH Classpath-exception-2.0'), { expression: 'GPL-2.0-only WITH Classpath-exception-2.0' });
+  assert.deepEqual(sbomService.formatLicense('LicenseRef-Proprietary'), { expression: 'LicenseRef-Proprietary' });
+});
+
+test('readDistInfo takes archive hashes from direct_url.json', (t) => {
+  const distInfoDir = writeDistInfo(t, {
+    metadata: METADATA,
+    directUrl: { url: 'file:///srv/uploads/requests-2.31.0-py3-none-any.whl', archive_info: { hashes: { sha256: SHA256, md5: 'c'.repeat(32) } } }
+  });
+
+  const { component, requires } = sbomService.readDistInfo(distInfoDir);
+  assert.equal(component.purl, 'pkg:pypi/requests@2.31.0');
+  assert.deepEqual(component.licenses, [{ license: { id: 'Apache-2.0' } }]);
+  assert.deepEqual(component.hashes, [{ alg: 'SHA-256', content: SHA256 }]);
+  assert.equal(component.properties, undefined);
+  assert.deepEqual(requires, ['idna']);
+});
+
+test('readDistInfo marks components installed from an index as having no recorded hash', (t) => {
+  const { component } = sbomService.readDistInfo(writeDistInfo(t, { metadata: METADATA }));
+
+  assert.equal(component.hashes, undefined);
+  assert.equal(component.properties.length, 1);
+  assert.equal(component.properties[0].name, 'modulevault:hashes');
+  assert.match(component.properties[0].value, /^not recorded/);
+});
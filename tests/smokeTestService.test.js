@@ -0,0 +1,32 @@
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import smokeTestService from '../services/smokeTestService.js';
+
+const PLAN = { args: [['--version']], exitCodes: [0] };
+
+beforeEach(() => {
+  smokeTestService.sandboxAvailable = null;
+});
+
+test('getSandboxArgs runs the executable as nobody with only the scratch directory writable', () => {
+  const args = smokeTestService.getSandboxArgs('/srv/vault/temp/smoke_x', '/srv/vault/temp/build_1/cowsay', ['--version']);
+  const separator = args.indexOf('--');
+
+  assert.deepEqual(args.slice(separator + 1), ['/opt/smoke/cowsay', '--version']);
+  const options = args.slice(0, separator);
+  assert.ok(options.includes('--unshare-all'));
+  assert.ok(options.includes('--unshare-user'));
+  assert.equal(options[options.indexOf('--uid') + 1], '65534');
+  // Exactly one writable mount, and nothing of the server directory besides it and the executable
+  const writable = options.flatMap((option, index) => (option === '--bind' ? [options.slice(index + 1, index + 3)] : []));
+  assert.deepEqual(writable, [['/srv/vault/temp/smoke_x', '/smoke']]);
+  const serverPaths = options.filter((option) => option.startsWith('/srv/vault'));
+  assert.deepEqual(serverPaths, ['/srv/vault/temp/smoke_x', '/srv/vault/temp/build_1/cowsay']);
+  assert.equal(options[options.indexOf('/srv/vault/temp/build_1/cowsay') - 1], '--ro-bind');
+});
+
+test('run does not start the executable without the sandbox', async () => {
+  smokeTestService.sandboxAvailable = false;
+
+  assert.equal(await smokeTestService.run('/bin/false', PLAN), null);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePipVersion,
+  comparePipVersions,
+  compareVersions,
+  getExactVersion,
+  satisfiesRequest
+} from '../utils/versionUtils.js';
+
+const sortPip = (versions) => [...versions].sort(comparePipVersions);
+
+test('parsePipVersion rejects versions that are not PEP 440', () => {
+  assert.equal(parsePipVersion('not-a-version'), null);
+  assert.equal(parsePipVersion('1.0.0.x'), null);
+  assert.notEqual(parsePipVersion('1.0'), null);
+  assert.notEqual(parsePipVersion('v2!1.0.post1.dev3+local.1'), null);
+});
+
+test('comparePipVersions follows the PEP 440 ordering', () => {
+  assert.deepEqual(
+    sortPip(['1.0.post1', '1.0', '1.0rc1', '1.0.dev0', '1.0a1', '1.0b2', '0.9', '1!0.1']),
+    ['0.9', '1.0.dev0', '1.0a1', '1.0b2', '1.0rc1', '1.0', '1.0.post1', '1!0.1']
+  );
+});
+
+test('comparePipVersions ignores trailing zeros and local labels', () => {
+  assert.equal(comparePipVersions('1.0', '1.0.0'), 0);
+  assert.equal(comparePipVersions('1.0+ubuntu1', '1.0'), 0);
+  assert.equal(comparePipVersions('1.0-1', '1.0.post1'), 0);
+  assert.equal(comparePipVersions('1.0', 'latest'), null);
+});
+
+test('compareVersions orders npm versions as semver', () => {
+  assert.ok(compareVersions('npm', '1.10.0', '1.9.0') > 0);
+  assert.ok(compareVersions('npm', '2.0.0-beta.1', '2.0.0') < 0);
+  assert.equal(compareVersions('npm', '1.0.0', 'latest'), null);
+  assert.ok(compareVersions('pip', '1.10', '1.9') > 0);
+});
+
+test('getExactVersion only returns concrete versions', () => {
+  assert.equal(getExactVersion('npm', '1.2.3'), '1.2.3');
+  assert.equal(getExactVersion('npm', '^1.2.3'), null);
+  assert.equal(getExactVersion('npm', 'next'), null);
+  assert.equal(getExactVersion('npm', 'latest'), null);
+  assert.equal(getExactVersion('npm', undefined), null);
+  assert.equal(getExactVersion('pip', '2.31.0'), '2.31.0');
+  assert.equal(getExactVersion('pip', 'latest'), null);
+});
+
+test('satisfiesRequest matches stored versions against npm requests', () => {
+  assert.equal(satisfiesRequest('npm', '1.2.3', '1.2.3'), true);
+  assert.equal(satisfiesRequest('npm', '1.2.4', '1.2.3'), false);
+  assert.equal(satisfiesRequest('npm', '1.4.0', '^1.2.0'), true);
+  assert.equal(satisfiesRequest('npm', '2.0.0', '^1.2.0'), false);
+  // Without a version or with 'latest' any release matches, pre-releases do not
+  assert.equal(satisfiesRequest('npm', '3.0.0', undefined), true);
+  assert.equal(satisfiesRequest('npm', '3.0.0-rc.1', 'latest'), false);
+  // Other dist-tags cannot be resolved offline
+  assert.equal(satisfiesRequest('npm', '3.0.0', 'next'), false);
+});
+
+test('satisfiesRequest matches stored versions against pip requests', () => {
+  assert.equal(satisfiesRequest('pip', '2.31.1', '2.31'), false);
+  assert.equal(satisfiesRequest('pip', '2.31.0', '2.31.0'), true);
+  assert.equal(satisfiesRequest('pip', '2.0', '2.0.0'), true);
+  assert.equal(satisfiesRequest('pip', '3.0rc1', 'latest'), true);
+});
@@ -0,0 +1,77 @@
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import watcherService from '../services/watcherService.js';
+import packageService from '../services/packageService.js';
+import buildJobService from '../services/buildJobService.js';
+import executableService from '../services/executableService.js';
+import getWatchedPackageModel from '../models/WatchedPackage.js';
+
+const WatchedPackage = getWatchedPackageModel();
+const LINUX = { os: 'linux', arch: 'x64', nodeVersion: 18, command: null, format: 'binary' };
+
+let queued;
+let updates;
+
+const entry = (fields) => ({
+  name: 'cowsay',
+  repositoryManager: 'npm',
+  registry: null,
+  newestBuiltVersion: '1.5.0',
+  targets: [LINUX],
+  lastRebuild: null,
+  ...fields
+});
+
+beforeEach(() => {
+  queued = [];
+  updates = [];
+  packageService.getPackageInfo = async (name, repositoryManager) => ({ name, repositoryManager, version: '1.6.0' });
+  executableService.findArtifact = async () => null;
+  buildJobService.enqueue = async (packageInfo, target, context) => {
+    queued.push({ version: packageInfo.version, target, context });
+    return { job: { _id: `job-${queued.length}` }, attached: false };
+  };
+  WatchedPackage.updateOne = async (filter, update) => {
+    updates.push(update);
+  };
+});
+
+test('checkPackage queues a build of a new release for every target built before', async () => {
+  const windows = { ...LINUX, os: 'windows', command: 'cowthink' };
+
+  const result = await watcherService.checkPackage(entry({ targets: [LINUX, windows] }));
+
+  assert.equal(result.newRelease, true);
+  assert.deepEqual(queued.map(({ target }) => target), [LINUX, windows]);
+  assert.ok(queued.every(({ version, context }) => version === '1.6.0' && context.userId === 'watcher'));
+  assert.equal(updates[0].lastRebuild.version, '1.6.0');
+  assert.equal(updates[0].lastRebuild.jobs.length, 2);
+});
+
+test('checkPackage skips targets that are no longer supported', async () => {
+  const removedNode = { ...LINUX, nodeVersion: 12 };
+  const debOnWindows = { ...LINUX, os: 'windows', format: 'deb' };
+
+  const result = await watcherService.checkPackage(entry({ targets: [removedNode, LINUX, debOnWindows] }));
+
+  assert.deepEqual(queued.map(({ target }) => target), [LINUX]);
+  assert.deepEqual(result.skipped.map(({ nodeVersion, os }) => [os, nodeVersion]), [['linux', 12], ['windows', 18]]);
+  assert.match(result.skipped[0].error, /nodeVersion/);
+});
+
+test('checkPackage does not queue builds that exist or were queued for the release already', async () => {
+  executableService.findArtifact = async ({ os }) => (os === 'linux' ? { fileName: 'cowsay-1.6.0' } : null);
+  await watcherService.checkPackage(entry({}));
+  assert.deepEqual(queued, []);
+
+  await watcherService.checkPackage(entry({ targets: [{ ...LINUX, os: 'macos' }], lastRebuild: { version: '1.6.0' } }));
+  assert.deepEqual(queued, []);
+});
+
+test('checkPackage only rebuilds for versions newer than every built one', async () => {
+  const result = await watcherService.checkPackage(entry({ newestBuiltVersion: '2.0.0' }));
+
+  assert.equal(result.newRelease, false);
+  assert.deepEqual(queued, []);
+  assert.equal(updates[0].latestVersion, '1.6.0');
+});
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -73,6 +74,9 @@ class FileUtils {
       '.deb': 'application/octet-stream',
       '.rpm': 'application/octet-stream',
       '.dmg': 'application/octet-stream',
+      '.gz': 'application/gzip',
+      '.zip': 'application/zip',
+      '.appimage': 'application/octet-stream',
       '.app': 'application/octet-stream',
       '.bin': 'application/octet-stream'
     };
@@ -80,6 +84,26 @@ class FileUtils {
     return mimeTypes[ext] || 'application/octet-stream';
   }
 
+  /**
+   * SHA-256 of a file, hex encoded
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>}
+   */
+  computeSha256(filePath) {
+    return this.hashStream(fs.createReadStream(filePath));
+  }
+
+  // SHA-256 (hex) of everything a readable stream yields
+  hashStream(stream) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      stream
+        .on('error', reject)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
   async fileExists(filePath) {
     try {
       await fs.promises.access(filePath);
@@ -54,6 +54,8 @@ const fileRotateTransport = (level) => new transports.DailyRotateFile({
 // Create the logger instance
 const logger = createLogger({
   level: process.env.LOG_LEVEL || 'info',
+  // The test runner's report is the only output of `npm test`
+  silent: process.env.NODE_ENV === 'test',
   defaultMeta: { service: 'module-vault' },
   format: combine(
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
@@ -72,7 +74,7 @@ const logger = createLogger({
 });
 
 // Add file transports in non-development environments
-if (process.env.NODE_ENV !== 'development') {
+if (!['development', 'test'].includes(process.env.NODE_ENV)) {
   logger.add(fileRotateTransport('error'));
   logger.add(fileRotateTransport('info'));
   
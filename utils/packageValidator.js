@@ -0,0 +1,144 @@
+import semver from 'semver';
+
+/**
+ * Package name and version validation.
+ *
+ * Everything a client sends as a package name or version ends up in registry
+ * tooling arguments, file names or generated wrapper source, so it is checked
+ * against the registry's own naming rules before use.
+ */
+
+const NPM_NAME_MAX_LENGTH = 214;
+const NPM_SCOPED_NAME = /^@([^/]+)\/([^/]+)$/;
+// Uppercase letters are only allowed in names published before npm banned them
+const NPM_NAME_PART = /^[a-zA-Z0-9-~][a-zA-Z0-9-._~]*$/;
+const NPM_BLACKLISTED_NAMES = ['node_modules', 'favicon.ico'];
+
+// PEP 508 distribution names
+const PIP_NAME = /^([A-Z0-9]|[A-Z0-9][A-Z0-9._-]*[A-Z0-9])$/i;
+
+// PEP 440 public versions, as given in the specification appendix
+const PEP440_VERSION = new RegExp(
+  '^v?' +
+  '(?:(?:[0-9]+)!)?' +                                          // epoch
+  '(?:[0-9]+(?:\\.[0-9]+)*)' +                                  // release segment
+  '(?:[-_.]?(?:a|b|c|rc|alpha|beta|pre|preview)[-_.]?(?:[0-9]+)?)?' + // pre-release
+  '(?:(?:-(?:[0-9]+))|(?:[-_.]?(?:post|rev|r)[-_.]?(?:[0-9]+)?))?' +  // post release
+  '(?:[-_.]?dev[-_.]?(?:[0-9]+)?)?' +                           // dev release
+  '(?:\\+(?:[a-z0-9]+(?:[-_.][a-z0-9]+)*))?' +                  // local version
+  '$',
+  'i'
+);
+
+// npm dist-tags: URL safe and not parseable as a version range
+const NPM_DIST_TAG = /^[a-z][a-z0-9._-]*$/i;
+
+/**
+ * Validate an npm package name, including scoped names
+ * @param {string} name - Package name
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateNpmName = (name) => {
+  if (name.length > NPM_NAME_MAX_LENGTH) {
+    return `must be at most ${NPM_NAME_MAX_LENGTH} characters`;
+  }
+  if (name.trim() !== name) {
+    return 'must not have leading or trailing spaces';
+  }
+  if (NPM_BLACKLISTED_NAMES.includes(name)) {
+    return `'${name}' is a reserved name`;
+  }
+
+  const scoped = name.match(NPM_SCOPED_NAME);
+  const parts = scoped ? [scoped[1], scoped[2]] : [name];
+  if (!scoped && name.startsWith('@')) {
+    return 'scoped names must have the form @scope/name';
+  }
+  for (const part of parts) {
+    if (part.startsWith('.') || part.startsWith('_')) {
+      return 'must not start with a period or underscore';
+    }
+    if (!NPM_NAME_PART.test(part)) {
+      return 'may only contain letters, digits, and the characters - . _ ~';
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a pip distribution name (PEP 508)
+ * @param {string} name - Distribution name
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validatePipName = (name) => {
+  if (!PIP_NAME.test(name)) {
+    return 'must start and end with a letter or digit and contain only letters, digits, and the characters - . _ (PEP 508)';
+  }
+  return null;
+};
+
+/**
+ * Validate an npm version, semver range or dist-tag
+ * @param {string} version - Requested version
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateNpmVersion = (version) => {
+  if (version.length > 256) {
+    return 'must be at most 256 characters';
+  }
+  if (semver.valid(version) || semver.validRange(version) || NPM_DIST_TAG.test(version)) {
+    return null;
+  }
+  return 'must be a semver version, a semver range or a dist-tag';
+};
+
+/**
+ * Validate a pip version (PEP 440)
+ * @param {string} version - Requested version
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validatePipVersion = (version) => {
+  if (version === 'latest' || PEP440_VERSION.test(version)) {
+    return null;
+  }
+  return 'must be a valid PEP 440 version';
+};
+
+/**
+ * Validate the package part of a build or download request
+ * @param {Object} request - { name, version, repositoryManager }
+ * @returns {Array<{field: string, message: string}>} - Field errors, empty when valid
+ */
+const validatePackageRequest = ({ name, version, repositoryManager }) => {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.length === 0) {
+    errors.push({ field: 'name', message: 'name is required' });
+  } else {
+    const nameError = repositoryManager === 'pip' ? validatePipName(name) : validateNpmName(name);
+    if (nameError) {
+      errors.push({ field: 'name', message: `Invalid ${repositoryManager} package name: ${nameError}` });
+    }
+  }
+
+  if (version !== undefined && version !== null && version !== '') {
+    if (typeof version !== 'string') {
+      errors.push({ field: 'version', message: 'version must be a string' });
+    } else {
+      const versionError = repositoryManager === 'pip' ? validatePipVersion(version) : validateNpmVersion(version);
+      if (versionError) {
+        errors.push({ field: 'version', message: `Invalid ${repositoryManager} version: ${versionError}` });
+      }
+    }
+  }
+
+  return errors;
+};
+
+export {
+  validateNpmName,
+  validatePipName,
+  validateNpmVersion,
+  validatePipVersion,
+  validatePackageRequest
+};
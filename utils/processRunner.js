@@ -0,0 +1,213 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+import logger from './logger.js';
+
+/**
+ * Process execution utilities.
+ *
+ * Commands are always spawned with an argv array and without a shell, so
+ * package names and other user input can never be interpreted as shell syntax.
+ */
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+const KILL_GRACE_PERIOD_MS = 5000;
+
+/**
+ * Error thrown when a process cannot be started, times out or exits non-zero
+ */
+class ProcessError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'ProcessError';
+    this.code = result.errorCode || (result.timedOut ? 'ETIMEDOUT' : 'EEXITCODE');
+    this.result = result;
+  }
+}
+
+/**
+ * Collect a stream into a string, keeping at most maxBytes
+ * @param {Stream} stream - Readable stream
+ * @param {number} maxBytes - Maximum number of bytes to keep
+ * @returns {Object} - Collector exposing text() and truncated
+ */
+const collectOutput = (stream, maxBytes) => {
+  const chunks = [];
+  const collector = { bytes: 0, truncated: false };
+
+  stream.on('data', (chunk) => {
+    const remaining = maxBytes - collector.bytes;
+    if (remaining <= 0) {
+      collector.truncated = true;
+      return;
+    }
+    if (chunk.length > remaining) {
+      chunk = chunk.subarray(0, remaining);
+      collector.truncated = true;
+    }
+    chunks.push(chunk);
+    collector.bytes += chunk.length;
+  });
+
+  collector.text = () => Buffer.concat(chunks).toString('utf8');
+  return collector;
+};
+
+/**
+ * Last lines of process output, used in error messages
+ * @param {string} output - Process output
+ * @param {number} [lines] - Number of lines to keep
+ * @returns {string} - Output tail
+ */
+const tail = (output, lines = 10) => output.trim().split('\n').slice(-lines).join('\n');
+
+/**
+ * Build a function that replaces every secret in a string with a placeholder
+ * @param {string[]} secrets - Values to mask
+ * @returns {Function} - (text) => masked text
+ */
+const createMasker = (secrets) => {
+  const values = secrets.filter(Boolean);
+  if (values.length === 0) {
+    return (text) => text;
+  }
+  return (text) => values.reduce((masked, secret) => masked.split(secret).join('[FILTERED]'), text);
+};
+
+/**
+ * Run a command without a shell
+ * @param {string} command - Executable to run (resolved via PATH)
+ * @param {string[]} [args] - Arguments, passed to the process verbatim
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @param {number} [options.timeout] - Milliseconds before the process is killed
+ * @param {number} [options.maxOutputBytes] - Maximum stdout/stderr bytes kept in the result, each
+ * @param {Function} [options.onOutput] - Called with (stream, line) for every line of output
+ * @param {boolean} [options.allowFailure] - Resolve instead of rejecting on a non-zero exit code
+ * @param {string[]} [options.secrets] - Values masked in logged arguments, output and errors
+ * @param {boolean} [options.processGroup] - Start the process in its own process group and kill the whole group on timeout, so children cannot keep it alive
+ * @returns {Promise<Object>} - { command, args, exitCode, signal, stdout, stderr, stdoutTruncated, stderrTruncated, timedOut, durationMs }
+ */
+const runProcess = (command, args = [], options = {}) => {
+  const {
+    cwd,
+    env = process.env,
+    timeout = DEFAULT_TIMEOUT_MS,
+    maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES,
+    onOutput,
+    allowFailure = false,
+    secrets = [],
+    processGroup = false
+  } = options;
+  const mask = createMasker(secrets);
+
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    let timedOut = false;
+    let spawnError = null;
+
+    logger.debug('Running process', { command, args: args.map(mask), cwd });
+
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      shell: false,
+      detached: processGroup,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const kill = (signal) => {
+      try {
+        if (processGroup && child.pid) {
+          process.kill(-child.pid, signal);
+        } else {
+          child.kill(signal);
+        }
+      } catch {
+        // Already exited
+      }
+    };
+
+    const stdout = collectOutput(child.stdout, maxOutputBytes);
+    const stderr = collectOutput(child.stderr, maxOutputBytes);
+
+    if (onOutput) {
+      readline.createInterface({ input: child.stdout }).on('line', (line) => onOutput('stdout', mask(line)));
+      readline.createInterface({ input: child.stderr }).on('line', (line) => onOutput('stderr', mask(line)));
+    }
+
+    let killTimer = null;
+    const timeoutTimer = setTimeout(() => {
+      timedOut = true;
+      kill('SIGTERM');
+      killTimer = setTimeout(() => kill('SIGKILL'), KILL_GRACE_PERIOD_MS);
+    }, timeout);
+
+    child.on('error', (error) => {
+      spawnError = error;
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+
+      const result = {
+        command,
+        args: args.map(mask),
+        exitCode,
+        signal,
+        stdout: mask(stdout.text()),
+        stderr: mask(stderr.text()),
+        stdoutTruncated: stdout.truncated,
+        stderrTruncated: stderr.truncated,
+        timedOut,
+        durationMs: Date.now() - startTime
+      };
+
+      logger.debug('Process finished', {
+        command,
+        exitCode,
+        signal,
+        timedOut,
+        durationMs: result.durationMs
+      });
+
+      if (spawnError) {
+        result.errorCode = spawnError.code;
+        return reject(new ProcessError(`Failed to start ${command}: ${spawnError.message}`, result));
+      }
+      if (timedOut) {
+        return reject(new ProcessError(`${command} timed out after ${timeout}ms`, result));
+      }
+      if (exitCode !== 0 && !allowFailure) {
+        const details = tail(result.stderr) || tail(result.stdout);
+        return reject(new ProcessError(
+          `${command} exited with code ${exitCode}${signal ? ` (${signal})` : ''}${details ? `: ${details}` : ''}`,
+          result
+        ));
+      }
+      resolve(result);
+    });
+  });
+};
+
+/**
+ * Check whether a command is available on PATH
+ * @param {string} command - Executable name
+ * @returns {Promise<boolean>}
+ */
+const commandExists = async (command) => {
+  try {
+    const { exitCode } = await runProcess('which', [command], { timeout: 10000, allowFailure: true });
+    return exitCode === 0;
+  } catch {
+    return false;
+  }
+};
+
+export {
+  ProcessError,
+  runProcess,
+  commandExists
+};
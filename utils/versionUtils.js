@@ -0,0 +1,148 @@
+import semver from 'semver';
+
+/**
+ * Version ordering for the repository managers.
+ *
+ * npm versions are ordered as semver. pip versions follow the PEP 440
+ * ordering: epoch, release segment (trailing zeros ignored), then
+ * dev < pre-release < final < post release. Local version labels are ignored.
+ */
+
+const PEP440_PARTS = new RegExp(
+  '^v?' +
+  '(?:([0-9]+)!)?' +                                                  // epoch
+  '([0-9]+(?:\\.[0-9]+)*)' +                                          // release segment
+  '(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?([0-9]+)?)?' +    // pre-release
+  '(?:-([0-9]+)|[-_.]?(post|rev|r)[-_.]?([0-9]+)?)?' +                // post release
+  '(?:[-_.]?(dev)[-_.]?([0-9]+)?)?' +                                 // dev release
+  '(?:\\+[a-z0-9]+(?:[-_.][a-z0-9]+)*)?' +                            // local version
+  '$',
+  'i'
+);
+
+const PRE_RELEASE_ORDER = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+/**
+ * Parse a PEP 440 version into a sort key
+ * @param {string} version - Version string
+ * @returns {Array<number|number[]>|null} - Sort key, or null when the version is not PEP 440
+ */
+const parsePipVersion = (version) => {
+  const match = String(version).trim().match(PEP440_PARTS);
+  if (!match) {
+    return null;
+  }
+  const [, epoch, release, preLabel, preNumber, postImplicit, postLabel, postNumber, dev, devNumber] = match;
+  const isPost = postImplicit !== undefined || postLabel !== undefined;
+
+  const releaseParts = release.split('.').map(Number);
+  while (releaseParts.length > 1 && releaseParts[releaseParts.length - 1] === 0) {
+    releaseParts.pop();
+  }
+
+  // A dev release of a final version sorts before its pre-releases
+  let pre;
+  if (preLabel) {
+    pre = [PRE_RELEASE_ORDER[preLabel.toLowerCase()], Number(preNumber || 0)];
+  } else if (dev && !isPost) {
+    pre = [-Infinity, 0];
+  } else {
+    pre = [Infinity, 0];
+  }
+  const post = isPost ? Number(postImplicit || postNumber || 0) : -Infinity;
+  const devKey = dev ? Number(devNumber || 0) : Infinity;
+
+  return [Number(epoch || 0), releaseParts, pre, post, devKey];
+};
+
+const compareNumbers = (left, right) => (left < right ? -1 : left > right ? 1 : 0);
+
+const compareNumberLists = (left, right) => {
+  const length = Math.max(left.length, right.length);
+  for (let index = 0; index < length; index++) {
+    const difference = compareNumbers(left[index] || 0, right[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Compare two PEP 440 versions
+ * @returns {number|null} - Negative, zero or positive as with Array#sort; null when either version is invalid
+ */
+const comparePipVersions = (left, right) => {
+  const leftKey = parsePipVersion(left);
+  const rightKey = parsePipVersion(right);
+  if (!leftKey || !rightKey) {
+    return null;
+  }
+  for (let index = 0; index < leftKey.length; index++) {
+    const difference = Array.isArray(leftKey[index])
+      ? compareNumberLists(leftKey[index], rightKey[index])
+      : compareNumbers(leftKey[index], rightKey[index]);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Compare two versions of a repository manager
+ * @param {string} repositoryManager - 'npm' or 'pip'
+ * @returns {number|null} - Negative, zero or positive as with Array#sort; null when either version cannot be ordered
+ */
+const compareVersions = (repositoryManager, left, right) => {
+  if (repositoryManager === 'pip') {
+    return comparePipVersions(left, right);
+  }
+  const leftVersion = semver.valid(left, { loose: true });
+  const rightVersion = semver.valid(right, { loose: true });
+  if (!leftVersion || !rightVersion) {
+    return null;
+  }
+  return semver.compare(leftVersion, rightVersion, { loose: true });
+};
+
+/**
+ * The concrete version a request names, as stored on executables
+ * @param {string} repositoryManager - 'npm' or 'pip'
+ * @param {string} version - Requested version, range or dist-tag
+ * @returns {string|null} - The version, or null for ranges, dist-tags and missing versions
+ */
+const getExactVersion = (repositoryManager, version) => {
+  if (!version || version === 'latest') {
+    return null;
+  }
+  if (repositoryManager === 'pip') {
+    return parsePipVersion(version) ? version : null;
+  }
+  return semver.valid(version);
+};
+
+/**
+ * Whether a stored version can stand in for a requested range when the
+ * registry cannot resolve it. A missing version or 'latest' matches every
+ * release (pre-releases too for pip); other dist-tags cannot be resolved offline.
+ * @param {string} repositoryManager - 'npm' or 'pip'
+ * @param {string} version - Stored version
+ * @param {string} [requested] - Requested version, range or dist-tag
+ * @returns {boolean}
+ */
+const satisfiesRequest = (repositoryManager, version, requested) => {
+  const exactVersion = getExactVersion(repositoryManager, requested);
+  if (exactVersion) {
+    return compareVersions(repositoryManager, version, exactVersion) === 0;
+  }
+  if (repositoryManager === 'pip') {
+    return !requested || requested === 'latest';
+  }
+  if (!requested || requested === 'latest') {
+    return semver.valid(version) !== null && semver.prerelease(version) === null;
+  }
+  return semver.validRange(requested) !== null && semver.satisfies(version, requested);
+};
+
+export { parsePipVersion, comparePipVersions, compareVersions, getExactVersion, satisfiesRequest };